@@ -0,0 +1,92 @@
+/**
+ * YouTube Speed Extender - Ads
+ *
+ * Detects ads in the main player and applies the ad speed while they play.
+ */
+
+let adState = { // Ad currently playing in the main player
+  isActive: false,
+  video: null,
+  isNavigation: false   // Whether the ad started during a navigation (pre-roll), so the navigation speed follows it
+};
+
+/**
+ * Checks whether YouTube is playing an ad in a video's player
+ * @param {HTMLVideoElement} video - The player's video
+ * @returns {boolean} Whether the player has the ad-showing class
+ */
+function isAdShowing(video) {
+  return video.closest('.ad-showing') !== null;
+}
+
+/**
+ * Checks whether an ad is playing in the main player
+ * @returns {boolean} Whether the main player is showing an ad
+ */
+function isAdPlaying() {
+  const video = getPlayerVideo();
+  return video !== null && isAdShowing(video);
+}
+
+/**
+ * Works out the speed ads play at under the ad speed mode
+ * @returns {number} The ad speed
+ */
+function getAdSpeed() {
+  switch (loadAdSpeedMode()) {
+    case AD_SPEED_MODES.NORMAL:
+      return 1;
+    case AD_SPEED_MODES.CUSTOM:
+      return loadAdSpeed();
+    default:
+      return getTargetSpeed(adState.isNavigation).speed;
+  }
+}
+
+/**
+ * Applies the ad speed when an ad starts
+ * Ad speeds, and any rate change while the ad plays, are never saved.
+ * @param {HTMLVideoElement} video - The main player's video
+ * @param {boolean} isNavigation - Whether the ad is a pre-roll of a video navigated to
+ */
+function startAdSpeed(video, isNavigation = false) {
+  if (adState.isActive && adState.video === video) return;
+  
+  // Ads replace any skip-silence, 1x, boost or zone speed; the user's speed comes back after the ad
+  endSilenceSkip();
+  temporarySpeedState.kind = null;
+  resetSpeedZones();
+  
+  adState.isActive = true;
+  adState.video = video;
+  adState.isNavigation = isNavigation;
+  setSpeed(video, getAdSpeed(), SPEED_SOURCES.AD);
+}
+
+/**
+ * Restores the target speed once the ad is over
+ */
+function endAdSpeed() {
+  const { isNavigation } = adState;
+  adState.isActive = false;
+  adState.video = null;
+  adState.isNavigation = false;
+  
+  applyPreferredSpeed(isNavigation);
+  refreshSilenceSkip();
+}
+
+/**
+ * Starts or ends the ad speed after the player's ad-showing class changed
+ * @param {HTMLVideoElement} video - The tracked video
+ */
+function refreshAdState(video) {
+  if (!isSiteEnabled()) return;
+  
+  const isShowing = isAdShowing(video);
+  if (isShowing && !adState.isActive) {
+    startAdSpeed(video, isNavigationInProgress());
+  } else if (!isShowing && adState.isActive) {
+    endAdSpeed();
+  }
+}
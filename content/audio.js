@@ -0,0 +1,190 @@
+/**
+ * YouTube Speed Extender - Audio Processing
+ *
+ * Pitch preservation and the optional time-stretch AudioWorklet, plus the shared Web Audio graph
+ * per video that skip silence measures the audio level with.
+ */
+
+const audioGraphs = new WeakMap(); // Video element -> Web Audio nodes (a media element can only be sourced once)
+const suspendedAudioContexts = new Set(); // Contexts waiting for a user gesture; each leaves once it runs
+let isListeningForAudioGesture = false; // Whether the document's click/keydown listeners are registered
+
+// Configuration: Time-stretch AudioWorklet (a web-accessible resource in the manifest)
+const TIME_STRETCH_WORKLET_FILE = 'time-stretch-worklet.js';
+const TIME_STRETCH_PROCESSOR = 'time-stretch-processor';
+
+/**
+ * Resumes an audio context, keeping it in suspendedAudioContexts until it runs
+ * @param {AudioContext} audioContext - The context to resume
+ */
+function resumeAudioContext(audioContext) {
+  if (audioContext.state !== 'suspended') {
+    suspendedAudioContexts.delete(audioContext);
+    return;
+  }
+  
+  suspendedAudioContexts.add(audioContext);
+  audioContext.resume().then(() => suspendedAudioContexts.delete(audioContext), () => {});
+}
+
+/**
+ * Registers the document listeners that resume suspended contexts on the next user gesture
+ * Registered once for every audio graph, so they don't pile up as videos come and go.
+ */
+function listenForAudioGesture() {
+  if (isListeningForAudioGesture) return;
+  
+  const resumeSuspendedAudioContexts = () => {
+    suspendedAudioContexts.forEach(resumeAudioContext);
+  };
+  document.addEventListener('click', resumeSuspendedAudioContexts, true);
+  document.addEventListener('keydown', resumeSuspendedAudioContexts, true);
+  isListeningForAudioGesture = true;
+}
+
+/**
+ * Returns the Web Audio nodes a video plays through, creating them on first use
+ * Once a media element is routed through Web Audio it stays that way, so graphs are cached per element.
+ * Skip silence and enhanced time-stretch share the graph: source -> [time-stretch] -> analyser -> speakers.
+ * @param {HTMLVideoElement} video - The video to route through Web Audio
+ * @returns {{audioContext: AudioContext, source: MediaElementAudioSourceNode, analyser: AnalyserNode, samples: Float32Array, stretchNode: AudioWorkletNode|null, isStretching: boolean}|null} The audio graph, or null if unavailable
+ */
+function getAudioGraph(video) {
+  if (audioGraphs.has(video)) {
+    return audioGraphs.get(video);
+  }
+  
+  try {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    
+    const audioContext = new AudioContextClass();
+    const source = audioContext.createMediaElementSource(video);
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 2048;
+    
+    // Keep the audio audible: source -> analyser -> speakers
+    source.connect(analyser);
+    analyser.connect(audioContext.destination);
+    
+    // Contexts created before a user gesture start suspended and would mute the video
+    video.addEventListener('play', () => resumeAudioContext(audioContext));
+    listenForAudioGesture();
+    resumeAudioContext(audioContext);
+    
+    const graph = {
+      audioContext,
+      source,
+      analyser,
+      samples: new Float32Array(analyser.fftSize),
+      stretchNode: null,       // Set once the time-stretch worklet has loaded
+      stretchLoading: null,    // Promise for the worklet, so it's only loaded once per context
+      isStretching: false      // Whether the source currently plays through the worklet
+    };
+    audioGraphs.set(video, graph);
+    return graph;
+  } catch (error) {
+    // Web Audio unavailable or the element is already sourced elsewhere
+    return null;
+  }
+}
+
+/**
+ * Loads the time-stretch worklet into a video's audio context, once per graph
+ * @param {Object} graph - The video's audio graph from getAudioGraph
+ * @returns {Promise<AudioWorkletNode|null>} The processor node, or null if AudioWorklet is unavailable or failed to load
+ */
+function loadTimeStretchNode(graph) {
+  if (!graph.stretchLoading) {
+    const { audioContext } = graph;
+    if (!audioContext.audioWorklet || typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.getURL) {
+      graph.stretchLoading = Promise.resolve(null);
+    } else {
+      graph.stretchLoading = audioContext.audioWorklet.addModule(chrome.runtime.getURL(TIME_STRETCH_WORKLET_FILE))
+        .then(() => {
+          graph.stretchNode = new AudioWorkletNode(audioContext, TIME_STRETCH_PROCESSOR);
+          return graph.stretchNode;
+        })
+        .catch(() => null);
+    }
+  }
+  return graph.stretchLoading;
+}
+
+/**
+ * Routes a video's audio through the time-stretch worklet or straight to the analyser
+ * @param {Object} graph - The video's audio graph from getAudioGraph
+ * @param {boolean} useStretch - Whether the audio should play through the worklet
+ */
+function connectTimeStretch(graph, useStretch) {
+  const isStretching = useStretch && graph.stretchNode !== null;
+  if (graph.isStretching === isStretching) return;
+  
+  graph.source.disconnect();
+  if (isStretching) {
+    graph.source.connect(graph.stretchNode);
+    graph.stretchNode.connect(graph.analyser);
+  } else {
+    if (graph.stretchNode) {
+      graph.stretchNode.disconnect();
+    }
+    graph.source.connect(graph.analyser);
+  }
+  graph.isStretching = isStretching;
+}
+
+/**
+ * Turns the browser's pitch preservation on or off, including its prefixed forms
+ * @param {HTMLVideoElement} video - The video to update
+ * @param {boolean} preserve - Whether the browser should keep the original pitch
+ */
+function setBrowserPreservesPitch(video, preserve) {
+  if ('preservesPitch' in video) {
+    video.preservesPitch = preserve;
+  } else if ('webkitPreservesPitch' in video) {
+    video.webkitPreservesPitch = preserve;
+  } else if ('mozPreservesPitch' in video) {
+    video.mozPreservesPitch = preserve;
+  }
+}
+
+/**
+ * Applies the pitch settings to a video for the speed it plays or is about to play at
+ * With enhanced time-stretch the browser's correction is turned off and the worklet lowers the
+ * sped-up audio by 1 / speed instead. Until the worklet has loaded, or if it can't, the browser's
+ * correction stays on. Turned-off sites get the browser's default behavior back.
+ * @param {HTMLVideoElement} video - The video to update
+ * @param {number} speed - The playback rate the settings are for
+ */
+function applyAudioSettings(video, speed = video.playbackRate) {
+  const siteEnabled = isSiteEnabled();
+  const preservePitch = !siteEnabled || loadPreservePitch();
+  const useStretch = siteEnabled && preservePitch && loadTimeStretchEnabled();
+  
+  // Only create an audio graph when the setting needs one
+  const graph = useStretch ? getAudioGraph(video) : audioGraphs.get(video);
+  if (graph) {
+    if (useStretch && !graph.stretchNode) {
+      loadTimeStretchNode(graph).then(node => {
+        if (node) applyAudioSettings(video);
+      });
+    }
+    
+    connectTimeStretch(graph, useStretch);
+    if (graph.isStretching) {
+      graph.stretchNode.parameters.get('pitchRatio').setValueAtTime(1 / speed, graph.audioContext.currentTime);
+    }
+  }
+  
+  setBrowserPreservesPitch(video, preservePitch && !(graph && graph.isStretching));
+}
+
+/**
+ * Applies the pitch settings to the main player's video after a setting or the site changed
+ */
+function refreshAudioSettings() {
+  const video = getPlayerVideo();
+  if (video) {
+    applyAudioSettings(video);
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * YouTube Speed Extender - Keyboard Shortcuts
+ *
+ * Turns the bound keys into speed changes, temporary speeds, ramps and the quick settings modal.
+ */
+
+/**
+ * Main keyboard event handler for speed control
+ * Looks the pressed key combination up in the shortcut table and the preset keys
+ * @param {KeyboardEvent} e - The keydown event
+ */
+function handleShortcutKeyDown(e) {
+  // Leave every key to the site while the extension is turned off for it
+  if (!isSiteEnabled()) return;
+  
+  // Ignore keypresses in input fields and editable content
+  if (e.target.tagName.toLowerCase() === 'input' || 
+      e.target.tagName.toLowerCase() === 'textarea' ||
+      e.target.isContentEditable) return;
+  
+  const binding = formatKeyboardEvent(e);
+  const shortcut = binding ? findShortcutAction(binding) : null;
+  if (!shortcut) return;
+  
+  if (shortcut.action === SHORTCUT_ACTIONS.OPEN_SETTINGS) {
+    e.preventDefault();
+    showSpeedSettingsModal();
+    return;
+  }
+  
+  const video = getPlayerVideo();
+  if (!video) return;
+  
+  if (shortcut.action === SHORTCUT_ACTIONS.TOGGLE_RAMP) {
+    e.preventDefault();
+    if (!e.repeat) {
+      toggleSpeedRamp();
+    }
+    return;
+  }
+  
+  // Any other speed key takes over from a ramp in progress
+  stopSpeedRamp();
+  
+  if (shortcut.action === SHORTCUT_ACTIONS.HOLD_BOOST) {
+    e.preventDefault();
+    // Key repeat keeps the boost going; releasing the key ends it
+    if (!e.repeat) {
+      startTemporarySpeed(TEMPORARY_SPEED_KINDS.BOOST, loadBoostSpeed(), e.key);
+    }
+    return;
+  }
+  
+  if (shortcut.action === SHORTCUT_ACTIONS.TOGGLE_NORMAL) {
+    e.preventDefault();
+    if (temporarySpeedState.kind === TEMPORARY_SPEED_KINDS.NORMAL) {
+      endTemporarySpeed();
+    } else if (!temporarySpeedState.kind) {
+      startTemporarySpeed(TEMPORARY_SPEED_KINDS.NORMAL, 1);
+    }
+    return;
+  }
+
+  // Step from the user's speed, not a temporary skip-silence, 1x, boost or zone speed
+  endSilenceSkip();
+  endTemporarySpeed();
+  overrideSpeedZone(true);
+  const newRate = getShortcutSpeed(shortcut, video.playbackRate);
+  const rule = shortcut.action === 'preset' ? getSpeedRuleLabel('preset', shortcut.preset.name) : '';
+  
+  // Reported even if the speed doesn't change (at min/max), so the overlay still shows
+  setSpeed(video, newRate, SPEED_SOURCES.KEYBOARD, '', rule);
+  e.preventDefault();
+}
@@ -0,0 +1,93 @@
+/**
+ * YouTube Speed Extender - Toolbar Popup Messaging
+ *
+ * Answers the toolbar popup, which controls the tab through chrome.runtime messages.
+ */
+
+/**
+ * Collects the state shown in the toolbar popup
+ * @returns {Object} Current speed, speed range, presets, navigation mode and site settings
+ */
+function getPopupState() {
+  const video = getPlayerVideo();
+  
+  return {
+    speed: video ? roundSpeed(video.playbackRate) : null,
+    minSpeed: MIN_SPEED,
+    maxSpeed: MAX_SPEED,
+    speedStep: SPEED_GRANULARITY,
+    presets: loadSpeedPresets(),
+    speedLadder: loadSpeedLadder(),
+    navigationMode: loadNavigationMode(),
+    customNavigationSpeed: loadCustomNavigationSpeed(),
+    site: getSiteKey(),
+    disabledSites: loadDisabledSites(),
+    speedRamp: loadSpeedRamp(),
+    isRampActive: isSpeedRampActive()
+  };
+}
+
+/**
+ * Handles a message from the toolbar popup
+ * @param {Object} message - The message, with a type from MESSAGE_TYPES
+ * @param {Object} sender - The message sender
+ * @param {Function} sendResponse - Replies with {ok, state} or {ok: false, error}
+ */
+function handleRuntimeMessage(message, sender, sendResponse) {
+  // Messages from other extensions or web pages are never accepted
+  if (sender.id !== chrome.runtime.id || !message || typeof message !== 'object') return;
+  
+  switch (message.type) {
+    case MESSAGE_TYPES.GET_STATE:
+      break;
+    
+    case MESSAGE_TYPES.SET_SPEED: {
+      if (!isSiteEnabled()) {
+        sendResponse({ ok: false, error: 'The extension is turned off for this site.' });
+        return;
+      }
+      if (!isValidSpeed(message.speed)) {
+        sendResponse({ ok: false, error: `Speed must be between ${MIN_SPEED}x and ${MAX_SPEED}x.` });
+        return;
+      }
+      if (!applyUserSpeed(roundSpeed(message.speed), SPEED_SOURCES.POPUP)) {
+        sendResponse({ ok: false, error: 'No video on this page.' });
+        return;
+      }
+      break;
+    }
+    
+    case MESSAGE_TYPES.SET_NAVIGATION_MODE:
+      if (!Object.values(NAVIGATION_MODES).includes(message.mode)) {
+        sendResponse({ ok: false, error: 'Unknown navigation mode.' });
+        return;
+      }
+      saveNavigationMode(message.mode);
+      break;
+    
+    case MESSAGE_TYPES.SET_SITE_ENABLED:
+      if (typeof message.site !== 'string' || !message.site || typeof message.enabled !== 'boolean') {
+        sendResponse({ ok: false, error: 'Invalid site setting.' });
+        return;
+      }
+      saveSiteEnabled(message.site, message.enabled);
+      refreshSiteEnabled();
+      break;
+    
+    case MESSAGE_TYPES.TOGGLE_RAMP:
+      if (!isSiteEnabled()) {
+        sendResponse({ ok: false, error: 'The extension is turned off for this site.' });
+        return;
+      }
+      if (!toggleSpeedRamp()) {
+        sendResponse({ ok: false, error: 'No video to ramp on this page, or an ad is playing.' });
+        return;
+      }
+      break;
+    
+    default:
+      return; // Not ours; let other listeners answer
+  }
+  
+  sendResponse({ ok: true, state: getPopupState() });
+}
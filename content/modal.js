@@ -0,0 +1,1269 @@
+/**
+ * YouTube Speed Extender - Quick Settings
+ *
+ * The in-page settings modal opened with the "Open quick settings" shortcut. It is built from
+ * inline HTML and reads and writes every value through the load/save functions in settings.js.
+ */
+
+/**
+ * Creates and displays the speed settings modal
+ * Allows users to configure navigation behavior and custom speeds
+ */
+function showSpeedSettingsModal() {
+  // Remove existing modal if present
+  const existingModal = document.getElementById('youtube-speed-settings-modal');
+  if (existingModal) {
+    existingModal.remove();
+    return; // Toggle behavior - if modal is open, close it
+  }
+
+  // Create modal overlay
+  const modalOverlay = document.createElement('div');
+  modalOverlay.id = 'youtube-speed-settings-modal';
+  modalOverlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.8);
+    z-index: 10000;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-family: 'Roboto', 'Arial', sans-serif;
+  `;
+
+  // Create modal content
+  const modalContent = document.createElement('div');
+  modalContent.style.cssText = `
+    background: #1f1f1f;
+    border-radius: 12px;
+    padding: 24px;
+    max-width: 480px;
+    width: 90%;
+    max-height: 80vh;
+    overflow-y: auto;
+    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+    color: #ffffff;
+    border: 1px solid #333;
+  `;  // Get current settings
+  const currentMode = loadNavigationMode();
+  const currentCustomSpeed = loadCustomNavigationSpeed();
+  const currentKeyboardSpeed = loadKeyboardSpeed();
+  const currentIncreaseStep = loadIncreaseSpeedStep();
+  const currentDecreaseStep = loadDecreaseSpeedStep();
+  const currentBoostSpeed = loadBoostSpeed();
+  const currentLadder = loadSpeedLadder();
+  const currentKeyStepMode = loadKeyStepMode();
+  const currentVideoMemoryEnabled = loadVideoMemoryEnabled();
+  const rememberedVideoCount = loadVideoSpeeds().length;
+  const currentPlaylistMemoryEnabled = loadPlaylistMemoryEnabled();
+  const rememberedPlaylistCount = loadPlaylistSpeeds().length;
+  const currentSilenceSkipEnabled = loadSilenceSkipEnabled();
+  const currentSilenceSpeed = loadSilenceSpeed();
+  const currentSilenceThreshold = loadSilenceThreshold();
+  const currentPreservePitch = loadPreservePitch();
+  const currentTimeStretchEnabled = loadTimeStretchEnabled();
+  const currentTimeDisplayEnabled = loadTimeDisplayEnabled();
+  const currentAdSpeedMode = loadAdSpeedMode();
+  const currentAdSpeed = loadAdSpeed();
+  const currentSpeedRamp = loadSpeedRamp();
+  const currentVideoId = getCurrentVideoId();
+  const rampInputStyle = `
+    background: #333; 
+    color: #fff; 
+    border: 1px solid #555; 
+    border-radius: 4px; 
+    padding: 6px 8px; 
+    font-size: 14px;
+    width: 64px;
+  `;
+
+  // Create modal HTML
+  modalContent.innerHTML = `
+    <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 20px;">
+      <h2 style="margin: 0; color: #fff; font-size: 20px; font-weight: 500;">YouTube Speed Extender Settings</h2>
+      <button id="close-settings-modal" style="
+        background: none; 
+        border: none; 
+        color: #aaa; 
+        font-size: 24px; 
+        cursor: pointer; 
+        padding: 0;
+        width: 32px;
+        height: 32px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        border-radius: 4px;
+        transition: all 0.2s ease;
+      " onmouseover="this.style.background='#333'; this.style.color='#fff';" onmouseout="this.style.background='none'; this.style.color='#aaa';">×</button>
+    </div>
+    <p style="margin: -12px 0 20px 0; color: #aaa; font-size: 13px; line-height: 1.4;">
+      Quick settings. Per-video speeds, sites and reset to defaults are in the extension's options page (toolbar icon → All Settings…).
+    </p>
+    
+    <div style="margin-bottom: 24px;">
+      <h3 style="margin: 0 0 12px 0; color: #fff; font-size: 16px; font-weight: 500;">Navigation Behavior</h3>
+      <p style="margin: 0 0 16px 0; color: #aaa; font-size: 14px; line-height: 1.4;">
+        Choose how playback speed should behave when you navigate to a new video:
+      </p>
+      
+      <div style="display: flex; flex-direction: column; gap: 12px;">
+        <label style="display: flex; align-items: flex-start; cursor: pointer; padding: 12px; border-radius: 8px; border: 1px solid #333; transition: all 0.2s ease;" 
+               onmouseover="this.style.background='#2a2a2a';" onmouseout="this.style.background='transparent';">
+          <input type="radio" name="navigation-mode" value="continue" ${currentMode === NAVIGATION_MODES.CONTINUE ? 'checked' : ''} 
+                 style="margin-right: 12px; margin-top: 2px; accent-color: #ff0000;">
+          <div>
+            <div style="color: #fff; font-weight: 500; margin-bottom: 4px;">Continue Current Speed</div>
+            <div style="color: #aaa; font-size: 13px; line-height: 1.3;">Keep using whatever speed you were watching the previous video at</div>
+          </div>
+        </label>
+        
+        <label style="display: flex; align-items: flex-start; cursor: pointer; padding: 12px; border-radius: 8px; border: 1px solid #333; transition: all 0.2s ease;" 
+               onmouseover="this.style.background='#2a2a2a';" onmouseout="this.style.background='transparent';">
+          <input type="radio" name="navigation-mode" value="default" ${currentMode === NAVIGATION_MODES.DEFAULT ? 'checked' : ''} 
+                 style="margin-right: 12px; margin-top: 2px; accent-color: #ff0000;">
+          <div>
+            <div style="color: #fff; font-weight: 500; margin-bottom: 4px;">Use Default Speed</div>
+            <div style="color: #aaa; font-size: 13px; line-height: 1.3;">Always start new videos at normal speed (1x)</div>
+          </div>
+        </label>
+        
+        <label style="display: flex; align-items: flex-start; cursor: pointer; padding: 12px; border-radius: 8px; border: 1px solid #333; transition: all 0.2s ease;" 
+               onmouseover="this.style.background='#2a2a2a';" onmouseout="this.style.background='transparent';">
+          <input type="radio" name="navigation-mode" value="custom" ${currentMode === NAVIGATION_MODES.CUSTOM ? 'checked' : ''} 
+                 style="margin-right: 12px; margin-top: 2px; accent-color: #ff0000;">
+          <div style="flex: 1;">
+            <div style="color: #fff; font-weight: 500; margin-bottom: 4px;">Use Custom Speed</div>
+            <div style="color: #aaa; font-size: 13px; line-height: 1.3; margin-bottom: 8px;">Always start new videos at a specific speed</div>
+            <div style="display: flex; align-items: center; gap: 8px;">
+              <input type="number" id="custom-speed-input" value="${currentCustomSpeed}" min="${MIN_SPEED}" max="${MAX_SPEED}" step="${SPEED_GRANULARITY}" style="
+                background: #333; 
+                color: #fff; 
+                border: 1px solid #555; 
+                border-radius: 4px; 
+                padding: 6px 8px; 
+                font-size: 14px;
+                width: 80px;
+              ">
+              <span style="color: #aaa; font-size: 13px;">playback speed (${MIN_SPEED}x–${MAX_SPEED}x)</span>
+            </div>
+          </div>
+        </label>
+        
+        <label style="display: flex; align-items: flex-start; cursor: pointer; padding: 12px; border-radius: 8px; border: 1px solid #333; transition: all 0.2s ease;" 
+               onmouseover="this.style.background='#2a2a2a';" onmouseout="this.style.background='transparent';">
+          <input type="radio" name="navigation-mode" value="channel" ${currentMode === NAVIGATION_MODES.CHANNEL ? 'checked' : ''} 
+                 style="margin-right: 12px; margin-top: 2px; accent-color: #ff0000;">
+          <div>
+            <div style="color: #fff; font-weight: 500; margin-bottom: 4px;">Per-Channel Speeds</div>
+            <div style="color: #aaa; font-size: 13px; line-height: 1.3;">Use each channel's speed from the table below; other channels continue the current speed</div>
+          </div>
+        </label>      </div>    </div>
+    
+    <div style="margin-bottom: 24px;">
+      <h3 style="margin: 0 0 12px 0; color: #fff; font-size: 16px; font-weight: 500;">Channel Speeds</h3>
+      <p style="margin: 0 0 12px 0; color: #aaa; font-size: 14px; line-height: 1.4;">
+        Enter a channel handle (@name), channel ID or channel URL. You can also pick
+        "Always use current speed" from the player's speed menu.
+      </p>
+      <div id="channel-speeds-list" style="display: flex; flex-direction: column; gap: 8px; max-height: 200px; overflow-y: auto; margin-bottom: 12px;"></div>
+      <button id="add-channel-speed" style="
+        background: #333; 
+        color: #fff; 
+        border: 1px solid #555; 
+        padding: 6px 12px; 
+        border-radius: 6px; 
+        cursor: pointer; 
+        font-size: 13px;
+        transition: all 0.2s ease;
+      " onmouseover="this.style.background='#444';" onmouseout="this.style.background='#333';">+ Add Channel</button>
+    </div>
+    
+    <div style="margin-bottom: 24px;">
+      <h3 style="margin: 0 0 12px 0; color: #fff; font-size: 16px; font-weight: 500;">Speed Ladder</h3>
+      <p style="margin: 0 0 12px 0; color: #aaa; font-size: 14px; line-height: 1.4;">
+        Speeds listed in the player's speed menu, separated by commas:
+      </p>
+      <input type="text" id="speed-ladder-input" value="${currentLadder.join(', ')}" style="
+        background: #333; 
+        color: #fff; 
+        border: 1px solid #555; 
+        border-radius: 4px; 
+        padding: 6px 8px; 
+        font-size: 14px;
+        width: 100%;
+        box-sizing: border-box;
+        font-family: monospace;
+      ">
+      <label style="display: flex; align-items: center; gap: 8px; margin-top: 12px; color: #fff; font-size: 13px; cursor: pointer;">
+        <input type="checkbox" id="ladder-step-mode-input" ${currentKeyStepMode === KEY_STEP_MODES.LADDER ? 'checked' : ''} style="accent-color: #ff0000;">
+        Increase/decrease keys step through the ladder instead of by a fixed step size
+      </label>
+    </div>
+    
+    <div style="margin-bottom: 24px;">
+      <h3 style="margin: 0 0 12px 0; color: #fff; font-size: 16px; font-weight: 500;">Speed Presets</h3>
+      <p style="margin: 0 0 12px 0; color: #aaa; font-size: 14px; line-height: 1.4;">
+        Named speeds shown at the top of the speed menu. Bind a key to jump straight to a preset.
+      </p>
+      <div id="speed-presets-list" style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 12px;"></div>
+      <button id="add-speed-preset" style="
+        background: #333; 
+        color: #fff; 
+        border: 1px solid #555; 
+        padding: 6px 12px; 
+        border-radius: 6px; 
+        cursor: pointer; 
+        font-size: 13px;
+        transition: all 0.2s ease;
+      " onmouseover="this.style.background='#444';" onmouseout="this.style.background='#333';">+ Add Preset</button>
+    </div>
+    
+    <div style="margin-bottom: 24px;">
+      <h3 style="margin: 0 0 12px 0; color: #fff; font-size: 16px; font-weight: 500;">Speed Memory</h3>
+      <label style="display: flex; align-items: center; gap: 8px; color: #fff; font-size: 13px; cursor: pointer;">
+        <input type="checkbox" id="video-memory-enabled-input" ${currentVideoMemoryEnabled ? 'checked' : ''} style="accent-color: #ff0000;">
+        Remember the speed used on each video and restore it when you come back
+      </label>
+      <div style="display: flex; align-items: center; justify-content: space-between; gap: 12px; margin-top: 12px;">
+        <span id="remembered-videos-count" style="color: #aaa; font-size: 13px;">${rememberedVideoCount} of ${MAX_REMEMBERED_VIDEOS} videos remembered</span>
+        <button id="clear-video-speeds" style="
+          background: #333; 
+          color: #fff; 
+          border: 1px solid #555; 
+          padding: 6px 12px; 
+          border-radius: 6px; 
+          cursor: pointer; 
+          font-size: 13px;
+          transition: all 0.2s ease;
+        " onmouseover="this.style.background='#444';" onmouseout="this.style.background='#333';">Clear Remembered Videos</button>
+      </div>
+      <label style="display: flex; align-items: center; gap: 8px; margin-top: 16px; color: #fff; font-size: 13px; cursor: pointer;">
+        <input type="checkbox" id="playlist-memory-enabled-input" ${currentPlaylistMemoryEnabled ? 'checked' : ''} style="accent-color: #ff0000;">
+        Keep one speed for each playlist, separate from the speed used for standalone videos
+      </label>
+      <div style="display: flex; align-items: center; justify-content: space-between; gap: 12px; margin-top: 12px;">
+        <span id="remembered-playlists-count" style="color: #aaa; font-size: 13px;">${rememberedPlaylistCount} of ${MAX_REMEMBERED_PLAYLISTS} playlists remembered</span>
+        <button id="clear-playlist-speeds" style="
+          background: #333; 
+          color: #fff; 
+          border: 1px solid #555; 
+          padding: 6px 12px; 
+          border-radius: 6px; 
+          cursor: pointer; 
+          font-size: 13px;
+          transition: all 0.2s ease;
+        " onmouseover="this.style.background='#444';" onmouseout="this.style.background='#333';">Clear Playlist Speeds</button>
+      </div>
+    </div>
+    
+    <div style="margin-bottom: 24px;">
+      <h3 style="margin: 0 0 12px 0; color: #fff; font-size: 16px; font-weight: 500;">Skip Silence</h3>
+      <label style="display: flex; align-items: center; gap: 8px; color: #fff; font-size: 13px; cursor: pointer;">
+        <input type="checkbox" id="silence-skip-enabled-input" ${currentSilenceSkipEnabled ? 'checked' : ''} style="accent-color: #ff0000;">
+        Speed through silent stretches, then return to your speed when sound resumes
+      </label>
+      <div style="display: flex; align-items: center; gap: 12px; margin-top: 12px;">
+        <label style="color: #fff; font-size: 13px; min-width: 120px;">Silence Speed:</label>
+        <input type="number" id="silence-speed-input" value="${currentSilenceSpeed}" min="${MIN_SPEED}" max="${MAX_SPEED}" step="${SPEED_GRANULARITY}" style="
+          background: #333; 
+          color: #fff; 
+          border: 1px solid #555; 
+          border-radius: 4px; 
+          padding: 6px 8px; 
+          font-size: 14px;
+          width: 64px;
+        ">
+        <span style="color: #aaa; font-size: 12px;">Speed used while the audio is silent</span>
+      </div>
+      <div style="display: flex; align-items: center; gap: 12px; margin-top: 12px;">
+        <label style="color: #fff; font-size: 13px; min-width: 120px;">Silence Threshold:</label>
+        <input type="number" id="silence-threshold-input" value="${currentSilenceThreshold}" min="${MIN_SILENCE_THRESHOLD}" max="${MAX_SILENCE_THRESHOLD}" step="1" style="
+          background: #333; 
+          color: #fff; 
+          border: 1px solid #555; 
+          border-radius: 4px; 
+          padding: 6px 8px; 
+          font-size: 14px;
+          width: 64px;
+        ">
+        <span style="color: #aaa; font-size: 12px;">dB; quieter audio counts as silence</span>
+      </div>
+    </div>
+    
+    <div style="margin-bottom: 24px;">
+      <h3 style="margin: 0 0 12px 0; color: #fff; font-size: 16px; font-weight: 500;">Audio Quality</h3>
+      <label style="display: flex; align-items: center; gap: 8px; color: #fff; font-size: 13px; cursor: pointer;">
+        <input type="checkbox" id="preserve-pitch-input" ${currentPreservePitch ? 'checked' : ''} style="accent-color: #ff0000;">
+        Preserve pitch (turn off for the raised "chipmunk" pitch of plain resampling)
+      </label>
+      <label style="display: flex; align-items: center; gap: 8px; color: #fff; font-size: 13px; cursor: pointer; margin-top: 8px;">
+        <input type="checkbox" id="time-stretch-enabled-input" ${currentTimeStretchEnabled ? 'checked' : ''} style="accent-color: #ff0000;">
+        Enhanced time-stretch: correct the pitch with the extension's audio processor instead of the browser's
+      </label>
+    </div>
+    
+    <div style="margin-bottom: 24px;">
+      <h3 style="margin: 0 0 12px 0; color: #fff; font-size: 16px; font-weight: 500;">Time Display</h3>
+      <label style="display: flex; align-items: center; gap: 8px; color: #fff; font-size: 13px; cursor: pointer;">
+        <input type="checkbox" id="time-display-enabled-input" ${currentTimeDisplayEnabled ? 'checked' : ''} style="accent-color: #ff0000;">
+        Show the time left at the current speed and when the video ends next to the player's time
+      </label>
+    </div>
+    
+    <div style="margin-bottom: 24px;">
+      <h3 style="margin: 0 0 12px 0; color: #fff; font-size: 16px; font-weight: 500;">Ads</h3>
+      <div style="display: flex; align-items: center; gap: 12px;">
+        <select id="ad-speed-mode-input" style="
+          background: #333; 
+          color: #fff; 
+          border: 1px solid #555; 
+          border-radius: 4px; 
+          padding: 6px 8px; 
+          font-size: 13px;
+        ">
+          <option value="${AD_SPEED_MODES.KEEP}" ${currentAdSpeedMode === AD_SPEED_MODES.KEEP ? 'selected' : ''}>Keep the video's speed</option>
+          <option value="${AD_SPEED_MODES.NORMAL}" ${currentAdSpeedMode === AD_SPEED_MODES.NORMAL ? 'selected' : ''}>Play ads at 1x</option>
+          <option value="${AD_SPEED_MODES.CUSTOM}" ${currentAdSpeedMode === AD_SPEED_MODES.CUSTOM ? 'selected' : ''}>Play ads at</option>
+        </select>
+        <input type="number" id="ad-speed-input" value="${currentAdSpeed}" min="${MIN_SPEED}" max="${MAX_SPEED}" step="${SPEED_GRANULARITY}" style="
+          background: #333; 
+          color: #fff; 
+          border: 1px solid #555; 
+          border-radius: 4px; 
+          padding: 6px 8px; 
+          font-size: 14px;
+          width: 64px;
+        ">
+      </div>
+      <p style="margin: 8px 0 0 0; color: #aaa; font-size: 12px; line-height: 1.4;">
+        Your speed comes back when the ad ends. Speed changes during ads are never saved.
+      </p>
+    </div>
+    
+    <div style="margin-bottom: 24px;">
+      <h3 style="margin: 0 0 12px 0; color: #fff; font-size: 16px; font-weight: 500;">Speed Ramp</h3>
+      <div style="display: flex; align-items: center; gap: 12px;">
+        <select id="ramp-mode-input" style="
+          background: #333; 
+          color: #fff; 
+          border: 1px solid #555; 
+          border-radius: 4px; 
+          padding: 6px 8px; 
+          font-size: 13px;
+        ">
+          <option value="${RAMP_MODES.LINEAR}" ${currentSpeedRamp.mode === RAMP_MODES.LINEAR ? 'selected' : ''}>Ramp gradually</option>
+          <option value="${RAMP_MODES.STEP}" ${currentSpeedRamp.mode === RAMP_MODES.STEP ? 'selected' : ''}>Ramp in steps</option>
+        </select>
+        <span style="color: #fff; font-size: 13px;">from</span>
+        <input type="number" id="ramp-start-speed-input" value="${currentSpeedRamp.startSpeed}" min="${MIN_SPEED}" max="${MAX_SPEED}" step="${SPEED_GRANULARITY}" style="${rampInputStyle}">
+        <span style="color: #fff; font-size: 13px;">to</span>
+        <input type="number" id="ramp-target-speed-input" value="${currentSpeedRamp.targetSpeed}" min="${MIN_SPEED}" max="${MAX_SPEED}" step="${SPEED_GRANULARITY}" style="${rampInputStyle}">
+      </div>
+      <div id="ramp-linear-options" style="display: flex; align-items: center; gap: 12px; margin-top: 12px;">
+        <label style="color: #fff; font-size: 13px; min-width: 120px;">Over:</label>
+        <input type="number" id="ramp-duration-input" value="${currentSpeedRamp.duration}" min="${MIN_RAMP_MINUTES}" max="${MAX_RAMP_MINUTES}" step="any" style="${rampInputStyle}">
+        <span style="color: #aaa; font-size: 12px;">minutes of video</span>
+      </div>
+      <div id="ramp-step-options" style="display: flex; align-items: center; gap: 12px; margin-top: 12px;">
+        <label style="color: #fff; font-size: 13px; min-width: 120px;">Step by:</label>
+        <input type="number" id="ramp-step-amount-input" value="${currentSpeedRamp.stepAmount}" min="${SPEED_GRANULARITY}" max="${MAX_SPEED_STEP}" step="${SPEED_GRANULARITY}" style="${rampInputStyle}">
+        <span style="color: #fff; font-size: 13px;">every</span>
+        <input type="number" id="ramp-step-interval-input" value="${currentSpeedRamp.stepInterval}" min="${MIN_RAMP_MINUTES}" max="${MAX_RAMP_MINUTES}" step="any" style="${rampInputStyle}">
+        <span style="color: #aaa; font-size: 12px;">minutes of video</span>
+      </div>
+      <p style="margin: 8px 0 0 0; color: #aaa; font-size: 12px; line-height: 1.4;">
+        Start or stop it with the "Start/stop speed ramp" shortcut or from the toolbar popup. Any speed key or speed change cancels it.
+        Intermediate speeds are never saved; the target speed is once the ramp completes.
+      </p>
+    </div>
+    
+    <div style="margin-bottom: 24px;">
+      <h3 style="margin: 0 0 12px 0; color: #fff; font-size: 16px; font-weight: 500;">Chapter Speeds</h3>
+      <p style="margin: 0 0 12px 0; color: #aaa; font-size: 14px; line-height: 1.4;">
+        Chapters whose title contains the text play at its speed; the first matching rule wins.
+        Chapters come from the video's chapter list or the timestamps in its description.
+      </p>
+      <div id="chapter-rules-list" style="display: flex; flex-direction: column; gap: 8px; max-height: 200px; overflow-y: auto; margin-bottom: 12px;"></div>
+      <button id="add-chapter-rule" style="
+        background: #333; 
+        color: #fff; 
+        border: 1px solid #555; 
+        padding: 6px 12px; 
+        border-radius: 6px; 
+        cursor: pointer; 
+        font-size: 13px;
+        transition: all 0.2s ease;
+      " onmouseover="this.style.background='#444';" onmouseout="this.style.background='#333';">+ Add Rule</button>
+    </div>
+    
+    <div id="speed-zones-section" style="margin-bottom: 24px;" ${currentVideoId ? '' : 'hidden'}>
+      <h3 style="margin: 0 0 12px 0; color: #fff; font-size: 16px; font-weight: 500;">Speed Zones for This Video</h3>
+      <p style="margin: 0 0 12px 0; color: #aaa; font-size: 14px; line-height: 1.4;">
+        Plays the video at a speed between two timestamps (m:ss or h:mm:ss). Zones take precedence over chapter speeds;
+        changing the speed inside one turns it off until playback leaves it.
+      </p>
+      <div id="speed-zones-list" style="display: flex; flex-direction: column; gap: 8px; max-height: 200px; overflow-y: auto; margin-bottom: 12px;"></div>
+      <button id="add-speed-zone" style="
+        background: #333; 
+        color: #fff; 
+        border: 1px solid #555; 
+        padding: 6px 12px; 
+        border-radius: 6px; 
+        cursor: pointer; 
+        font-size: 13px;
+        transition: all 0.2s ease;
+      " onmouseover="this.style.background='#444';" onmouseout="this.style.background='#333';">+ Add Zone</button>
+    </div>
+    
+    <div style="margin-bottom: 24px;">
+      <h3 style="margin: 0 0 12px 0; color: #fff; font-size: 16px; font-weight: 500;">Time Saved</h3>
+      <p style="margin: 0 0 8px 0; color: #aaa; font-size: 13px; line-height: 1.4;">
+        Video time watched, the real time it took and the difference. Kept on this device only.
+      </p>
+      <div id="watch-stats"></div>
+      <div style="display: flex; gap: 8px; justify-content: flex-end; margin-top: 12px;">
+        <button id="export-watch-stats" style="
+          background: #333; 
+          color: #fff; 
+          border: 1px solid #555; 
+          padding: 6px 12px; 
+          border-radius: 6px; 
+          cursor: pointer; 
+          font-size: 13px;
+          transition: all 0.2s ease;
+        " onmouseover="this.style.background='#444';" onmouseout="this.style.background='#333';">Export CSV</button>
+        <button id="clear-watch-stats" style="
+          background: #333; 
+          color: #fff; 
+          border: 1px solid #555; 
+          padding: 6px 12px; 
+          border-radius: 6px; 
+          cursor: pointer; 
+          font-size: 13px;
+          transition: all 0.2s ease;
+        " onmouseover="this.style.background='#444';" onmouseout="this.style.background='#333';">Reset Statistics</button>
+      </div>
+    </div>
+    
+    <div style="margin-bottom: 24px; padding: 16px; background: #2a2a2a; border-radius: 8px; border-left: 3px solid #ff0000;">
+      <h4 style="margin: 0 0 12px 0; color: #fff; font-size: 14px; font-weight: 500;">Keyboard Shortcuts</h4>
+      
+      <div id="shortcut-editor-container" style="margin-bottom: 16px;"></div>
+      
+      <div style="display: flex; flex-direction: column; gap: 12px; margin-bottom: 16px;">
+        <div style="display: flex; align-items: center; gap: 12px;">
+          <label style="color: #fff; font-size: 13px; min-width: 120px;">Increase Step:</label>
+          <input type="number" id="increase-step-input" value="${currentIncreaseStep}" min="${SPEED_GRANULARITY}" max="${MAX_SPEED_STEP}" step="${SPEED_GRANULARITY}" style="
+            background: #333; 
+            color: #fff; 
+            border: 1px solid #555; 
+            border-radius: 4px; 
+            padding: 6px 8px; 
+            font-size: 14px;
+            width: 64px;
+            text-align: center;
+            font-family: monospace;
+          ">
+          <span style="color: #aaa; font-size: 12px;">Speed added per key press</span>
+        </div>
+        
+        <div style="display: flex; align-items: center; gap: 12px;">
+          <label style="color: #fff; font-size: 13px; min-width: 120px;">Decrease Step:</label>
+          <input type="number" id="decrease-step-input" value="${currentDecreaseStep}" min="${SPEED_GRANULARITY}" max="${MAX_SPEED_STEP}" step="${SPEED_GRANULARITY}" style="
+            background: #333; 
+            color: #fff; 
+            border: 1px solid #555; 
+            border-radius: 4px; 
+            padding: 6px 8px; 
+            font-size: 14px;
+            width: 64px;
+            text-align: center;
+            font-family: monospace;
+          ">
+          <span style="color: #aaa; font-size: 12px;">Speed removed per key press</span>
+        </div>
+        
+        <div style="display: flex; align-items: center; gap: 12px;">
+          <label style="color: #fff; font-size: 13px; min-width: 120px;">Boost Speed:</label>
+          <input type="number" id="boost-speed-input" value="${currentBoostSpeed}" min="${MIN_SPEED}" max="${MAX_SPEED}" step="${SPEED_GRANULARITY}" style="
+            background: #333; 
+            color: #fff; 
+            border: 1px solid #555; 
+            border-radius: 4px; 
+            padding: 6px 8px; 
+            font-size: 14px;
+            width: 64px;
+            text-align: center;
+            font-family: monospace;
+          ">
+          <span style="color: #aaa; font-size: 12px;">Speed while the hold-to-boost key is held</span>
+        </div>
+      </div>
+      
+      <div style="color: #aaa; font-size: 12px; line-height: 1.4; padding-top: 12px; border-top: 1px solid #444;">
+        Click <strong style="color: #fff;">+ Add</strong> and press a key, optionally with Ctrl, Alt, Shift or Meta. Esc cancels.
+      </div>
+    </div>
+    
+    <div id="import-preview" style="display: none; margin-bottom: 24px; padding: 16px; background: #2a2a2a; border-radius: 8px; border-left: 3px solid #3ea6ff;">
+      <h4 id="import-preview-title" style="margin: 0 0 12px 0; color: #fff; font-size: 14px; font-weight: 500;"></h4>
+      <ul id="import-preview-list" style="margin: 0 0 12px 0; padding-left: 20px; color: #ddd; font-size: 13px; line-height: 1.5;"></ul>
+      <div style="display: flex; gap: 8px; justify-content: flex-end;">
+        <button id="import-cancel" style="
+          background: #333; 
+          color: #fff; 
+          border: 1px solid #555; 
+          padding: 6px 12px; 
+          border-radius: 6px; 
+          cursor: pointer; 
+          font-size: 13px;
+        ">Discard</button>
+        <button id="import-apply" style="
+          background: #3ea6ff; 
+          color: #0f0f0f; 
+          border: none; 
+          padding: 6px 12px; 
+          border-radius: 6px; 
+          cursor: pointer; 
+          font-size: 13px;
+          font-weight: 500;
+        ">Apply Imported Settings</button>
+      </div>
+    </div>
+    
+    <div style="display: flex; gap: 12px; justify-content: flex-end;">
+      <button id="export-settings" style="
+        background: #333; 
+        color: #fff; 
+        border: 1px solid #555; 
+        padding: 10px 16px; 
+        border-radius: 6px; 
+        cursor: pointer; 
+        font-size: 14px;
+        transition: all 0.2s ease;
+      " onmouseover="this.style.background='#444';" onmouseout="this.style.background='#333';">Export</button>
+      <button id="import-settings" style="
+        background: #333; 
+        color: #fff; 
+        border: 1px solid #555; 
+        padding: 10px 16px; 
+        border-radius: 6px; 
+        cursor: pointer; 
+        font-size: 14px;
+        margin-right: auto;
+        transition: all 0.2s ease;
+      " onmouseover="this.style.background='#444';" onmouseout="this.style.background='#333';">Import</button>
+      <input type="file" id="import-settings-file" accept="application/json,.json" style="display: none;">
+      <button id="cancel-settings" style="
+        background: #333; 
+        color: #fff; 
+        border: 1px solid #555; 
+        padding: 10px 20px; 
+        border-radius: 6px; 
+        cursor: pointer; 
+        font-size: 14px;
+        transition: all 0.2s ease;
+      " onmouseover="this.style.background='#444';" onmouseout="this.style.background='#333';">Close</button>
+      <button id="save-settings" style="
+        background: #ff0000; 
+        color: #fff; 
+        border: none; 
+        padding: 10px 20px; 
+        border-radius: 6px; 
+        cursor: pointer; 
+        font-size: 14px;
+        font-weight: 500;
+        transition: all 0.2s ease;
+      " onmouseover="this.style.background='#cc0000';" onmouseout="this.style.background='#ff0000';">Save Settings</button>
+    </div>
+  `;
+
+  modalContent.querySelector('#shortcut-editor-container').appendChild(createShortcutEditor(loadShortcuts()));
+  
+  // Include the watch time collected since the last write
+  flushWatchStats();
+  renderWatchStats(modalContent.querySelector('#watch-stats'));
+
+  // Preset rows are built with DOM APIs so user-entered names are never parsed as HTML
+  const presetsList = modalContent.querySelector('#speed-presets-list');
+  loadSpeedPresets().forEach(preset => {
+    presetsList.appendChild(styleModalRow(createPresetRow(preset)));
+  });
+
+  const channelSpeedsList = modalContent.querySelector('#channel-speeds-list');
+  loadChannelSpeeds().forEach(rule => {
+    channelSpeedsList.appendChild(styleModalRow(createChannelSpeedRow(rule)));
+  });
+
+  const chapterRulesList = modalContent.querySelector('#chapter-rules-list');
+  loadChapterRules().forEach(rule => {
+    chapterRulesList.appendChild(styleModalRow(createChapterRuleRow(rule)));
+  });
+
+  const speedZonesList = modalContent.querySelector('#speed-zones-list');
+  loadVideoSpeedZones(currentVideoId).forEach(zone => {
+    speedZonesList.appendChild(createSpeedZoneRow(zone));
+  });
+
+  modalOverlay.appendChild(modalContent);
+  document.body.appendChild(modalOverlay);
+
+  // Add event listeners
+  setupModalEventListeners(modalOverlay);
+}
+
+/**
+ * Gives a preset, channel or chapter rule row from settings.js the modal's inline look
+ * YouTube's page has no stylesheet for the classes the options page styles these rows with.
+ * @param {HTMLElement} row - The row from createPresetRow, createChannelSpeedRow or createChapterRuleRow
+ * @returns {HTMLElement} The same row
+ */
+function styleModalRow(row) {
+  const inputStyle = `
+    background: #333; 
+    color: #fff; 
+    border: 1px solid #555; 
+    border-radius: 4px; 
+    padding: 6px 8px; 
+    font-size: 14px;
+  `;
+  
+  row.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+  row.querySelectorAll('input').forEach(input => {
+    if (input.classList.contains('wide')) {
+      input.style.cssText = `${inputStyle} flex: 1; min-width: 0;`;
+    } else if (input.classList.contains('key-input')) {
+      input.style.cssText = `${inputStyle} width: 96px; text-align: center; font-family: monospace;`;
+    } else {
+      input.style.cssText = `${inputStyle} width: 72px;`;
+    }
+  });
+  
+  const removeButton = row.querySelector('button.remove');
+  removeButton.style.cssText = `
+    background: none; 
+    border: none; 
+    color: #aaa; 
+    font-size: 18px; 
+    cursor: pointer; 
+    padding: 0 4px;
+  `;
+  removeButton.addEventListener('mouseover', () => { removeButton.style.color = '#fff'; });
+  removeButton.addEventListener('mouseout', () => { removeButton.style.color = '#aaa'; });
+  
+  return row;
+}
+
+/**
+ * Creates an editable row for one of the current video's speed zones in the settings modal
+ * @param {{start: number, end: number, speed: number}} zone - The zone to edit
+ * @returns {HTMLElement} The speed zone row element
+ */
+function createSpeedZoneRow(zone) {
+  const inputStyle = `
+    background: #333; 
+    color: #fff; 
+    border: 1px solid #555; 
+    border-radius: 4px; 
+    padding: 6px 8px; 
+    font-size: 14px;
+  `;
+  
+  const row = document.createElement('div');
+  row.className = 'speed-zone-row';
+  row.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+  row.innerHTML = `
+    <input type="text" class="zone-start-input" placeholder="0:00" style="${inputStyle} width: 72px; font-family: monospace;">
+    <span style="color: #aaa;">–</span>
+    <input type="text" class="zone-end-input" placeholder="1:00" style="${inputStyle} width: 72px; font-family: monospace;">
+    <input type="number" class="zone-speed-input" min="${MIN_SPEED}" max="${MAX_SPEED}" step="${SPEED_GRANULARITY}" style="${inputStyle} width: 72px;">
+    <button class="remove-speed-zone" title="Remove zone" style="
+      background: none; 
+      border: none; 
+      color: #aaa; 
+      font-size: 18px; 
+      cursor: pointer; 
+      padding: 0 4px;
+    " onmouseover="this.style.color='#fff';" onmouseout="this.style.color='#aaa';">×</button>
+  `;
+  
+  row.querySelector('.zone-start-input').value = formatTimestamp(zone.start);
+  row.querySelector('.zone-end-input').value = formatTimestamp(zone.end);
+  row.querySelector('.zone-speed-input').value = zone.speed;
+  
+  return row;
+}
+
+/**
+ * Sets up event listeners for the settings modal
+ * @param {HTMLElement} modalOverlay - The modal overlay element
+ */
+function setupModalEventListeners(modalOverlay) {
+  const closeButton = modalOverlay.querySelector('#close-settings-modal');
+  const cancelButton = modalOverlay.querySelector('#cancel-settings');
+  const saveButton = modalOverlay.querySelector('#save-settings');
+  const customSpeedInput = modalOverlay.querySelector('#custom-speed-input');
+  const increaseStepInput = modalOverlay.querySelector('#increase-step-input');
+  const decreaseStepInput = modalOverlay.querySelector('#decrease-step-input');
+  const boostSpeedInput = modalOverlay.querySelector('#boost-speed-input');
+  const speedLadderInput = modalOverlay.querySelector('#speed-ladder-input');
+  const ladderStepModeInput = modalOverlay.querySelector('#ladder-step-mode-input');
+  const presetsList = modalOverlay.querySelector('#speed-presets-list');
+  const addPresetButton = modalOverlay.querySelector('#add-speed-preset');
+  const videoMemoryEnabledInput = modalOverlay.querySelector('#video-memory-enabled-input');
+  const clearVideoSpeedsButton = modalOverlay.querySelector('#clear-video-speeds');
+  const rememberedVideosCount = modalOverlay.querySelector('#remembered-videos-count');
+  const playlistMemoryEnabledInput = modalOverlay.querySelector('#playlist-memory-enabled-input');
+  const clearPlaylistSpeedsButton = modalOverlay.querySelector('#clear-playlist-speeds');
+  const rememberedPlaylistsCount = modalOverlay.querySelector('#remembered-playlists-count');
+  const channelSpeedsList = modalOverlay.querySelector('#channel-speeds-list');
+  const addChannelSpeedButton = modalOverlay.querySelector('#add-channel-speed');
+  const chapterRulesList = modalOverlay.querySelector('#chapter-rules-list');
+  const addChapterRuleButton = modalOverlay.querySelector('#add-chapter-rule');
+  const speedZonesList = modalOverlay.querySelector('#speed-zones-list');
+  const addSpeedZoneButton = modalOverlay.querySelector('#add-speed-zone');
+  const currentVideoId = getCurrentVideoId(); // The zones listed belong to the video the modal was opened on
+  const silenceSkipEnabledInput = modalOverlay.querySelector('#silence-skip-enabled-input');
+  const silenceSpeedInput = modalOverlay.querySelector('#silence-speed-input');
+  const silenceThresholdInput = modalOverlay.querySelector('#silence-threshold-input');
+  const preservePitchInput = modalOverlay.querySelector('#preserve-pitch-input');
+  const timeStretchEnabledInput = modalOverlay.querySelector('#time-stretch-enabled-input');
+  const timeDisplayEnabledInput = modalOverlay.querySelector('#time-display-enabled-input');
+  const adSpeedModeInput = modalOverlay.querySelector('#ad-speed-mode-input');
+  const adSpeedInput = modalOverlay.querySelector('#ad-speed-input');
+  const rampModeInput = modalOverlay.querySelector('#ramp-mode-input');
+  const rampStartSpeedInput = modalOverlay.querySelector('#ramp-start-speed-input');
+  const rampTargetSpeedInput = modalOverlay.querySelector('#ramp-target-speed-input');
+  const rampDurationInput = modalOverlay.querySelector('#ramp-duration-input');
+  const rampStepAmountInput = modalOverlay.querySelector('#ramp-step-amount-input');
+  const rampStepIntervalInput = modalOverlay.querySelector('#ramp-step-interval-input');
+  const exportButton = modalOverlay.querySelector('#export-settings');
+  const importButton = modalOverlay.querySelector('#import-settings');
+  const importFileInput = modalOverlay.querySelector('#import-settings-file');
+  const importPreview = modalOverlay.querySelector('#import-preview');
+  const importPreviewTitle = modalOverlay.querySelector('#import-preview-title');
+  const importPreviewList = modalOverlay.querySelector('#import-preview-list');
+  const importApplyButton = modalOverlay.querySelector('#import-apply');
+  const importCancelButton = modalOverlay.querySelector('#import-cancel');
+  const radioButtons = modalOverlay.querySelectorAll('input[name="navigation-mode"]');
+  const shortcutEditor = modalOverlay.querySelector('.shortcut-editor');
+
+  // Close modal handlers
+  const closeModal = () => modalOverlay.remove();
+  
+  closeButton.addEventListener('click', closeModal);
+  cancelButton.addEventListener('click', closeModal);
+  
+  // Close on overlay click (but not on modal content click)
+  modalOverlay.addEventListener('click', (e) => {
+    if (e.target === modalOverlay) {
+      closeModal();
+    }
+  });
+
+  // Close on Escape key
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') {
+      closeModal();
+      document.removeEventListener('keydown', handleEscape);
+    }
+  };
+  document.addEventListener('keydown', handleEscape);
+
+  // Enable custom speed select when custom mode is selected
+  const updateCustomSpeedState = () => {
+    const customModeSelected = modalOverlay.querySelector('input[value="custom"]').checked;
+    customSpeedInput.disabled = !customModeSelected;
+    customSpeedInput.style.opacity = customModeSelected ? '1' : '0.5';
+  };
+
+  // Update custom speed state on radio button change
+  radioButtons.forEach(radio => {
+    radio.addEventListener('change', updateCustomSpeedState);
+  });
+
+  // Initialize custom speed state
+  updateCustomSpeedState();
+  // Auto-select custom mode when custom speed is changed
+  customSpeedInput.addEventListener('input', () => {
+    modalOverlay.querySelector('input[value="custom"]').checked = true;
+    updateCustomSpeedState();
+  });
+  
+  // The ad speed only applies in custom ad speed mode
+  const updateAdSpeedState = () => {
+    const customAdSpeedSelected = adSpeedModeInput.value === AD_SPEED_MODES.CUSTOM;
+    adSpeedInput.disabled = !customAdSpeedSelected;
+    adSpeedInput.style.opacity = customAdSpeedSelected ? '1' : '0.5';
+  };
+  adSpeedModeInput.addEventListener('change', updateAdSpeedState);
+  updateAdSpeedState();
+  
+  // Time-stretching is a way of preserving pitch, so it needs pitch preservation on
+  const updateTimeStretchState = () => {
+    timeStretchEnabledInput.disabled = !preservePitchInput.checked;
+    timeStretchEnabledInput.parentElement.style.opacity = preservePitchInput.checked ? '1' : '0.5';
+  };
+  preservePitchInput.addEventListener('change', updateTimeStretchState);
+  updateTimeStretchState();
+  
+  // Only the options for the selected ramp mode apply
+  const updateRampModeState = () => {
+    const isStepMode = rampModeInput.value === RAMP_MODES.STEP;
+    rampDurationInput.disabled = isStepMode;
+    rampStepAmountInput.disabled = !isStepMode;
+    rampStepIntervalInput.disabled = !isStepMode;
+    modalOverlay.querySelector('#ramp-linear-options').style.opacity = isStepMode ? '0.5' : '1';
+    modalOverlay.querySelector('#ramp-step-options').style.opacity = isStepMode ? '1' : '0.5';
+  };
+  rampModeInput.addEventListener('change', updateRampModeState);
+  updateRampModeState();
+  // Setup key input handlers
+  const setupKeyInput = (input) => {
+    // Handle focus to prepare for key capture
+    input.addEventListener('focus', () => {
+      input.style.borderColor = '#ff0000';
+      input.style.backgroundColor = '#2a2a2a';
+    });
+    
+    input.addEventListener('keydown', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      
+      // Wait for the rest of a combination while only modifiers are held
+      if (MODIFIER_KEY_NAMES.includes(e.key)) return;
+      
+      // Don't allow certain keys
+      if (e.key === 'Escape' || e.key === 'Tab' || e.key === 'Enter') {
+        input.blur();
+        return;
+      }
+      
+      // Backspace/Delete clears the binding
+      if (e.key === 'Backspace' || e.key === 'Delete') {
+        input.value = '';
+        input.blur();
+        return;
+      }
+      
+      // Don't allow the same combination for two bindings
+      const binding = formatKeyboardEvent(e);
+      if (!binding || findBindingOwner(modalOverlay, binding, input)) {
+        // Briefly highlight the conflict
+        input.style.borderColor = '#ff4444';
+        input.style.backgroundColor = '#443333';
+        setTimeout(() => {
+          input.style.borderColor = '#555';
+          input.style.backgroundColor = '#333';
+        }, 1000);
+        return;
+      }
+      
+      // Set the key
+      input.value = binding;
+      input.style.borderColor = '#00aa00';
+      input.style.backgroundColor = '#333';
+      setTimeout(() => {
+        input.style.borderColor = '#555';
+        input.blur();
+      }, 500);
+    });
+    
+    // Prevent typing in the input
+    input.addEventListener('input', (e) => {
+      e.preventDefault();
+    });
+    
+    // Clear focus styles on blur
+    input.addEventListener('blur', () => {
+      input.style.borderColor = '#555';
+      input.style.backgroundColor = '#333';
+    });
+  };
+
+  // Preset rows: bind existing rows, add new ones and remove on request
+  presetsList.querySelectorAll('.preset-key-input').forEach(setupKeyInput);
+  
+  addPresetButton.addEventListener('click', () => {
+    if (presetsList.children.length >= MAX_PRESETS) return;
+    const video = getPlayerVideo();
+    const row = styleModalRow(createPresetRow({ name: '', speed: video ? roundSpeed(video.playbackRate) : 1, key: '' }));
+    presetsList.appendChild(row);
+    setupKeyInput(row.querySelector('.preset-key-input'));
+    row.querySelector('.preset-name-input').focus();
+  });
+  
+  presetsList.addEventListener('click', (e) => {
+    const removeButton = e.target.closest('button.remove');
+    if (removeButton) {
+      removeButton.closest('.preset-row').remove();
+    }
+  });
+
+  // Channel rows: prefill new rows with the current channel and speed when available
+  addChannelSpeedButton.addEventListener('click', () => {
+    if (channelSpeedsList.children.length >= MAX_CHANNEL_RULES) return;
+    const video = getPlayerVideo();
+    const channel = getCurrentChannel();
+    const listedIds = [...channelSpeedsList.querySelectorAll('.channel-id-input')].map(input => input.value);
+    const isListed = channel && listedIds.includes(channel.id);
+    const row = styleModalRow(createChannelSpeedRow({
+      id: channel && !isListed ? channel.id : '',
+      name: channel && !isListed ? channel.name : '',
+      speed: video ? roundSpeed(video.playbackRate) : 1
+    }));
+    channelSpeedsList.appendChild(row);
+    row.querySelector('.channel-id-input').focus();
+  });
+  
+  channelSpeedsList.addEventListener('click', (e) => {
+    const removeButton = e.target.closest('button.remove');
+    if (removeButton) {
+      removeButton.closest('.channel-speed-row').remove();
+    }
+  });
+
+  // Chapter rows: prefill new rows with the current chapter's title when it has no rule yet
+  addChapterRuleButton.addEventListener('click', () => {
+    if (chapterRulesList.children.length >= MAX_CHAPTER_RULES) return;
+    const video = getPlayerVideo();
+    const title = video ? getCurrentChapterTitle(video) : null;
+    const row = styleModalRow(createChapterRuleRow({
+      pattern: title && !findChapterRule(title) ? title.slice(0, MAX_CHAPTER_PATTERN_LENGTH) : '',
+      speed: 2
+    }));
+    chapterRulesList.appendChild(row);
+    row.querySelector('.chapter-pattern-input').focus();
+  });
+
+  chapterRulesList.addEventListener('click', (e) => {
+    const removeButton = e.target.closest('button.remove');
+    if (removeButton) {
+      removeButton.closest('.chapter-rule-row').remove();
+    }
+  });
+
+  // Zone rows: new zones start at the current position and last a minute
+  addSpeedZoneButton.addEventListener('click', () => {
+    if (speedZonesList.children.length >= MAX_SPEED_ZONES) return;
+    const video = getPlayerVideo();
+    const start = video ? Math.floor(video.currentTime) : 0;
+    const row = createSpeedZoneRow({ start, end: start + 60, speed: 2 });
+    speedZonesList.appendChild(row);
+    row.querySelector('.zone-end-input').focus();
+  });
+
+  speedZonesList.addEventListener('click', (e) => {
+    const removeButton = e.target.closest('.remove-speed-zone');
+    if (removeButton) {
+      removeButton.closest('.speed-zone-row').remove();
+    }
+  });
+
+  // Clearing remembered videos and playlists takes effect immediately, independent of Save
+  clearVideoSpeedsButton.addEventListener('click', () => {
+    clearVideoSpeeds();
+    rememberedVideosCount.textContent = `0 of ${MAX_REMEMBERED_VIDEOS} videos remembered`;
+  });
+  
+  clearPlaylistSpeedsButton.addEventListener('click', () => {
+    clearPlaylistSpeeds();
+    rememberedPlaylistsCount.textContent = `0 of ${MAX_REMEMBERED_PLAYLISTS} playlists remembered`;
+  });
+  
+  // Watch-time statistics are exported and reset immediately too
+  modalOverlay.querySelector('#export-watch-stats').addEventListener('click', () => {
+    flushWatchStats();
+    exportWatchStats();
+  });
+  
+  modalOverlay.querySelector('#clear-watch-stats').addEventListener('click', () => {
+    flushWatchStats();
+    clearWatchStats();
+    renderWatchStats(modalOverlay.querySelector('#watch-stats'));
+  });
+
+  // Export/import: imported files are validated and previewed before anything is saved
+  let pendingImport = null;
+  
+  const showImportPreview = (title, lines, canApply) => {
+    importPreviewTitle.textContent = title;
+    importPreviewList.replaceChildren(...lines.map(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      return item;
+    }));
+    importApplyButton.style.display = canApply ? '' : 'none';
+    importPreview.style.display = 'block';
+    importPreview.scrollIntoView({ block: 'nearest' });
+  };
+  
+  exportButton.addEventListener('click', exportSettings);
+  importButton.addEventListener('click', () => importFileInput.click());
+  
+  importFileInput.addEventListener('change', async () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) return;
+    
+    pendingImport = null;
+    let settingsDocument;
+    try {
+      settingsDocument = JSON.parse(await file.text());
+    } catch (error) {
+      showImportPreview('Import failed', ['The file is not valid JSON.'], false);
+      return;
+    }
+    
+    const { settings, errors } = validateSettingsDocument(settingsDocument);
+    if (errors.length > 0) {
+      showImportPreview('Import failed', errors, false);
+      return;
+    }
+    
+    const changes = diffSettings(settings);
+    if (changes.length === 0) {
+      showImportPreview('Nothing to import', ['The file matches your current settings.'], false);
+      return;
+    }
+    
+    pendingImport = settings;
+    showImportPreview(
+      `${changes.length} setting${changes.length === 1 ? '' : 's'} will change:`,
+      changes.map(change => `${change.label}: ${change.from} → ${change.to}`),
+      true
+    );
+  });
+  
+  importCancelButton.addEventListener('click', () => {
+    pendingImport = null;
+    importPreview.style.display = 'none';
+  });
+  
+  importApplyButton.addEventListener('click', () => {
+    if (!pendingImport) return;
+    applyImportedSettings(pendingImport);
+    refreshSilenceSkip();
+    closeModal();
+    showSettingsConfirmation('Settings imported successfully!');
+  });
+
+  // Highlight an input whose value failed validation
+  const flashInvalidInput = (input) => {
+    input.style.borderColor = '#ff4444';
+    setTimeout(() => {
+      input.style.borderColor = '#555';
+    }, 2000);
+  };
+
+  // Save settings handler
+  saveButton.addEventListener('click', () => {
+    const selectedMode = modalOverlay.querySelector('input[name="navigation-mode"]:checked').value;
+    const customSpeed = parseFloat(customSpeedInput.value);
+    const increaseStep = parseFloat(increaseStepInput.value);
+    const decreaseStep = parseFloat(decreaseStepInput.value);
+    
+    // Validate all fields before saving anything
+    let hasInvalidInput = false;
+    if (selectedMode === 'custom' && !isValidSpeed(customSpeed)) {
+      flashInvalidInput(customSpeedInput);
+      hasInvalidInput = true;
+    }
+    if (!isValidSpeedStep(increaseStep)) {
+      flashInvalidInput(increaseStepInput);
+      hasInvalidInput = true;
+    }
+    if (!isValidSpeedStep(decreaseStep)) {
+      flashInvalidInput(decreaseStepInput);
+      hasInvalidInput = true;
+    }
+    
+    const boostSpeed = parseFloat(boostSpeedInput.value);
+    if (!isValidSpeed(boostSpeed)) {
+      flashInvalidInput(boostSpeedInput);
+      hasInvalidInput = true;
+    }
+    
+    const silenceSpeed = parseFloat(silenceSpeedInput.value);
+    const silenceThreshold = parseFloat(silenceThresholdInput.value);
+    if (!isValidSpeed(silenceSpeed)) {
+      flashInvalidInput(silenceSpeedInput);
+      hasInvalidInput = true;
+    }
+    if (!isValidSilenceThreshold(silenceThreshold)) {
+      flashInvalidInput(silenceThresholdInput);
+      hasInvalidInput = true;
+    }
+    
+    const adSpeed = parseFloat(adSpeedInput.value);
+    if (adSpeedModeInput.value === AD_SPEED_MODES.CUSTOM && !isValidSpeed(adSpeed)) {
+      flashInvalidInput(adSpeedInput);
+      hasInvalidInput = true;
+    }
+    
+    const speedRamp = {
+      mode: rampModeInput.value,
+      startSpeed: parseFloat(rampStartSpeedInput.value),
+      targetSpeed: parseFloat(rampTargetSpeedInput.value),
+      duration: parseFloat(rampDurationInput.value),
+      stepAmount: parseFloat(rampStepAmountInput.value),
+      stepInterval: parseFloat(rampStepIntervalInput.value)
+    };
+    [
+      [rampStartSpeedInput, isValidSpeed(speedRamp.startSpeed)],
+      [rampTargetSpeedInput, isValidSpeed(speedRamp.targetSpeed)],
+      [rampDurationInput, isValidRampMinutes(speedRamp.duration)],
+      [rampStepAmountInput, isValidSpeedStep(speedRamp.stepAmount)],
+      [rampStepIntervalInput, isValidRampMinutes(speedRamp.stepInterval)]
+    ].forEach(([input, isValid]) => {
+      if (!isValid) {
+        flashInvalidInput(input);
+        hasInvalidInput = true;
+      }
+    });
+    
+    const speedLadder = parseSpeedLadder(speedLadderInput.value);
+    if (!speedLadder) {
+      flashInvalidInput(speedLadderInput);
+      hasInvalidInput = true;
+    }
+    
+    const markInvalid = (input) => {
+      flashInvalidInput(input);
+      hasInvalidInput = true;
+    };
+    const presets = readPresetRows(presetsList, markInvalid);
+    const channelRules = readChannelSpeedRows(channelSpeedsList, markInvalid);
+    const chapterRules = readChapterRuleRows(chapterRulesList, markInvalid);
+    
+    const speedZones = [...speedZonesList.querySelectorAll('.speed-zone-row')].map(row => {
+      const startInput = row.querySelector('.zone-start-input');
+      const endInput = row.querySelector('.zone-end-input');
+      const speedInput = row.querySelector('.zone-speed-input');
+      const start = parseTimestamp(startInput.value);
+      const end = parseTimestamp(endInput.value);
+      const speed = parseFloat(speedInput.value);
+      if (start === null) {
+        flashInvalidInput(startInput);
+        hasInvalidInput = true;
+      } else if (end === null || end <= start) {
+        flashInvalidInput(endInput);
+        hasInvalidInput = true;
+      } else if (!isValidSpeed(speed)) {
+        flashInvalidInput(speedInput);
+        hasInvalidInput = true;
+      }
+      return { start, end, speed };
+    });
+    if (hasInvalidInput) return;
+    
+    // Shortcut and preset bindings must stay distinct
+    const shortcuts = readShortcutEditor(shortcutEditor);
+    const conflicts = findShortcutConflicts(shortcuts, presets);
+    if (conflicts.length > 0) {
+      const status = shortcutEditor.querySelector('.shortcut-status');
+      status.textContent = conflicts[0];
+      status.style.color = '#ff4444';
+      return;
+    }
+    
+    // Save the selected navigation mode
+    saveNavigationMode(selectedMode);
+    
+    // Save custom speed if custom mode is selected
+    if (selectedMode === 'custom') {
+      saveCustomNavigationSpeed(customSpeed);
+    }
+    
+    saveShortcuts(shortcuts);
+    saveIncreaseSpeedStep(increaseStep);
+    saveDecreaseSpeedStep(decreaseStep);
+    saveBoostSpeed(boostSpeed);
+    saveSpeedLadder(speedLadder);
+    saveKeyStepMode(ladderStepModeInput.checked ? KEY_STEP_MODES.LADDER : KEY_STEP_MODES.STEP);
+    saveSpeedPresets(presets);
+    saveVideoMemoryEnabled(videoMemoryEnabledInput.checked);
+    savePlaylistMemoryEnabled(playlistMemoryEnabledInput.checked);
+    saveChannelSpeeds(channelRules);
+    saveSilenceSpeed(silenceSpeed);
+    saveSilenceThreshold(silenceThreshold);
+    saveSilenceSkipEnabled(silenceSkipEnabledInput.checked);
+    savePreservePitch(preservePitchInput.checked);
+    saveTimeStretchEnabled(timeStretchEnabledInput.checked);
+    saveTimeDisplayEnabled(timeDisplayEnabledInput.checked);
+    saveAdSpeedMode(adSpeedModeInput.value);
+    if (adSpeedModeInput.value === AD_SPEED_MODES.CUSTOM) {
+      saveAdSpeed(adSpeed);
+    }
+    saveSpeedRamp(speedRamp);
+    saveChapterRules(chapterRules);
+    saveVideoSpeedZones(currentVideoId, speedZones);
+    refreshSilenceSkip();
+    refreshAudioSettings();
+    refreshSpeedTimeDisplay();
+    
+    // Show confirmation
+    showSettingsConfirmation();
+    
+    // Close modal
+    closeModal();
+  });
+}
+
+/**
+ * Shows a brief confirmation that settings were saved
+ * @param {string} message - The message to display
+ */
+function showSettingsConfirmation(message = 'Settings saved successfully!') {
+  // Remove existing confirmation if present
+  const existingConfirmation = document.getElementById('youtube-speed-settings-confirmation');
+  if (existingConfirmation) {
+    existingConfirmation.remove();
+  }
+
+  // Create confirmation overlay
+  const confirmation = document.createElement('div');
+  confirmation.id = 'youtube-speed-settings-confirmation';
+  confirmation.style.cssText = `
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    background: #00aa00;
+    color: #ffffff;
+    padding: 12px 20px;
+    border-radius: 8px;
+    font-family: 'Roboto', 'Arial', sans-serif;
+    font-size: 14px;
+    font-weight: 500;
+    max-width: 360px;
+    z-index: 10001;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+    opacity: 0;
+    transform: translateX(100%);
+    transition: all 0.3s ease;
+  `;
+  confirmation.textContent = message;
+
+  document.body.appendChild(confirmation);
+
+  // Animate in
+  setTimeout(() => {
+    confirmation.style.opacity = '1';
+    confirmation.style.transform = 'translateX(0)';
+  }, 100);
+
+  // Auto-remove after 3 seconds
+  setTimeout(() => {
+    confirmation.style.opacity = '0';
+    confirmation.style.transform = 'translateX(100%)';
+    setTimeout(() => {
+      if (confirmation.parentNode) {
+        confirmation.remove();
+      }
+    }, 300);
+  }, 3000);
+}
@@ -0,0 +1,203 @@
+/**
+ * YouTube Speed Extender - Navigation
+ *
+ * Follows YouTube's single-page navigations so the new video gets its navigation speed and
+ * YouTube's 1x reset while the next page loads is never saved.
+ */
+
+let navigationState = { // YouTube single-page navigation in progress
+  state: 'idle',        // A value from NAVIGATION_STATES
+  url: location.href,   // Page the last completed navigation went to
+  speed: 1,             // Navigation speed applied to the new video, restored if YouTube resets it while settling
+  hasFinished: false,   // yt-navigate-finish arrived for the page being loaded
+  hasPageData: false,   // yt-page-data-updated arrived for the page being loaded
+  hasVideoMetadata: false, // The main video loaded metadata since the navigation started
+  videoSrc: '',         // currentSrc of the video the current page initialized for
+  settleTimeout: null   // Ends settling when playback doesn't start
+};
+
+// Settling ends after this long without playback (autoplay blocked, a paused tab)
+const NAVIGATION_SETTLE_TIMEOUT = 2000;
+
+// Steps of a YouTube single-page navigation
+const NAVIGATION_STATES = {
+  IDLE: 'idle',             // Watching; user speed changes are saved
+  NAVIGATING: 'navigating', // Another page is loading; rate changes are never saved
+  SETTLING: 'settling'      // Navigation speed applied; YouTube's 1x reset is undone until playback starts
+};
+
+/**
+ * Checks whether a YouTube single-page navigation hasn't settled yet
+ * @returns {boolean} Whether the state is navigating or settling
+ */
+function isNavigationInProgress() {
+  return navigationState.state !== NAVIGATION_STATES.IDLE;
+}
+
+/**
+ * Enters the navigating state when YouTube starts loading another page
+ * Rate changes aren't saved from here until the new video has its navigation speed.
+ */
+function startNavigation() {
+  clearTimeout(navigationState.settleTimeout);
+  navigationState.state = NAVIGATION_STATES.NAVIGATING;
+  navigationState.hasFinished = false;
+  navigationState.hasPageData = false;
+  navigationState.hasVideoMetadata = false;
+  
+  // The new video starts at its own target speed, zones and chapters
+  temporarySpeedState.kind = null;
+  stopSpeedRamp();
+  resetSpeedZones();
+  chapterCache.videoId = null;
+}
+
+/**
+ * Checks that a page event belongs to a navigation, starting one if yt-navigate-start was missed
+ * @returns {boolean} False for repeated events on the page already navigated to
+ */
+function isNavigationEvent() {
+  if (navigationState.state === NAVIGATION_STATES.NAVIGATING) return true;
+  if (location.href === navigationState.url) return false;
+  
+  startNavigation();
+  return true;
+}
+
+/**
+ * Handles yt-navigate-finish: the new page's URL is final
+ */
+function handleNavigateFinish() {
+  if (!isNavigationEvent()) return;
+  
+  navigationState.hasFinished = true;
+  advanceNavigation();
+}
+
+/**
+ * Handles yt-page-data-updated: the new page's metadata (channel, playlist) is rendered
+ */
+function handlePageDataUpdated() {
+  if (!isNavigationEvent()) return;
+  
+  navigationState.hasPageData = true;
+  advanceNavigation();
+}
+
+/**
+ * Handles the mobile site's navigation end, which stands for both desktop events
+ */
+function handleMobileNavigateEnd() {
+  if (!isNavigationEvent()) return;
+  
+  navigationState.hasFinished = true;
+  navigationState.hasPageData = true;
+  advanceNavigation();
+}
+
+/**
+ * Handles loadedmetadata from any video (captured, since media events don't bubble)
+ * @param {Event} e - The media event
+ */
+function handleVideoMetadata(e) {
+  if (e.target !== getPlayerVideo()) return;
+  
+  if (navigationState.state === NAVIGATION_STATES.SETTLING) {
+    // The new video only started loading now, and YouTube's reset follows its metadata
+    scheduleSettleTimeout();
+    return;
+  }
+  if (navigationState.state !== NAVIGATION_STATES.NAVIGATING) return;
+  
+  navigationState.hasVideoMetadata = true;
+  advanceNavigation();
+}
+
+/**
+ * Ends the settling state once the new video actually plays
+ * @param {Event} e - The media event
+ */
+function handleVideoPlaying(e) {
+  if (e.target === getPlayerVideo()) {
+    endSettling();
+  }
+}
+
+/**
+ * Enters the settling state with the navigation speed applied to the new video
+ * @param {number} speed - The navigation speed to restore if YouTube resets it
+ */
+function startSettling(speed) {
+  navigationState.speed = speed;
+  navigationState.state = NAVIGATION_STATES.SETTLING;
+  scheduleSettleTimeout();
+}
+
+/**
+ * (Re)starts the timer that ends settling when playback doesn't start
+ * Without it a blocked autoplay would keep turning the user's own 1x back into the navigation speed.
+ */
+function scheduleSettleTimeout() {
+  clearTimeout(navigationState.settleTimeout);
+  navigationState.settleTimeout = setTimeout(endSettling, NAVIGATION_SETTLE_TIMEOUT);
+}
+
+/**
+ * Returns to the idle state if the navigation is still settling
+ */
+function endSettling() {
+  clearTimeout(navigationState.settleTimeout);
+  navigationState.settleTimeout = null;
+  if (navigationState.state === NAVIGATION_STATES.SETTLING) {
+    navigationState.state = NAVIGATION_STATES.IDLE;
+  }
+}
+
+/**
+ * Remembers which source the player's video plays for the page being initialized
+ */
+function recordNavigationVideoSource() {
+  const video = getPlayerVideo();
+  navigationState.videoSrc = video ? video.currentSrc : '';
+}
+
+/**
+ * Checks whether the new video's metadata has loaded
+ * Metadata that loaded before yt-navigate-start (or without one) shows in the video's readyState,
+ * but YouTube reuses the <video> element, so the previous video's readyState only counts once
+ * the source has changed.
+ * @returns {boolean} Whether the navigation can apply the new video's speed
+ */
+function hasNewVideoMetadata() {
+  if (navigationState.hasVideoMetadata) return true;
+  
+  const video = getPlayerVideo();
+  return !!video && video.readyState >= 1 && video.currentSrc !== navigationState.videoSrc;
+}
+
+/**
+ * Finishes the navigation once the page and, for a new video, its metadata are ready
+ */
+function advanceNavigation() {
+  if (navigationState.state !== NAVIGATION_STATES.NAVIGATING) return;
+  if (!navigationState.hasFinished || !navigationState.hasPageData) return;
+  
+  const previousVideoId = parseVideoReference(navigationState.url);
+  const videoId = getCurrentVideoId();
+  const isNewVideo = videoId !== null && videoId !== previousVideoId;
+  
+  // Pages without a video (home, search) and navigations that keep the same video
+  // (miniplayer to watch page) have no new metadata to wait for and keep the current speed.
+  if (isNewVideo && !hasNewVideoMetadata()) return;
+  
+  navigationState.url = location.href;
+  navigationState.state = NAVIGATION_STATES.IDLE;
+  if (!isNewVideo) return;
+  
+  // Fully initialize for the new video, which applies the navigation speed
+  isExtensionInitialized = false;
+  initializeExtension(true);
+  if (isExtensionInitialized) {
+    startSettling(getTargetSpeed(true).speed);
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * YouTube Speed Extender - Speed Overlay
+ *
+ * The short-lived speed readout shown over the player whenever the speed changes, and the optional
+ * badge that keeps showing the speed while it isn't 1x. Both follow loadOverlaySettings().
+ */
+
+// Speed changes the overlay stays hidden for: speeds applied without anything for the user to confirm
+const QUIET_SPEED_SOURCES = [
+  SPEED_SOURCES.TARGET,
+  SPEED_SOURCES.NAVIGATION,
+  SPEED_SOURCES.RESTORE,
+  SPEED_SOURCES.YOUTUBE_RESET,
+  SPEED_SOURCES.SILENCE
+];
+
+const OVERLAY_CORNER_INSET = '12px';
+const OVERLAY_BOTTOM_INSET = '64px'; // Clear of the progress bar and player controls
+
+// Placement for each corner position; the centered position uses the player variant's overlayStyle
+const OVERLAY_CORNER_STYLES = {
+  [OVERLAY_POSITIONS.TOP_LEFT]: { top: OVERLAY_CORNER_INSET, left: OVERLAY_CORNER_INSET },
+  [OVERLAY_POSITIONS.TOP_RIGHT]: { top: OVERLAY_CORNER_INSET, right: OVERLAY_CORNER_INSET },
+  [OVERLAY_POSITIONS.BOTTOM_LEFT]: { bottom: OVERLAY_BOTTOM_INSET, left: OVERLAY_CORNER_INSET },
+  [OVERLAY_POSITIONS.BOTTOM_RIGHT]: { bottom: OVERLAY_BOTTOM_INSET, right: OVERLAY_CORNER_INSET }
+};
+
+// Multiplier for the player variant's font size and the padding
+const OVERLAY_SIZE_SCALES = {
+  [OVERLAY_SIZES.SMALL]: 0.75,
+  [OVERLAY_SIZES.MEDIUM]: 1,
+  [OVERLAY_SIZES.LARGE]: 1.5
+};
+
+const OVERLAY_THEME_STYLES = {
+  [OVERLAY_THEMES.DARK]: { backgroundColor: 'rgba(0, 0, 0, 0.75)', color: '#fff', border: 'none' },
+  [OVERLAY_THEMES.LIGHT]: { backgroundColor: 'rgba(255, 255, 255, 0.9)', color: '#0f0f0f', border: 'none' },
+  [OVERLAY_THEMES.HIGH_CONTRAST]: { backgroundColor: '#000', color: '#ffeb3b', border: '2px solid #fff' }
+};
+
+/**
+ * Shows the overlay for a speed change reported by the speed controller
+ * Speeds applied from a saved rule are announced too once the rule source is shown.
+ * @param {SpeedChangeEvent} event - The speed change
+ */
+function handleSpeedOverlay({ speed, source, detail, rule }) {
+  const isAnnouncedRule = rule && loadOverlaySettings().showRuleSource &&
+    (source === SPEED_SOURCES.TARGET || source === SPEED_SOURCES.NAVIGATION);
+  if (QUIET_SPEED_SOURCES.includes(source) && !isAnnouncedRule) return;
+  showCustomOverlay(speed, detail, rule);
+}
+
+/**
+ * Keeps the speed badge on the player for a speed change reported by the speed controller
+ * Skipped silences are left out so the badge doesn't flicker with every pause in speech.
+ * @param {SpeedChangeEvent} event - The speed change
+ */
+function handleSpeedBadge({ video, speed, source }) {
+  if (source === SPEED_SOURCES.SILENCE) return;
+  updateSpeedBadge(video, speed);
+}
+
+/**
+ * Calculates how long the rest of a video takes to watch at a speed
+ * @param {HTMLVideoElement} video - The video
+ * @param {number} rate - The playback rate
+ * @returns {number|null} Seconds of real time left, or null for live streams and videos still loading
+ */
+function getSpeedAdjustedRemainingTime(video, rate) {
+  if (!Number.isFinite(video.duration) || video.duration <= 0 || rate <= 0) return null;
+  return Math.max(0, video.duration - video.currentTime) / rate;
+}
+
+/**
+ * Builds the overlay text from the speed and the extra information the settings ask for
+ * @param {HTMLVideoElement} video - The video the speed applies to
+ * @param {number} rate - The playback rate to display
+ * @param {string} detail - Text the change comes with, e.g. a zone label
+ * @param {string} rule - The rule the speed comes from
+ * @param {Object} settings - The overlay settings from loadOverlaySettings()
+ * @returns {string} e.g. "2x · channel rule · 12:30 left"
+ */
+function getOverlayText(video, rate, detail, rule, settings) {
+  const parts = [`${rate}x`];
+  if (detail) parts.push(detail);
+  if (rule && settings.showRuleSource) parts.push(rule);
+
+  if (settings.showRemainingTime) {
+    const remainingTime = getSpeedAdjustedRemainingTime(video, rate);
+    if (remainingTime !== null) parts.push(`${formatTimestamp(remainingTime)} left`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Finds the placement of the overlay or badge for a position setting
+ * @param {string} position - A value from OVERLAY_POSITIONS
+ * @returns {Object} Inline styles for top, right, bottom, left and transform
+ */
+function getOverlayPositionStyle(position) {
+  const reset = { top: '', right: '', bottom: '', left: '', transform: '' };
+  if (position === OVERLAY_POSITIONS.CENTER) {
+    const { fontSize, ...placement } = PLAYER_VARIANT_CONFIG[getPlayerVariant()].overlayStyle;
+    return { ...reset, ...placement };
+  }
+  return { ...reset, ...OVERLAY_CORNER_STYLES[position] };
+}
+
+/**
+ * Moves an overlay element into the active player (Shorts swap reels, navigation can change the layout)
+ * @param {HTMLElement} element - The overlay or badge
+ * @param {HTMLVideoElement} video - The player's video
+ */
+function attachToPlayer(element, video) {
+  const container = getPlayerContainer(video);
+  if (element.parentElement === container) return;
+
+  // Ensure proper positioning context
+  if (getComputedStyle(container).position === 'static') {
+    container.style.position = 'relative';
+  }
+  container.appendChild(element);
+}
+
+/**
+ * Displays a temporary overlay showing the current playback speed
+ * Does nothing while the overlay is turned off in the settings.
+ * @param {number} rate - The playback rate to display
+ * @param {string} detail - Optional text shown next to the speed, e.g. a zone label or ramp progress
+ * @param {string} rule - Optional rule the speed comes from, shown when the rule source option is on
+ */
+function showCustomOverlay(rate, detail = '', rule = '') {
+  const video = getPlayerVideo();
+  if (!video) return;
+
+  const settings = loadOverlaySettings();
+  if (!settings.enabled) return;
+
+  let overlay = document.getElementById('yt-speed-ext');
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.id = 'yt-speed-ext';
+
+    // Apply styling for the speed overlay
+    Object.assign(overlay.style, {
+      position: 'absolute',
+      zIndex: 999999,
+      fontFamily: 'monospace',
+      pointerEvents: 'none',
+      transition: 'opacity 0.2s ease-in-out',
+    });
+  }
+
+  attachToPlayer(overlay, video);
+  const scale = OVERLAY_SIZE_SCALES[settings.size];
+  const baseFontSize = parseFloat(PLAYER_VARIANT_CONFIG[getPlayerVariant()].overlayStyle.fontSize);
+  Object.assign(overlay.style, getOverlayPositionStyle(settings.position), OVERLAY_THEME_STYLES[settings.theme], {
+    fontSize: `${Math.round(baseFontSize * scale)}px`,
+    padding: `${Math.round(12 * scale)}px ${Math.round(24 * scale)}px`,
+    borderRadius: `${Math.round(10 * scale)}px`
+  });
+
+  // Update overlay content and show it; the badge would only repeat the speed underneath
+  overlay.textContent = getOverlayText(video, rate, detail, rule, settings);
+  overlay.style.opacity = '1';
+  setSpeedBadgeHidden(true);
+
+  // Auto-hide after the configured duration
+  clearTimeout(overlay.timer);
+  overlay.timer = setTimeout(() => {
+    overlay.style.opacity = '0';
+    setSpeedBadgeHidden(false);
+  }, settings.duration * 1000);
+}
+
+/**
+ * Shows, updates or removes the persistent speed badge
+ * The badge sits in the overlay's corner, or the top right corner while the overlay is centered.
+ * @param {HTMLVideoElement} video - The player's video
+ * @param {number} rate - The current playback rate
+ */
+function updateSpeedBadge(video, rate) {
+  const settings = loadOverlaySettings();
+  let badge = document.getElementById('yt-speed-ext-badge');
+
+  if (!settings.badge || !isSiteEnabled() || Math.abs(rate - 1) < 0.001) {
+    if (badge) badge.remove();
+    return;
+  }
+
+  if (!badge) {
+    badge = document.createElement('div');
+    badge.id = 'yt-speed-ext-badge';
+    Object.assign(badge.style, {
+      position: 'absolute',
+      padding: '2px 6px',
+      borderRadius: '4px',
+      zIndex: 999998,
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      pointerEvents: 'none',
+      transition: 'opacity 0.2s ease-in-out',
+    });
+  }
+
+  attachToPlayer(badge, video);
+  const position = settings.position === OVERLAY_POSITIONS.CENTER ? OVERLAY_POSITIONS.TOP_RIGHT : settings.position;
+  Object.assign(badge.style, getOverlayPositionStyle(position), OVERLAY_THEME_STYLES[settings.theme]);
+  badge.textContent = `${roundSpeed(rate)}x`;
+}
+
+/**
+ * Hides the badge while the overlay is visible, and shows it again afterwards
+ * @param {boolean} hidden - Whether the badge should be hidden
+ */
+function setSpeedBadgeHidden(hidden) {
+  const badge = document.getElementById('yt-speed-ext-badge');
+  if (badge) {
+    badge.style.opacity = hidden ? '0' : '1';
+  }
+}
+
+/**
+ * Brings the speed badge in line with the current video and the overlay settings
+ * Called after the overlay settings change or the site is turned on or off.
+ */
+function refreshSpeedBadge() {
+  const video = getPlayerVideo();
+  if (video) {
+    updateSpeedBadge(video, video.playbackRate);
+  } else {
+    const badge = document.getElementById('yt-speed-ext-badge');
+    if (badge) badge.remove();
+  }
+}
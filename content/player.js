@@ -0,0 +1,243 @@
+/**
+ * YouTube Speed Extender - Player Tracking
+ *
+ * Reads the current page (player layout, video, channel, playlist) and follows the active main
+ * player, attaching speed synchronization to its video element and detaching it when the player
+ * moves on to another element.
+ */
+
+let playerTracker = { // Main player video that speed synchronization is attached to
+  video: null,
+  teardown: null,       // Detaches the listeners and observers setupSpeedSynchronization added
+  isStarted: false,     // Whether the media event listeners that re-check the main video are registered
+  checkTimeout: null    // Debounce timer for re-checking the main video
+};
+
+// Player layouts the extension supports
+const PLAYER_VARIANTS = {
+  WATCH: 'watch',   // Desktop watch page and channel trailers
+  SHORTS: 'shorts', // Desktop /shorts/ feed; one reel is active at a time
+  MOBILE: 'mobile', // m.youtube.com
+  EMBED: 'embed'    // /embed/ player on youtube.com or youtube-nocookie.com, usually in an iframe on another site
+};
+
+// How to find the video and where to place the speed overlay for each player layout
+const PLAYER_VARIANT_CONFIG = {
+  [PLAYER_VARIANTS.WATCH]: {
+    videoSelector: '#movie_player video, .html5-video-player video',
+    containerSelector: '#movie_player, .html5-video-player',
+    hasSettingsMenu: true,
+    overlayStyle: { top: '50%', left: '50%', transform: 'translate(-50%, 50%)', fontSize: '16px' }
+  },
+  [PLAYER_VARIANTS.SHORTS]: {
+    videoSelector: 'ytd-reel-video-renderer[is-active] video, #shorts-player video',
+    containerSelector: '#shorts-player, .html5-video-player',
+    hasSettingsMenu: false,
+    // Near the top, clear of the title, captions and action buttons
+    overlayStyle: { top: '12%', left: '50%', transform: 'translate(-50%, 0)', fontSize: '16px' }
+  },
+  [PLAYER_VARIANTS.MOBILE]: {
+    videoSelector: '#player-container-id video, .html5-video-player video',
+    containerSelector: '#player-container-id, .html5-video-player',
+    hasSettingsMenu: false,
+    // Small screens: keep the overlay compact and away from the centered play button
+    overlayStyle: { top: '12px', left: '50%', transform: 'translate(-50%, 0)', fontSize: '14px' }
+  },
+  [PLAYER_VARIANTS.EMBED]: {
+    videoSelector: '#movie_player video, .html5-video-player video',
+    containerSelector: '#movie_player, .html5-video-player',
+    hasSettingsMenu: true,
+    overlayStyle: { top: '50%', left: '50%', transform: 'translate(-50%, -50%)', fontSize: '16px' }
+  }
+};
+
+// Videos that are never the main player: muted hover previews on the home page and in search,
+// animated thumbnails, and ad players YouTube renders outside the main video element
+const IGNORED_VIDEO_CONTAINER_SELECTOR =
+  '#inline-player, ytd-video-preview, #video-preview, ytd-moving-thumbnail-renderer, ytm-inline-playback-renderer, .video-ads';
+const PLAYER_CHECK_DELAY = 200; // ms to batch media events before re-checking the main video
+const PLAYER_CHECK_EVENTS = ['loadedmetadata', 'play']; // A video can only become the main one once it loads or plays
+
+/**
+ * Works out which player layout the current page uses
+ * @returns {string} A value from PLAYER_VARIANTS
+ */
+function getPlayerVariant() {
+  if (location.pathname.startsWith('/embed/')) {
+    return PLAYER_VARIANTS.EMBED;
+  }
+  if (location.hostname.startsWith('m.')) {
+    return PLAYER_VARIANTS.MOBILE;
+  }
+  if (location.pathname.startsWith('/shorts/')) {
+    return PLAYER_VARIANTS.SHORTS;
+  }
+  return PLAYER_VARIANTS.WATCH;
+}
+
+/**
+ * Finds the video element of the active main player
+ * Hover previews, animated thumbnails and separate ad players are never picked. When several players
+ * remain (a paused watch player behind a channel trailer, the miniplayer), the one that's playing wins,
+ * then the tracked video, then the first with a source loaded.
+ * @returns {HTMLVideoElement|null} The video, or null if the player hasn't loaded
+ */
+function getPlayerVideo() {
+  const { videoSelector } = PLAYER_VARIANT_CONFIG[getPlayerVariant()];
+  const isCandidate = video => !video.closest(IGNORED_VIDEO_CONTAINER_SELECTOR);
+  
+  let candidates = Array.from(document.querySelectorAll(videoSelector)).filter(isCandidate);
+  if (candidates.length === 0) {
+    // Fall back to any video for layouts YouTube changes before the selectors catch up
+    candidates = Array.from(document.querySelectorAll('video')).filter(isCandidate);
+  }
+  
+  return candidates.find(video => !video.paused && !video.ended) ||
+    candidates.find(video => video === playerTracker.video) ||
+    candidates.find(video => video.currentSrc || video.src) ||
+    candidates[0] ||
+    null;
+}
+
+/**
+ * Finds the player element around a video, used for the overlay and settings menu observers
+ * @param {HTMLVideoElement} video - The player's video
+ * @returns {HTMLElement} The player container, or the video's parent if none matches
+ */
+function getPlayerContainer(video) {
+  const { containerSelector } = PLAYER_VARIANT_CONFIG[getPlayerVariant()];
+  return video.closest(containerSelector) || video.parentElement;
+}
+
+/**
+ * Extracts the YouTube video ID from the current URL
+ * Understands watch, Shorts, embed and live URLs.
+ * @returns {string|null} The 11-character video ID, or null when the page isn't a video
+ */
+function getCurrentVideoId() {
+  return parseVideoReference(location.href);
+}
+
+/**
+ * Reads the channel of the video on the current watch page from the DOM
+ * @returns {{id: string, name: string}|null} The channel identifier and display name, or null if unavailable
+ */
+function getCurrentChannel() {
+  try {
+    // During SPA navigation the metadata can still describe the previous video
+    const watchFlexy = document.querySelector('ytd-watch-flexy');
+    const flexyVideoId = watchFlexy ? watchFlexy.getAttribute('video-id') : null;
+    if (flexyVideoId && flexyVideoId !== getCurrentVideoId()) return null;
+    
+    const ownerLink = document.querySelector(
+      'ytd-watch-metadata ytd-video-owner-renderer a[href], #owner ytd-channel-name a[href], ytd-video-owner-renderer a[href]'
+    );
+    let id = ownerLink ? parseChannelReference(ownerLink.getAttribute('href')) : null;
+    
+    // Fall back to the microdata YouTube embeds in the watch page
+    if (!id) {
+      const channelIdMeta = document.querySelector('meta[itemprop="channelId"]');
+      id = channelIdMeta ? parseChannelReference(channelIdMeta.getAttribute('content')) : null;
+    }
+    if (!id) return null;
+    
+    const nameElement = document.querySelector(
+      'ytd-watch-metadata ytd-channel-name #text, #owner ytd-channel-name #text'
+    );
+    const name = nameElement ? nameElement.textContent.trim() : '';
+    return { id, name: name || id };
+  } catch (error) {
+    // Silently handle DOM errors
+  }
+  return null;
+}
+
+/**
+ * Extracts the playlist ID from the current URL
+ * @returns {string|null} The value of the list= parameter, or null outside a playlist
+ */
+function getCurrentPlaylistId() {
+  try {
+    const playlistId = new URL(location.href).searchParams.get('list');
+    if (playlistId && /^[\w-]{2,64}$/.test(playlistId)) {
+      return playlistId;
+    }
+  } catch (error) {
+    // Silently handle malformed URLs
+  }
+  return null;
+}
+
+/**
+ * Starts following the main player's video and attaches speed synchronization to it
+ * Safe to call on every initialization; once started, it only re-checks which video is the main one.
+ */
+function startPlayerTracking() {
+  if (!playerTracker.isStarted) {
+    // The main video can be replaced without a navigation (channel trailer, next Shorts reel, miniplayer).
+    // Media events don't bubble, so listen in the capture phase.
+    PLAYER_CHECK_EVENTS.forEach(type => document.addEventListener(type, schedulePlayerCheck, true));
+    playerTracker.isStarted = true;
+  }
+  syncTrackedVideo(false);
+}
+
+/**
+ * Stops following the player and detaches everything attached to the tracked video
+ */
+function stopPlayerTracking() {
+  if (playerTracker.isStarted) {
+    PLAYER_CHECK_EVENTS.forEach(type => document.removeEventListener(type, schedulePlayerCheck, true));
+    playerTracker.isStarted = false;
+  }
+  if (playerTracker.checkTimeout) {
+    clearTimeout(playerTracker.checkTimeout);
+    playerTracker.checkTimeout = null;
+  }
+  untrackPlayerVideo();
+}
+
+/**
+ * Re-checks the main video once a burst of media events is over
+ */
+function schedulePlayerCheck() {
+  if (playerTracker.checkTimeout) return;
+  
+  playerTracker.checkTimeout = setTimeout(() => {
+    playerTracker.checkTimeout = null;
+    syncTrackedVideo(true);
+  }, PLAYER_CHECK_DELAY);
+}
+
+/**
+ * Moves speed synchronization to the main video if it's a different element than the tracked one
+ * Each video element gets its listeners exactly once, however often this runs.
+ * @param {boolean} applySpeed - Whether to bring a newly tracked video to the target speed
+ */
+function syncTrackedVideo(applySpeed) {
+  const video = getPlayerVideo();
+  if (video === playerTracker.video) return;
+  
+  untrackPlayerVideo();
+  if (!video) return;
+  
+  playerTracker.video = video;
+  playerTracker.teardown = setupSpeedSynchronization(video);
+  
+  // A different player took over without a navigation; navigations apply their own speed
+  if (applySpeed && isExtensionInitialized && !isNavigationInProgress()) {
+    applyPreferredSpeed();
+    refreshSilenceSkip();
+  }
+}
+
+/**
+ * Detaches speed synchronization from the tracked video
+ */
+function untrackPlayerVideo() {
+  if (playerTracker.teardown) {
+    playerTracker.teardown();
+  }
+  playerTracker.video = null;
+  playerTracker.teardown = null;
+}
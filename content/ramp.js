@@ -0,0 +1,150 @@
+/**
+ * YouTube Speed Extender - Speed Ramp
+ *
+ * Moves the speed from a start speed to a target speed over minutes of video.
+ */
+
+let rampState = { // Speed ramp in progress on the main video
+  video: null,
+  intervalId: null,
+  ramp: null,           // Ramp settings from loadSpeedRamp, fixed when the ramp starts
+  startTime: 0,         // video.currentTime when the ramp started; progress is measured in video time
+  speed: null           // Last speed the ramp applied
+};
+
+// Configuration: Speed ramp
+const RAMP_UPDATE_INTERVAL = 1000; // ms between ramp speed updates
+
+/**
+ * Calculates where a ramp is after some amount of video
+ * Step ramps move by stepAmount every stepInterval minutes, landing exactly on the target speed.
+ * @param {Object} ramp - The ramp settings from loadSpeedRamp
+ * @param {number} elapsedSeconds - Seconds of video since the ramp started
+ * @returns {{speed: number, progress: number}} The speed to play at and the progress from 0 to 1
+ */
+function getRampSpeed(ramp, elapsedSeconds) {
+  const { mode, startSpeed, targetSpeed } = ramp;
+  const distance = targetSpeed - startSpeed;
+  const minutes = elapsedSeconds / 60;
+  
+  if (mode === RAMP_MODES.STEP) {
+    const totalSteps = Math.ceil(Math.abs(distance) / ramp.stepAmount - 0.001);
+    if (totalSteps <= 0) {
+      return { speed: targetSpeed, progress: 1 };
+    }
+    
+    const steps = Math.min(totalSteps, Math.floor(minutes / ramp.stepInterval));
+    const speed = steps === totalSteps
+      ? targetSpeed
+      : roundSpeed(startSpeed + Math.sign(distance) * steps * ramp.stepAmount);
+    return { speed, progress: Math.min(1, minutes / (totalSteps * ramp.stepInterval)) };
+  }
+  
+  const progress = Math.min(1, minutes / ramp.duration);
+  return { speed: roundSpeed(startSpeed + distance * progress), progress };
+}
+
+/**
+ * Checks whether a speed ramp is in progress
+ * @returns {boolean} True while the ramp scheduler is running
+ */
+function isSpeedRampActive() {
+  return rampState.intervalId !== null;
+}
+
+/**
+ * Applies a ramp speed and shows the ramp's progress
+ * During a skipped silence the ramp speed becomes the speed to return to instead.
+ * @param {HTMLVideoElement} video - The video to update
+ * @param {number} speed - The speed to apply
+ * @param {string} detail - The progress shown next to the speed in the overlay
+ */
+function setRampSpeed(video, speed, detail) {
+  rampState.speed = speed;
+  
+  if (silenceSkipState.isActive) {
+    silenceSkipState.userSpeed = speed;
+    return;
+  }
+  
+  setSpeed(video, speed, SPEED_SOURCES.RAMP, detail);
+}
+
+/**
+ * Moves the ramp to the speed for the current video position
+ * When the ramp is complete its target speed is saved like a speed the user picked.
+ */
+function updateSpeedRamp() {
+  const { video, ramp } = rampState;
+  // A ramp belongs to one video; it ends when the player moves on to another element
+  if (!video || !video.isConnected || (playerTracker.video && video !== playerTracker.video)) {
+    stopSpeedRamp();
+    return;
+  }
+  
+  // Ads, toggle-1x and hold-to-boost take precedence; the ramp catches up once they end
+  if (adState.isActive || temporarySpeedState.kind) return;
+  
+  const { speed, progress } = getRampSpeed(ramp, Math.max(0, video.currentTime - rampState.startTime));
+  if (progress >= 1) {
+    // The target speed is saved like a speed the user picked, so it replaces a skipped silence
+    stopSpeedRamp();
+    endSilenceSkip();
+    setSpeed(video, speed, SPEED_SOURCES.RAMP_END, 'ramp done');
+    return;
+  }
+  
+  if (rampState.speed === null || Math.abs(speed - rampState.speed) > 0.001) {
+    setRampSpeed(video, speed, `ramp ${Math.round(progress * 100)}%`);
+  }
+}
+
+/**
+ * Starts the saved speed ramp on the main video from its current position
+ * @returns {boolean} Whether a video was found that the ramp could start on
+ */
+function startSpeedRamp() {
+  const video = getPlayerVideo();
+  if (!video || isAdShowing(video)) return false;
+  
+  stopSpeedRamp();
+  // The ramp replaces any skip-silence, 1x, boost or zone speed
+  endSilenceSkip();
+  endTemporarySpeed();
+  overrideSpeedZone();
+  
+  rampState.video = video;
+  rampState.ramp = loadSpeedRamp();
+  rampState.startTime = video.currentTime;
+  rampState.speed = null;
+  rampState.intervalId = setInterval(updateSpeedRamp, RAMP_UPDATE_INTERVAL);
+  updateSpeedRamp();
+  return true;
+}
+
+/**
+ * Stops the ramp in progress, leaving the video at the speed it reached
+ */
+function stopSpeedRamp() {
+  if (rampState.intervalId) {
+    clearInterval(rampState.intervalId);
+  }
+  rampState.intervalId = null;
+  rampState.video = null;
+  rampState.ramp = null;
+  rampState.speed = null;
+}
+
+/**
+ * Starts the speed ramp, or stops the one in progress
+ * @returns {boolean} False if there was no video to start a ramp on
+ */
+function toggleSpeedRamp() {
+  if (isSpeedRampActive()) {
+    const { video } = rampState;
+    stopSpeedRamp();
+    showCustomOverlay(roundSpeed(video.playbackRate), 'ramp stopped');
+    return true;
+  }
+  return startSpeedRamp();
+}
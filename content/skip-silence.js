@@ -0,0 +1,128 @@
+/**
+ * YouTube Speed Extender - Skip Silence
+ *
+ * Plays silent stretches at the silence speed and returns to the user's speed when sound resumes.
+ */
+
+let silenceSkipState = { // Skip-silence analysis for the current video
+  video: null,
+  intervalId: null,
+  isActive: false,      // Whether the silence speed is currently applied
+  userSpeed: 1,         // Speed to return to when speech starts again
+  silenceStartTime: 0   // When the current quiet stretch began (0 while audible)
+};
+
+// Configuration: Skip-silence timing
+const MIN_SILENCE_DURATION = 300; // ms of continuous silence before speeding up
+const SILENCE_CHECK_INTERVAL = 50; // ms between audio level checks
+
+/**
+ * Measures the current audio level of a video
+ * @param {{analyser: AnalyserNode, samples: Float32Array}} graph - The video's audio graph
+ * @returns {number} The RMS level in dBFS (-Infinity for digital silence)
+ */
+function measureAudioLevel(graph) {
+  graph.analyser.getFloatTimeDomainData(graph.samples);
+  
+  let sumOfSquares = 0;
+  for (let i = 0; i < graph.samples.length; i++) {
+    sumOfSquares += graph.samples[i] * graph.samples[i];
+  }
+  return 20 * Math.log10(Math.sqrt(sumOfSquares / graph.samples.length));
+}
+
+/**
+ * Returns to the user's speed if skip-silence currently has the silence speed applied
+ */
+function endSilenceSkip() {
+  const { video, isActive, userSpeed } = silenceSkipState;
+  silenceSkipState.isActive = false;
+  silenceSkipState.silenceStartTime = 0;
+  
+  if (isActive && video && Math.abs(video.playbackRate - userSpeed) > 0.001) {
+    setSpeed(video, userSpeed, SPEED_SOURCES.SILENCE);
+  }
+}
+
+/**
+ * Checks the audio level once and switches between the user's speed and the silence speed
+ */
+function checkForSilence() {
+  const { video } = silenceSkipState;
+  if (!video || !video.isConnected) {
+    stopSilenceSkip();
+    return;
+  }
+  
+  const graph = audioGraphs.get(video);
+  if (!graph || video.paused || video.seeking || graph.audioContext.state !== 'running') {
+    return;
+  }
+  
+  // Toggle-1x, hold-to-boost and ads take precedence over skipping silence
+  if (temporarySpeedState.kind || adState.isActive) return;
+  
+  const isSilent = measureAudioLevel(graph) < loadSilenceThreshold();
+  const now = Date.now();
+  
+  if (!isSilent) {
+    // Speech started again
+    endSilenceSkip();
+    return;
+  }
+  
+  if (!silenceSkipState.silenceStartTime) {
+    silenceSkipState.silenceStartTime = now;
+  }
+  
+  // Only speed up once the quiet stretch has lasted long enough, and never slow down
+  const silenceSpeed = loadSilenceSpeed();
+  if (!silenceSkipState.isActive &&
+      now - silenceSkipState.silenceStartTime >= MIN_SILENCE_DURATION &&
+      silenceSpeed > video.playbackRate) {
+    silenceSkipState.userSpeed = video.playbackRate;
+    silenceSkipState.isActive = true;
+    setSpeed(video, silenceSpeed, SPEED_SOURCES.SILENCE);
+  }
+}
+
+/**
+ * Starts skip-silence analysis on the current video
+ */
+function startSilenceSkip() {
+  const video = getPlayerVideo();
+  if (!video) return;
+  
+  if (silenceSkipState.video === video && silenceSkipState.intervalId) return;
+  stopSilenceSkip();
+  
+  if (!getAudioGraph(video)) return;
+  
+  silenceSkipState.video = video;
+  silenceSkipState.intervalId = setInterval(checkForSilence, SILENCE_CHECK_INTERVAL);
+}
+
+/**
+ * Stops skip-silence analysis and restores the user's speed
+ * The audio graph stays connected since a media element can't be un-sourced.
+ */
+function stopSilenceSkip() {
+  endSilenceSkip();
+  
+  if (silenceSkipState.intervalId) {
+    clearInterval(silenceSkipState.intervalId);
+  }
+  silenceSkipState.intervalId = null;
+  silenceSkipState.video = null;
+}
+
+/**
+ * Starts or stops skip-silence analysis to match the saved setting
+ */
+function refreshSilenceSkip() {
+  if (loadSilenceSkipEnabled() && isSiteEnabled()) {
+    startSilenceSkip();
+  } else {
+    stopSilenceSkip();
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * YouTube Speed Extender - Speed Controller
+ *
+ * Every rate the extension applies goes through setSpeed, and every rate change is reported to the
+ * subscribed listeners together with the SPEED_SOURCES entry that caused it: the extension's own
+ * changes when they're made, the player's and the page's from the ratechange event. Saving, the
+ * overlay and the speed menu decide what to do from the source.
+ */
+
+let speedControllerState = {
+  knownRates: new WeakMap(), // Rate each video was last set to or seen at; ratechange events for it are the extension's own
+  listeners: []              // Functions called with every speed change event
+};
+
+// What caused a speed change
+const SPEED_SOURCES = {
+  KEYBOARD: 'keyboard',           // Increase/decrease, reset, toggle-last and preset keys; saved as the keyboard speed
+  MENU: 'menu',                   // The extension's entries in the player's speed menu; saved
+  POPUP: 'popup',                 // The toolbar popup; saved
+  PLAYER: 'player',               // A change the extension didn't make, e.g. with YouTube's own controls; saved
+  RAMP_END: 'ramp-end',           // The target speed of a completed ramp; saved
+  TARGET: 'target',               // The speed a video starts at on page load or after an ad
+  NAVIGATION: 'navigation',       // The speed a video navigated to starts at
+  RESTORE: 'restore',             // The speed put back after YouTube reset it
+  YOUTUBE_RESET: 'youtube-reset', // YouTube's own reset while seeking or loading the next video
+  PAGE: 'page',                   // An unsupported rate set by the page or another extension
+  AD: 'ad',                       // The ad speed, and any change while an ad plays
+  TEMPORARY: 'temporary',         // Toggle 1x and hold to boost, and returning from them
+  SILENCE: 'silence',             // Skipped silences, and returning from them
+  RAMP: 'ramp',                   // Intermediate speeds of a ramp
+  ZONE: 'zone'                    // Speed zones and chapter rules, and returning from them
+};
+
+/**
+ * @typedef {Object} SpeedChangeEvent
+ * @property {HTMLVideoElement} video - The video whose rate changed
+ * @property {number} speed - The new rate
+ * @property {number} previousSpeed - The rate before the change
+ * @property {string} source - The SPEED_SOURCES entry that caused it
+ * @property {string} detail - Text shown next to the speed in the overlay, if any
+ * @property {string} rule - The saved rule the speed comes from (see getSpeedRuleLabel), if any
+ */
+
+/**
+ * Subscribes to speed changes
+ * @param {Function} listener - Called with a SpeedChangeEvent after every change
+ */
+function onSpeedChange(listener) {
+  if (!speedControllerState.listeners.includes(listener)) {
+    speedControllerState.listeners.push(listener);
+  }
+}
+
+/**
+ * Reports a speed change to every listener
+ * @param {SpeedChangeEvent} event - The change
+ */
+function emitSpeedChange(event) {
+  speedControllerState.listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      // Silently handle listener errors so the remaining listeners still run
+    }
+  });
+}
+
+/**
+ * Sets a video's playback rate, keeping pitch preservation and time-stretching in step with it
+ * The change is reported even if the rate stays the same, e.g. a speed key at the maximum speed.
+ * @param {HTMLVideoElement} video - The video to update
+ * @param {number} speed - The speed to apply
+ * @param {string} source - The SPEED_SOURCES entry the speed comes from
+ * @param {string} detail - Optional text shown next to the speed in the overlay
+ * @param {string} rule - Optional rule the speed comes from, e.g. 'channel rule'
+ */
+function setSpeed(video, speed, source, detail = '', rule = '') {
+  const previousSpeed = video.playbackRate;
+
+  // Recorded first: browsers fire ratechange later, jsdom and some players right away
+  speedControllerState.knownRates.set(video, speed);
+  applyAudioSettings(video, speed);
+  video.playbackRate = speed;
+
+  emitSpeedChange({ video, speed, previousSpeed, source, detail, rule });
+}
+
+/**
+ * Starts following a video's rate from its current value
+ * Changes made while nobody listened (e.g. while the site was turned off) are not reported later.
+ * @param {HTMLVideoElement} video - The video to follow
+ */
+function trackVideoSpeed(video) {
+  speedControllerState.knownRates.set(video, video.playbackRate);
+}
+
+/**
+ * Handles a video's ratechange event, reporting changes the extension didn't make
+ * A rate equal to the one the video was last set to or seen at is the echo of an earlier change.
+ * @param {HTMLVideoElement} video - The video that fired ratechange
+ * @param {Function} getSource - Returns the SPEED_SOURCES entry for the new rate, or null
+ *   for changes that shouldn't be reported
+ */
+function handleRateChange(video, getSource) {
+  const speed = video.playbackRate;
+  const knownRate = speedControllerState.knownRates.get(video);
+  if (knownRate !== undefined && Math.abs(speed - knownRate) < 0.001) return;
+
+  speedControllerState.knownRates.set(video, speed);
+  const source = getSource(speed);
+  if (!source) return;
+
+  emitSpeedChange({ video, speed, previousSpeed: knownRate !== undefined ? knownRate : 1, source, detail: '', rule: '' });
+}
@@ -0,0 +1,301 @@
+/**
+ * YouTube Speed Extender - Player Speed Menu
+ *
+ * Integrates with the settings menu of YouTube's player: replaces the speed list with the
+ * speed slider row, presets and speed ladder, and keeps the speed shown in the menu in step
+ * with the video.
+ */
+
+let menuUpdateTimeout = null; // Debounce timer for menu updates
+let lastSettingsUpdateTime = 0; // Timestamp of last settings update for throttling
+
+// Labels of the settings menu row that opens YouTube's speed panel
+const PLAYBACK_SPEED_MENU_LABELS = ['Playback speed', 'Speed'];
+
+/**
+ * Reads the speed of a speed menu item from its label
+ * YouTube labels its speeds "0.25", "Normal", "2" (some locales add an "x"); the ladder uses the same format.
+ * @param {string} text - The item's label
+ * @returns {number|null} The speed, or null if the label isn't a speed (presets, the channel action)
+ */
+function parseSpeedMenuLabel(text) {
+  const label = (text || '').trim();
+  if (label === 'Normal') return 1;
+  return /^\d+(\.\d+)?x?$/.test(label) ? parseFloat(label) : null;
+}
+
+/**
+ * Finds the settings menu rows that open YouTube's speed panel
+ * Only YouTube's own submenu rows match. The extension's presets and channel action can have "Speed"
+ * in their labels, and their label sits inside .ytp-menuitem-content, so writing the speed there would
+ * erase it.
+ * @returns {Element[]} The "Playback speed" rows
+ */
+function getPlaybackSpeedMenuItems() {
+  return Array.from(document.querySelectorAll('.ytp-menuitem[aria-haspopup="true"]')).filter(item => {
+    if (item.closest('.yt-speed-ext-enhanced')) return false;
+    const label = item.querySelector(':scope > .ytp-menuitem-label');
+    return !!label && PLAYBACK_SPEED_MENU_LABELS.includes(label.textContent.trim());
+  });
+}
+
+/**
+ * Shows a speed as the value of the settings menu's "Playback speed" row
+ * @param {number} playbackRate - The playback rate to display
+ * @returns {boolean} Whether a row's value changed
+ */
+function setPlaybackSpeedMenuValue(playbackRate) {
+  const newValue = playbackRate === 1 ? 'Normal' : `${playbackRate}`;
+  let updated = false;
+  
+  getPlaybackSpeedMenuItems().forEach(item => {
+    const contentDiv = item.querySelector(':scope > .ytp-menuitem-content');
+    if (contentDiv && contentDiv.textContent !== newValue) {
+      contentDiv.textContent = newValue;
+      updated = true;
+    }
+  });
+  return updated;
+}
+
+/**
+ * Updates YouTube's native speed settings menu to reflect current playback rate
+ * @param {number} playbackRate - The current playback rate to display
+ */
+function updateYouTubeSpeedSetting(playbackRate) {
+  try {
+    // Update speed menu radio buttons if they exist
+    const speedButtons = document.querySelectorAll('.ytp-menuitem[role="menuitemradio"]');
+    speedButtons.forEach(button => {
+      const label = button.querySelector('.ytp-menuitem-label');
+      if (label) {
+        const speedValue = parseSpeedMenuLabel(label.textContent);
+        if (speedValue !== null) {
+          if (Math.abs(speedValue - playbackRate) < 0.01) {
+            button.setAttribute('aria-checked', 'true');
+          } else {
+            button.setAttribute('aria-checked', 'false');
+          }
+        }
+      }
+    });
+    updateSpeedSliderRows(playbackRate);
+    
+    // Update the main settings button display
+    setPlaybackSpeedMenuValue(playbackRate);
+  } catch (error) {
+    // Silently handle any update errors
+  }
+}
+
+/**
+ * Keeps the speed menu and the settings menu's speed in step with speed changes
+ * Skipped silences are left out, so the menu keeps showing the user's speed during them.
+ * @param {SpeedChangeEvent} event - The speed change
+ */
+function handleSpeedMenuSync({ speed, source }) {
+  if (source === SPEED_SOURCES.SILENCE) return;
+  updateYouTubeSpeedSetting(speed);
+}
+
+/**
+ * Enhances YouTube's native speed menu with extended speed options
+ * @param {Element} speedMenu - The speed menu element to enhance
+ */
+function enhanceSpeedMenu(speedMenu) {
+  try {
+    const existingItems = speedMenu.querySelectorAll('.ytp-menuitem');
+    
+    // Check if we've already enhanced this menu
+    if (speedMenu.classList.contains('yt-speed-ext-enhanced')) {
+      updateSpeedMenuSelection(speedMenu);
+      return;
+    }
+    
+    // Mark this menu as enhanced
+    speedMenu.classList.add('yt-speed-ext-enhanced');
+    
+    // The older layout lists the speeds right in the panel, the newer one in a .ytp-panel-menu below its slider
+    const menuContainer = speedMenu.querySelector('.ytp-panel-menu') || speedMenu;
+    
+    // Remove YouTube's own speed options
+    existingItems.forEach(item => {
+      const label = item.querySelector('.ytp-menuitem-label');
+      if (label && parseSpeedMenuLabel(label.textContent) !== null) {
+        item.remove();
+      }
+    });
+    
+    // Add our extended speed options
+    const video = getPlayerVideo();
+    const currentRate = video ? video.playbackRate : 1;
+    
+    // Speeds between the ladder's steps
+    addSpeedSliderRow(speedMenu, menuContainer, currentRate);
+    
+    // Apply a speed picked from the menu
+    const selectSpeed = (speed, rule = '') => applyUserSpeed(speed, SPEED_SOURCES.MENU, rule);
+    
+    // Named presets go first so they're reachable without scrolling
+    loadSpeedPresets().forEach(preset => {
+      const menuItem = createSpeedMenuItem(`${preset.name} (${preset.speed}x)`, 'menuitem');
+      menuItem.classList.add('yt-speed-ext-preset');
+      menuItem.addEventListener('click', () => selectSpeed(preset.speed, getSpeedRuleLabel('preset', preset.name)));
+      menuContainer.appendChild(menuItem);
+    });
+    
+    loadSpeedLadder().forEach(speed => {
+      const menuItem = createSpeedMenuItem(speed === 1 ? 'Normal' : `${speed}`, 'menuitemradio');
+      menuItem.setAttribute('aria-checked', Math.abs(speed - currentRate) < 0.01 ? 'true' : 'false');
+      
+      // Add click handler for speed selection
+      menuItem.addEventListener('click', () => selectSpeed(speed));
+      
+      menuContainer.appendChild(menuItem);
+    });
+    
+    // Offer to turn the current speed into a rule for this video's channel
+    const channel = getCurrentChannel();
+    if (channel) {
+      const channelItem = createSpeedMenuItem(`Always use current speed for ${channel.name}`, 'menuitem');
+      channelItem.classList.add('yt-speed-ext-channel-action');
+      channelItem.addEventListener('click', () => {
+        if (video) {
+          saveCurrentSpeedForChannel(channel, video.playbackRate);
+        }
+      });
+      menuContainer.appendChild(channelItem);
+    }
+  } catch (error) {
+    // Silently handle enhancement errors
+  }
+}
+
+/**
+ * Saves a speed as the rule for a channel and confirms it to the user
+ * @param {{id: string, name: string}} channel - The channel to save the rule for
+ * @param {number} speed - The speed to use for the channel
+ */
+function saveCurrentSpeedForChannel(channel, speed) {
+  const roundedSpeed = roundSpeed(speed);
+  saveChannelSpeed(channel.id, channel.name, roundedSpeed);
+  
+  if (loadNavigationMode() === NAVIGATION_MODES.CHANNEL) {
+    showSettingsConfirmation(`${roundedSpeed}x saved for ${channel.name}`);
+  } else {
+    showSettingsConfirmation(`${roundedSpeed}x saved for ${channel.name}. Choose "Per-Channel Speeds" in settings (Ctrl+Shift+S) to use it.`);
+  }
+}
+
+/**
+ * Creates a YouTube-styled speed menu item
+ * @param {string} text - The label to display
+ * @param {string} role - The ARIA role ('menuitemradio' for ladder speeds, 'menuitem' for presets)
+ * @returns {HTMLElement} The menu item element
+ */
+function createSpeedMenuItem(text, role) {
+  const menuItem = document.createElement('div');
+  menuItem.className = 'ytp-menuitem';
+  menuItem.setAttribute('role', role);
+  menuItem.setAttribute('tabindex', '0');
+  
+  const content = document.createElement('div');
+  content.className = 'ytp-menuitem-content';
+  
+  const label = document.createElement('div');
+  label.className = 'ytp-menuitem-label';
+  label.textContent = text;
+  
+  content.appendChild(label);
+  menuItem.appendChild(content);
+  
+  return menuItem;
+}
+
+/**
+ * Updates the speed value display in the main settings menu
+ * @param {number} playbackRate - The current playback rate
+ */
+function updateSettingsMenuSpeedValue(playbackRate) {
+  const currentTime = Date.now();
+  // Throttle updates to once per 500ms
+  if (currentTime - lastSettingsUpdateTime < 500) {
+    return;
+  }
+  
+  try {
+    lastSettingsUpdateTime = currentTime;
+    
+    setPlaybackSpeedMenuValue(playbackRate);
+  } catch (error) {
+    // Silently handle update errors
+  }
+}
+
+/**
+ * Updates the selected speed in an enhanced speed menu
+ * @param {Element} speedMenu - The speed menu to update
+ */
+function updateSpeedMenuSelection(speedMenu) {
+  if (!speedMenu) return;
+  
+  try {
+    const video = getPlayerVideo();
+    if (!video) return;
+    
+    const currentRate = video.playbackRate;
+    
+    // Update all menu items' selection state
+    const menuItems = speedMenu.querySelectorAll('.ytp-menuitem[role="menuitemradio"]');
+    menuItems.forEach(item => {
+      const label = item.querySelector('.ytp-menuitem-label');
+      if (label) {
+        const speedValue = parseSpeedMenuLabel(label.textContent);
+        if (speedValue !== null) {
+          if (Math.abs(speedValue - currentRate) < 0.01) {
+            item.setAttribute('aria-checked', 'true');
+          } else {
+            item.setAttribute('aria-checked', 'false');
+          }
+        }
+      }
+    });
+    
+    const sliderRow = speedMenu.querySelector(`.${SPEED_SLIDER_ROW_CLASS}`);
+    if (sliderRow) {
+      updateSpeedSliderRow(sliderRow, currentRate);
+    }
+  } catch (error) {
+    // Silently handle selection update errors
+  }
+}
+
+/**
+ * Forces an update of the settings menu when it becomes visible
+ */
+function forceUpdateSettingsMenu() {
+  const video = getPlayerVideo();
+  if (!video) return;
+  
+  // Wait for menu to render, then update
+  setTimeout(() => {
+    const settingsMenu = document.querySelector('.ytp-settings-menu');
+    if (settingsMenu && getComputedStyle(settingsMenu).display !== 'none') {
+      updateSettingsMenuSpeedValue(video.playbackRate);
+      directUpdateSettingsMenu(video.playbackRate);
+    }
+  }, 100);
+}
+
+/**
+ * Updates the settings menu's "Playback speed" row right away, without the throttle
+ * @param {number} playbackRate - The playback rate to display
+ * @returns {boolean} Whether the update was successful
+ */
+function directUpdateSettingsMenu(playbackRate) {
+  try {
+    return setPlaybackSpeedMenuValue(playbackRate);
+  } catch (error) {
+    return false;
+  }
+}
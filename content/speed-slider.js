@@ -0,0 +1,172 @@
+/**
+ * YouTube Speed Extender - Speed Menu Slider
+ *
+ * A slider row with -/+ buttons and a number field at the top of the player's speed menu, for
+ * speeds between the ladder's steps. YouTube's newer speed panel has a slider of its own that
+ * stops at its own maximum; it's hidden while the extension's row is shown.
+ */
+
+const SPEED_SLIDER_ROW_CLASS = 'yt-speed-ext-slider-row';
+
+// YouTube's own slider section in the newer speed panel
+const NATIVE_SPEED_SLIDER_SELECTOR = '.ytp-variable-speed-panel, .ytp-speed-slider-section';
+
+/**
+ * Creates the slider row for the speed menu
+ * The slider covers MIN_SPEED to the top of the speed ladder; the number field takes any supported speed.
+ * @param {number} currentRate - The video's current playback rate
+ * @returns {HTMLElement} The row
+ */
+function createSpeedSliderRow(currentRate) {
+  const row = document.createElement('div');
+  row.className = SPEED_SLIDER_ROW_CLASS;
+  Object.assign(row.style, {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    height: '40px',
+    padding: '0 15px',
+    color: '#eee',
+    boxSizing: 'border-box'
+  });
+
+  const ladder = loadSpeedLadder();
+  const decreaseButton = createSpeedSliderButton('−', 'Decrease speed');
+  decreaseButton.classList.add('yt-speed-ext-slider-decrease');
+  const increaseButton = createSpeedSliderButton('+', 'Increase speed');
+  increaseButton.classList.add('yt-speed-ext-slider-increase');
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.className = 'yt-speed-ext-slider';
+  slider.min = MIN_SPEED;
+  slider.max = Math.max(ladder[ladder.length - 1], currentRate);
+  slider.step = SPEED_GRANULARITY;
+  slider.setAttribute('aria-label', 'Playback speed');
+  Object.assign(slider.style, { flex: '1', minWidth: '80px', accentColor: '#fff', cursor: 'pointer' });
+
+  const speedInput = document.createElement('input');
+  speedInput.type = 'number';
+  speedInput.className = 'yt-speed-ext-slider-input';
+  speedInput.min = MIN_SPEED;
+  speedInput.max = MAX_SPEED;
+  speedInput.step = SPEED_GRANULARITY;
+  speedInput.setAttribute('aria-label', 'Playback speed');
+  Object.assign(speedInput.style, {
+    width: '56px',
+    padding: '2px 4px',
+    background: 'rgba(255, 255, 255, 0.1)',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: '2px',
+    color: 'inherit',
+    font: 'inherit',
+    textAlign: 'center'
+  });
+
+  const unit = document.createElement('span');
+  unit.textContent = 'x';
+
+  // Preview while dragging; only apply once the slider is released
+  slider.addEventListener('input', () => {
+    speedInput.value = slider.value;
+  });
+  slider.addEventListener('change', () => applyUserSpeed(roundSpeed(parseFloat(slider.value))));
+
+  speedInput.addEventListener('change', () => {
+    const speed = parseFloat(speedInput.value);
+    if (isValidSpeed(speed)) {
+      applyUserSpeed(roundSpeed(speed));
+    } else {
+      // Put the current speed back instead of leaving an unusable value
+      const video = getPlayerVideo();
+      updateSpeedSliderRow(row, video ? video.playbackRate : 1, true);
+    }
+  });
+
+  // Fine steps like YouTube's own buttons; the keyboard shortcuts keep the configured step sizes
+  const step = (direction) => {
+    const video = getPlayerVideo();
+    if (video) {
+      applyUserSpeed(getSteppedSpeed(video.playbackRate, direction * SPEED_GRANULARITY));
+    }
+  };
+  decreaseButton.addEventListener('click', () => step(-1));
+  increaseButton.addEventListener('click', () => step(1));
+
+  // The menu closes on clicks it doesn't know, and YouTube's shortcuts (digits seek) must not see typing
+  ['click', 'keydown'].forEach(type => row.addEventListener(type, (e) => e.stopPropagation()));
+
+  row.append(decreaseButton, slider, increaseButton, speedInput, unit);
+  updateSpeedSliderRow(row, currentRate, true);
+  return row;
+}
+
+/**
+ * Creates one of the round -/+ buttons of the slider row
+ * @param {string} text - The button's symbol
+ * @param {string} label - The accessible name
+ * @returns {HTMLButtonElement} The button
+ */
+function createSpeedSliderButton(text, label) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = text;
+  button.setAttribute('aria-label', label);
+  Object.assign(button.style, {
+    width: '28px',
+    height: '28px',
+    padding: '0',
+    background: 'rgba(255, 255, 255, 0.1)',
+    border: 'none',
+    borderRadius: '50%',
+    color: 'inherit',
+    fontSize: '16px',
+    lineHeight: '28px',
+    cursor: 'pointer'
+  });
+  return button;
+}
+
+/**
+ * Shows a speed in a slider row
+ * A number field being typed in is left alone unless the update is forced.
+ * @param {HTMLElement} row - The slider row
+ * @param {number} playbackRate - The speed to show
+ * @param {boolean} force - Whether to overwrite the number field even while it has focus
+ */
+function updateSpeedSliderRow(row, playbackRate, force = false) {
+  const speed = roundSpeed(playbackRate);
+  const slider = row.querySelector('.yt-speed-ext-slider');
+  const speedInput = row.querySelector('.yt-speed-ext-slider-input');
+
+  if (speed > parseFloat(slider.max)) {
+    slider.max = speed;
+  }
+  slider.value = speed;
+  slider.setAttribute('aria-valuetext', `${speed}x`);
+  if (force || document.activeElement !== speedInput) {
+    speedInput.value = speed;
+  }
+}
+
+/**
+ * Shows a speed in every slider row on the page
+ * @param {number} playbackRate - The speed to show
+ */
+function updateSpeedSliderRows(playbackRate) {
+  document.querySelectorAll(`.${SPEED_SLIDER_ROW_CLASS}`).forEach(row => updateSpeedSliderRow(row, playbackRate));
+}
+
+/**
+ * Adds the slider row to the top of a speed menu, hiding YouTube's own slider in the newer layout
+ * @param {Element} speedMenu - The .ytp-speed-menu panel
+ * @param {Element} menuContainer - The element holding the menu items
+ * @param {number} currentRate - The video's current playback rate
+ */
+function addSpeedSliderRow(speedMenu, menuContainer, currentRate) {
+  const nativeSlider = speedMenu.querySelector(NATIVE_SPEED_SLIDER_SELECTOR);
+  if (nativeSlider) {
+    nativeSlider.style.display = 'none';
+  }
+  menuContainer.prepend(createSpeedSliderRow(currentRate));
+}
@@ -0,0 +1,308 @@
+/**
+ * YouTube Speed Extender - Speed Core
+ *
+ * Works out which speed a video should play at (playlist, video, channel, navigation mode or
+ * preferred speed), applies it through the speed controller and saves the speeds the user picks.
+ */
+
+let recentSpeeds = []; // Last two distinct speeds the user was watching at, most recent first (for toggle-last)
+
+// Where the speed applied to a video came from
+const TARGET_SPEED_SOURCES = {
+  PLAYLIST: 'playlist',     // Speed profile of the playlist being watched
+  VIDEO: 'video',           // Speed remembered for this specific video
+  CHANNEL: 'channel',       // Speed rule for the video's channel
+  NAVIGATION: 'navigation', // Speed chosen by the navigation mode
+  PREFERRED: 'preferred'    // Global preferred speed
+};
+
+// How the overlay names the saved rules a target speed can come from
+const SPEED_RULE_LABELS = {
+  [TARGET_SPEED_SOURCES.PLAYLIST]: 'playlist speed',
+  [TARGET_SPEED_SOURCES.VIDEO]: 'video speed',
+  [TARGET_SPEED_SOURCES.CHANNEL]: 'channel rule'
+};
+
+/**
+ * Gets the appropriate speed for navigation based on user preferences
+ * @returns {number} The speed to use for new videos
+ */
+/**
+ * Determines which speed to use for navigation based on user preferences
+ * @returns {number} The speed to apply for navigation
+ */
+function getNavigationSpeed() {
+  const navigationMode = loadNavigationMode();
+  
+  switch (navigationMode) {
+    case NAVIGATION_MODES.CONTINUE:
+      // Continue current speed (use preferred speed which tracks current video speed)
+      return loadPreferredSpeed();
+    
+    case NAVIGATION_MODES.DEFAULT:
+      // Always use default speed (1x)
+      return 1;
+    
+    case NAVIGATION_MODES.CUSTOM:
+      // Use custom navigation speed
+      return loadCustomNavigationSpeed();
+    
+    case NAVIGATION_MODES.CHANNEL: {
+      // Use the channel's speed rule, or continue current speed for channels without one
+      const channel = getCurrentChannel();
+      const channelSpeed = channel ? loadChannelSpeed(channel.id) : null;
+      return channelSpeed !== null ? channelSpeed : loadPreferredSpeed();
+    }
+    
+    default:
+      // Fallback to continue mode
+      return loadPreferredSpeed();
+  }
+}
+
+/**
+ * Determines the speed to apply to the current video
+ * The playlist profile takes priority, then the speed remembered for this video,
+ * then channel rules and finally the navigation mode
+ * @param {boolean} isNavigation - Whether this is called during navigation
+ * @returns {{speed: number, source: string}} The target speed and which TARGET_SPEED_SOURCES entry provided it
+ */
+function getTargetSpeed(isNavigation = false) {
+  // Inside a playlist its profile wins so every video in a course plays at the same speed
+  const playlistSpeed = loadPlaylistSpeed(getCurrentPlaylistId());
+  if (playlistSpeed !== null) {
+    return { speed: playlistSpeed, source: TARGET_SPEED_SOURCES.PLAYLIST };
+  }
+  
+  const rememberedSpeed = loadVideoSpeed(getCurrentVideoId());
+  if (rememberedSpeed !== null) {
+    return { speed: rememberedSpeed, source: TARGET_SPEED_SOURCES.VIDEO };
+  }
+  
+  // Channel rules also apply on a fresh page load, not just after navigation
+  if (loadNavigationMode() === NAVIGATION_MODES.CHANNEL) {
+    const channel = getCurrentChannel();
+    const channelSpeed = channel ? loadChannelSpeed(channel.id) : null;
+    if (channelSpeed !== null) {
+      return { speed: channelSpeed, source: TARGET_SPEED_SOURCES.CHANNEL };
+    }
+  }
+  
+  if (isNavigation) {
+    return { speed: getNavigationSpeed(), source: TARGET_SPEED_SOURCES.NAVIGATION };
+  }
+  return { speed: loadPreferredSpeed(), source: TARGET_SPEED_SOURCES.PREFERRED };
+}
+
+/**
+ * Names the rule a speed comes from for the overlay
+ * @param {string} source - A TARGET_SPEED_SOURCES entry, or 'preset' for speed presets
+ * @param {string} presetName - The preset's name, for presets
+ * @returns {string} e.g. 'channel rule' or 'Lecture preset'; empty for the navigation mode and preferred speed
+ */
+function getSpeedRuleLabel(source, presetName = '') {
+  if (source === 'preset') return `${presetName} preset`;
+  return SPEED_RULE_LABELS[source] || '';
+}
+
+/**
+ * Marks a remembered playlist or video speed as recently used
+ * @param {number} speed - The speed being applied
+ * @param {string} source - The TARGET_SPEED_SOURCES entry the speed came from
+ * @returns {boolean} Whether the speed came from a remembered playlist or video
+ */
+function refreshRememberedSpeed(speed, source) {
+  if (source === TARGET_SPEED_SOURCES.PLAYLIST) {
+    savePlaylistSpeed(getCurrentPlaylistId(), speed);
+    return true;
+  }
+  if (source === TARGET_SPEED_SOURCES.VIDEO) {
+    saveVideoSpeed(getCurrentVideoId(), speed);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Persists a speed the user chose for the current video
+ * Inside a playlist the speed goes to the playlist profile instead of the global preference,
+ * so standalone videos keep their own speed
+ * @param {number} speed - The speed the user chose
+ * @param {boolean} fromKeyboard - Whether the speed was set with the increase/decrease or preset keys
+ */
+function saveUserSpeed(speed, fromKeyboard = false) {
+  // Speeds chosen during an ad apply to the ad only
+  if (isAdPlaying()) return;
+  
+  recordRecentSpeed(speed);
+  saveVideoSpeed(getCurrentVideoId(), speed);
+  
+  const playlistId = getCurrentPlaylistId();
+  if (playlistId && loadPlaylistMemoryEnabled()) {
+    savePlaylistSpeed(playlistId, speed);
+  } else if (fromKeyboard) {
+    saveKeyboardSpeed(speed);
+  } else {
+    savePreferredSpeed(speed);
+  }
+}
+
+/**
+ * Remembers a speed for the toggle-last-speed shortcut
+ * @param {number} speed - A speed the user chose or that was applied to a new video
+ */
+function recordRecentSpeed(speed) {
+  const roundedSpeed = roundSpeed(speed);
+  if (recentSpeeds.length > 0 && Math.abs(recentSpeeds[0] - roundedSpeed) < 0.001) return;
+  recentSpeeds = [roundedSpeed, ...recentSpeeds].slice(0, 2);
+}
+
+/**
+ * Finds the speed the toggle-last-speed shortcut switches to
+ * @param {number} currentRate - The current video playback rate
+ * @returns {number} The most recent other speed, or 1x when there isn't one yet
+ */
+function getToggleSpeed(currentRate) {
+  const roundedRate = roundSpeed(currentRate);
+  const previousSpeed = recentSpeeds.find(speed => Math.abs(speed - roundedRate) > 0.001);
+  return previousSpeed !== undefined ? previousSpeed : 1;
+}
+
+/**
+ * Saves the speeds the user chose, as reported by the speed controller
+ * Speeds the extension applies on its own (target, temporary, silence, ramp, zone and ad speeds)
+ * and YouTube's resets are never saved.
+ * @param {SpeedChangeEvent} event - The speed change
+ */
+function handleSpeedPersistence({ speed, source }) {
+  switch (source) {
+    case SPEED_SOURCES.KEYBOARD:
+      saveUserSpeed(speed, true);
+      break;
+    
+    case SPEED_SOURCES.MENU:
+    case SPEED_SOURCES.POPUP:
+    case SPEED_SOURCES.PLAYER:
+    case SPEED_SOURCES.RAMP_END:
+      saveUserSpeed(speed);
+      break;
+  }
+}
+
+/**
+ * Applies and saves a speed the user picked outside the keyboard shortcuts
+ * @param {number} speed - The speed to apply
+ * @param {string} source - SPEED_SOURCES.MENU or SPEED_SOURCES.POPUP
+ * @param {string} rule - Optional rule the speed comes from, e.g. a preset's label from getSpeedRuleLabel
+ * @returns {boolean} Whether a video was found to apply the speed to
+ */
+function applyUserSpeed(speed, source = SPEED_SOURCES.MENU, rule = '') {
+  const video = getPlayerVideo();
+  if (!video) return false;
+  
+  // Replace the user's speed, not the temporary skip-silence, 1x or boost speed
+  endSilenceSkip();
+  temporarySpeedState.kind = null;
+  stopSpeedRamp();
+  overrideSpeedZone();
+  setSpeed(video, speed, source, '', rule);
+  return true;
+}
+
+/**
+ * Calculates the next speed when stepping up or down from the current rate
+ * @param {number} currentRate - The current video playback rate
+ * @param {number} step - Signed step size (positive to increase, negative to decrease)
+ * @returns {number} The new speed, clamped to the supported range
+ */
+function getSteppedSpeed(currentRate, step) {
+  // Round the current rate first so repeated steps don't accumulate floating point drift
+  return normalizeSpeed(roundSpeed(currentRate) + step);
+}
+
+/**
+ * Finds the neighbouring speed in the user's speed ladder
+ * @param {number} currentRate - The current video playback rate
+ * @param {number} direction - 1 for the next faster speed, -1 for the next slower speed
+ * @returns {number} The neighbouring ladder speed, or the current rate at either end of the ladder
+ */
+function getLadderSpeed(currentRate, direction) {
+  const ladder = loadSpeedLadder();
+  const roundedRate = roundSpeed(currentRate);
+  
+  // Works for rates that aren't on the ladder too (e.g. 1.25x set through YouTube's menu)
+  const nextSpeed = direction > 0
+    ? ladder.find(speed => speed > roundedRate + 0.001)
+    : [...ladder].reverse().find(speed => speed < roundedRate - 0.001);
+  
+  return nextSpeed !== undefined ? nextSpeed : roundedRate;
+}
+
+/**
+ * Calculates the speed a speed-changing shortcut moves to
+ * @param {{action: string, preset?: Object}} shortcut - The bound action from findShortcutAction
+ * @param {number} currentRate - The current video playback rate
+ * @returns {number} The new speed
+ */
+function getShortcutSpeed(shortcut, currentRate) {
+  switch (shortcut.action) {
+    case 'preset':
+      return shortcut.preset.speed;
+    
+    case SHORTCUT_ACTIONS.RESET:
+      return 1;
+    
+    case SHORTCUT_ACTIONS.TOGGLE_LAST:
+      return getToggleSpeed(currentRate);
+    
+    default: {
+      // Increase/decrease through the speed ladder or by the configured step sizes
+      const direction = shortcut.action === SHORTCUT_ACTIONS.INCREASE ? 1 : -1;
+      if (loadKeyStepMode() === KEY_STEP_MODES.LADDER) {
+        return getLadderSpeed(currentRate, direction);
+      }
+      const step = direction > 0 ? loadIncreaseSpeedStep() : -loadDecreaseSpeedStep();
+      return getSteppedSpeed(currentRate, step);
+    }
+  }
+}
+
+/**
+ * Applies the user's preferred speed to the current video
+ * @param {boolean} isNavigation - Whether this is called during navigation
+ */
+function applyPreferredSpeed(isNavigation = false) {
+  const video = getPlayerVideo();
+  if (!video) return;
+  
+  // Ads get the ad speed; the target speed is applied once the ad ends
+  if (isAdShowing(video)) {
+    startAdSpeed(video, isNavigation);
+    return;
+  }
+  
+  const { speed: targetSpeed, source } = getTargetSpeed(isNavigation);
+  const currentSpeed = video.playbackRate;
+  recordRecentSpeed(targetSpeed);
+  
+  // Remembered playlist/video speeds are refreshed in their LRU stores but never become the global preference
+  refreshRememberedSpeed(targetSpeed, source);
+  
+  // Apply speed if it differs by at least one step (compared rounded, as float differences like 2.05 - 2 fall just short of 0.05)
+  if (roundSpeed(currentSpeed) !== roundSpeed(targetSpeed)) {
+    setSpeed(video, targetSpeed, isNavigation ? SPEED_SOURCES.NAVIGATION : SPEED_SOURCES.TARGET, '',
+      getSpeedRuleLabel(source));
+  }
+}
+
+/**
+ * Legacy function for initial video state checking
+ * @deprecated Maintained for compatibility
+ */
+function checkInitialVideoState() {
+  const video = getPlayerVideo();
+  if (video) {
+    applyPreferredSpeed();
+    forceUpdateSettingsMenu();
+  }
+}
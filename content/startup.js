@@ -0,0 +1,167 @@
+/**
+ * YouTube Speed Extender - Startup
+ *
+ * Initializes the extension on the page once a video is ready, reacts to settings changed
+ * elsewhere and registers the page-wide event listeners. content.js calls setupEventListeners
+ * and starts initialization; tests call the same functions against a simulated player.
+ */
+
+let isExtensionInitialized = false; // Tracks extension initialization state
+
+/**
+ * Initializes the extension's core functionality
+ * Sets up event listeners and synchronization features
+ * @param {boolean} isNavigation - Whether this is called during navigation
+ */
+function initializeExtension(isNavigation = false) {
+  if (isExtensionInitialized || !isSiteEnabled()) return;
+  
+  isExtensionInitialized = true;
+  
+  // The next navigation waits until the player's source changes from this one
+  recordNavigationVideoSource();
+  
+  // A silence skipped on the previous video must not carry over
+  endSilenceSkip();
+  
+  // Apply appropriate speed based on context
+  if (isNavigation) {
+    applyPreferredSpeed(true);
+  } else {
+    applyPreferredSpeed();
+  }
+  
+  // Attach speed synchronization to the main player's video (once per video element)
+  startPlayerTracking();
+  
+  // The video may already play at its target speed, which reports no change for the badge
+  refreshSpeedBadge();
+  
+  // Start skip-silence analysis if the user enabled it
+  refreshSilenceSkip();
+  
+  // Note: Navigation observer is set up globally, not per initialization
+}
+
+/**
+ * Waits for video to be ready and fully initializes the extension
+ * @param {boolean} isNavigation - Whether this is called during navigation
+ */
+function waitForVideoAndFullyInitialize(isNavigation = false) {
+  const video = getPlayerVideo();
+  if (video && video.readyState >= 1) {
+    // Fully initialize the extension (which includes applying appropriate speed)
+    initializeExtension(isNavigation);
+    
+    // Update settings menu after UI is ready
+    setTimeout(() => {
+      const targetSpeed = getTargetSpeed(isNavigation).speed;
+      if (targetSpeed !== 1) {
+        updateYouTubeSpeedSetting(targetSpeed);
+      }
+    }, 2000);
+  } else {
+    // Wait for a video to load; media events don't bubble, so listen in the capture phase
+    document.addEventListener('loadedmetadata', () => waitForVideoAndFullyInitialize(isNavigation), {
+      capture: true,
+      once: true
+    });
+  }
+}
+
+/**
+ * Keeps the settings cache current and reacts to settings changed elsewhere
+ * (other tabs, the options page, the toolbar popup or synced devices)
+ * @param {Object} changes - The chrome.storage change set
+ * @param {string} areaName - The storage area that changed
+ */
+async function handleSettingsChange(changes, areaName) {
+  await handleStorageChange(changes, areaName);
+  
+  if (DISABLED_SITES_STORAGE in changes) {
+    refreshSiteEnabled();
+  } else if (SILENCE_SKIP_ENABLED_STORAGE in changes) {
+    refreshSilenceSkip();
+  }
+  
+  if (PRESERVE_PITCH_STORAGE in changes || TIME_STRETCH_ENABLED_STORAGE in changes) {
+    refreshAudioSettings();
+  }
+  
+  if (OVERLAY_SETTINGS_STORAGE in changes) {
+    refreshSpeedBadge();
+  }
+  
+  if (TIME_DISPLAY_ENABLED_STORAGE in changes) {
+    refreshSpeedTimeDisplay();
+  }
+}
+
+/**
+ * Starts or stops the extension on the current page after its site was turned on or off
+ * Turning a site off leaves the current speed alone; it just stops applying, saving and reacting to speeds.
+ */
+function refreshSiteEnabled() {
+  refreshSilenceSkip();
+  refreshAudioSettings();
+  refreshSpeedBadge();
+  
+  if (!isSiteEnabled()) {
+    endTemporarySpeed();
+    stopSpeedRamp();
+    resetSpeedZones();
+    stopPlayerTracking();
+    adState.isActive = false;
+    // Re-initialize (and re-apply the target speed) when the site is turned back on
+    isExtensionInitialized = false;
+  } else if (!isExtensionInitialized) {
+    waitForVideoAndFullyInitialize();
+  }
+}
+
+/**
+ * Registers the page-wide listeners the content script reacts to
+ * Called once by content.js. The content/ modules only declare state and functions, so loading
+ * them has no side effects until this runs.
+ */
+function setupEventListeners() {
+  // Saving, the overlay and the speed menu follow the speed controller's changes. Outside changes
+  // are handled last since undoing YouTube's reset sets the speed again.
+  onSpeedChange(handleSpeedPersistence);
+  onSpeedChange(handleSpeedOverlay);
+  onSpeedChange(handleSpeedBadge);
+  onSpeedChange(handleSpeedMenuSync);
+  onSpeedChange(handleOutsideSpeedChange);
+  
+  document.addEventListener('keydown', handleShortcutKeyDown);
+  
+  // Hold to boost ends when its key is released or the page loses focus
+  document.addEventListener('keyup', handleBoostKeyUp);
+  window.addEventListener('blur', handleWindowBlur);
+  
+  // YouTube's single-page navigation events (desktop and m.youtube.com). Listening on window in the
+  // capture phase catches them whether they're dispatched on the document or the window.
+  window.addEventListener('yt-navigate-start', startNavigation, true);
+  window.addEventListener('yt-navigate-finish', handleNavigateFinish, true);
+  window.addEventListener('yt-page-data-updated', handlePageDataUpdated, true);
+  window.addEventListener('state-navigatestart', startNavigation, true);
+  window.addEventListener('state-navigateend', handleMobileNavigateEnd, true);
+  document.addEventListener('loadedmetadata', handleVideoMetadata, true);
+  document.addEventListener('playing', handleVideoPlaying, true);
+  
+  // Pick up settings changed in other tabs or synced from other devices
+  if (hasExtensionStorage()) {
+    chrome.storage.onChanged.addListener(handleSettingsChange);
+    
+    // Don't lose collected watch time or debounced writes when the tab is closed
+    window.addEventListener('pagehide', () => {
+      flushWatchStats();
+      flushStorageWrites();
+    });
+  }
+  
+  // Answer the toolbar popup
+  if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
+    chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+  }
+}
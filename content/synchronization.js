@@ -0,0 +1,232 @@
+/**
+ * YouTube Speed Extender - Speed Synchronization
+ *
+ * Listeners attached to the main player's video: restores the speed after seeking, reports rate
+ * changes made with YouTube's own controls to the speed controller and keeps the settings menu up to date.
+ */
+
+/**
+ * Works out what changed the main video's rate when the extension didn't
+ * @param {HTMLVideoElement} video - The main player's video
+ * @param {number} speed - The new rate
+ * @param {boolean} isSeeking - Whether the video is seeking
+ * @returns {string|null} A SPEED_SOURCES entry, or null while the site is turned off
+ */
+function getOutsideSpeedSource(video, speed, isSeeking) {
+  if (!isSiteEnabled()) return null; // Listeners outlive the site being turned off
+  
+  // Rate changes during an ad (YouTube's or the user's) never become the stored preference
+  if (isAdShowing(video)) return SPEED_SOURCES.AD;
+  
+  // YouTube resets the rate while seeking and while it loads the next page; the target speed follows
+  if (isSeeking || navigationState.state === NAVIGATION_STATES.NAVIGATING) {
+    return SPEED_SOURCES.YOUTUBE_RESET;
+  }
+  // Its reset for the new video can also arrive after the navigation speed was applied
+  if (navigationState.state === NAVIGATION_STATES.SETTLING && speed === 1 && navigationState.speed !== 1) {
+    return SPEED_SOURCES.YOUTUBE_RESET;
+  }
+  
+  return isValidSpeed(speed) ? SPEED_SOURCES.PLAYER : SPEED_SOURCES.PAGE;
+}
+
+/**
+ * Reacts to rate changes the extension didn't make
+ * YouTube's reset while a navigation settles is undone, and a speed the user picked with YouTube's
+ * controls replaces any skipped silence, temporary speed, ramp or zone.
+ * @param {SpeedChangeEvent} event - The speed change
+ */
+function handleOutsideSpeedChange({ video, source }) {
+  if (source === SPEED_SOURCES.YOUTUBE_RESET && navigationState.state === NAVIGATION_STATES.SETTLING) {
+    setSpeed(video, navigationState.speed, SPEED_SOURCES.RESTORE);
+  } else if (source === SPEED_SOURCES.PLAYER) {
+    // The manual speed becomes the speed to return to
+    navigationState.state = NAVIGATION_STATES.IDLE;
+    silenceSkipState.isActive = false;
+    temporarySpeedState.kind = null;
+    stopSpeedRamp();
+    overrideSpeedZone();
+  }
+}
+
+/**
+ * Sets up comprehensive speed synchronization and event handling for one video element
+ * Handles seeking events, rate changes, and settings menu integration. Called by the player
+ * tracker, which attaches it once per video element and calls the returned teardown when it's replaced.
+ * @param {HTMLVideoElement} video - The main player's video
+ * @returns {Function} Removes the listeners and disconnects the observers
+ */
+function setupSpeedSynchronization(video) {
+  const listeners = new AbortController();
+  const { signal } = listeners;
+  const observers = [];
+  const teardown = () => {
+    listeners.abort();
+    observers.forEach(observer => observer.disconnect());
+  };
+  
+  let isSeeking = false;
+  
+  // Pitch preservation is a property of the element, so a new video needs the settings too
+  applyAudioSettings(video);
+  
+  // Handle video seeking events to maintain preferred speed
+  video.addEventListener('seeking', () => {
+    isSeeking = true;
+  }, { signal });
+  
+  video.addEventListener('seeked', () => {
+    isSeeking = false;
+    
+    // Reapply preferred speed after seeking if YouTube reset it
+    setTimeout(() => {
+      if (!isSiteEnabled()) return;
+      if (temporarySpeedState.kind) return; // A seek doesn't end toggle-1x or a boost
+      if (isSpeedRampActive()) return; // The ramp sets the speed for the new position itself
+      if (isAdShowing(video)) return;
+      if (isNavigationInProgress()) return; // The navigation applies its own speed
+      if (updateSpeedZones(video, true)) return; // Inside a zone its speed applies instead
+      
+      const preferredSpeed = getTargetSpeed().speed;
+      const currentSpeed = video.playbackRate;
+      
+      if (preferredSpeed !== 1 && roundSpeed(currentSpeed) !== roundSpeed(preferredSpeed)) {
+        setSpeed(video, preferredSpeed, SPEED_SOURCES.RESTORE);
+      }
+    }, 100);
+  }, { signal });
+  
+  // Report rate changes the extension didn't make (YouTube's controls and resets, the page)
+  trackVideoSpeed(video);
+  video.addEventListener('ratechange', () => {
+    // Keep the time-stretch ratio in step with rates YouTube or the page set too
+    applyAudioSettings(video);
+    handleRateChange(video, (speed) => getOutsideSpeedSource(video, speed, isSeeking));
+  }, { signal });
+  
+  setupWatchStats(video, signal);
+  setupSpeedTimeDisplay(video, signal);
+  
+  // Speed zones and chapter rules follow the playback position
+  video.addEventListener('timeupdate', () => updateSpeedZones(video), { signal });
+  
+  // YouTube marks the player with the ad-showing class for as long as an ad plays
+  const adObserver = new MutationObserver(() => refreshAdState(video));
+  adObserver.observe(video.closest('.html5-video-player') || getPlayerContainer(video), {
+    attributes: true,
+    attributeFilter: ['class']
+  });
+  observers.push(adObserver);
+  
+  // Each ad in a pod loads its own source, and YouTube resets the rate for it
+  video.addEventListener('loadedmetadata', () => {
+    if (adState.isActive && adState.video === video) {
+      setSpeed(video, getAdSpeed(), SPEED_SOURCES.AD);
+    }
+  }, { signal });
+  
+  // Only the watch and embed players have YouTube's settings menu to integrate with
+  if (!PLAYER_VARIANT_CONFIG[getPlayerVariant()].hasSettingsMenu) return teardown;
+  
+  // Set up mutation observers for settings menu integration
+  const settingsObserver = new MutationObserver((mutations) => {
+    let shouldUpdateSettings = false;
+    let shouldUpdateSpeedMenu = false;
+    
+    mutations.forEach((mutation) => {
+      if (mutation.type === 'childList') {
+        // Check if speed menu was opened
+        const speedMenu = document.querySelector('.ytp-speed-menu');
+        if (speedMenu && !speedMenu.classList.contains('yt-speed-ext-enhanced')) {
+          shouldUpdateSpeedMenu = true;
+        }
+        
+        // Check if main settings menu was opened
+        const settingsMenu = document.querySelector('.ytp-settings-menu');
+        if (settingsMenu && settingsMenu.style.display !== 'none') {
+          shouldUpdateSettings = true;
+        }
+      } else if (mutation.type === 'attributes' && mutation.attributeName === 'style') {
+        // Check for style changes indicating menu visibility
+        if (mutation.target.classList.contains('ytp-settings-menu') && 
+            mutation.target.style.display !== 'none') {
+          shouldUpdateSettings = true;
+        } else if (mutation.target.classList.contains('ytp-speed-menu') &&
+                   !mutation.target.classList.contains('yt-speed-ext-enhanced')) {
+          shouldUpdateSpeedMenu = true;
+        }
+      }
+    });
+    
+    // Execute updates once per batch of mutations
+    if (shouldUpdateSpeedMenu && isSiteEnabled()) {
+      const speedMenu = document.querySelector('.ytp-speed-menu');
+      if (speedMenu) {
+        enhanceSpeedMenu(speedMenu);
+      }
+    }
+    
+    if (shouldUpdateSettings) {
+      if (menuUpdateTimeout) {
+        clearTimeout(menuUpdateTimeout);
+      }
+      menuUpdateTimeout = setTimeout(() => {
+        updateSettingsMenuSpeedValue(video.playbackRate);
+        directUpdateSettingsMenu(video.playbackRate);
+        menuUpdateTimeout = null;
+      }, 250);
+    }
+  });
+  
+  // Start observing the player container for settings menu changes
+  observers.push(settingsObserver);
+  const playerContainer = getPlayerContainer(video);
+  if (playerContainer) {
+    settingsObserver.observe(playerContainer, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['style', 'class']
+    });
+  }
+  
+  // Listen for settings button clicks
+  const settingsButton = playerContainer.querySelector('.ytp-settings-button');
+  if (settingsButton) {
+    settingsButton.addEventListener('click', () => {
+      if (menuUpdateTimeout) {
+        clearTimeout(menuUpdateTimeout);
+      }
+      menuUpdateTimeout = setTimeout(() => {
+        updateSettingsMenuSpeedValue(video.playbackRate);
+        directUpdateSettingsMenu(video.playbackRate);
+        menuUpdateTimeout = null;
+      }, 250);
+    }, { signal });
+  }
+  
+  // Additional observer for settings panel
+  const settingsPanel = playerContainer.querySelector('.ytp-settings-menu');
+  if (settingsPanel) {
+    const panelObserver = new MutationObserver(() => {
+      if (menuUpdateTimeout) {
+        clearTimeout(menuUpdateTimeout);
+      }
+      menuUpdateTimeout = setTimeout(() => {
+        updateSettingsMenuSpeedValue(video.playbackRate);
+        directUpdateSettingsMenu(video.playbackRate);
+        menuUpdateTimeout = null;
+      }, 100);
+    });
+    
+    panelObserver.observe(settingsPanel, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['style']
+    });
+    observers.push(panelObserver);
+  }
+  
+  return teardown;
+}
@@ -0,0 +1,73 @@
+/**
+ * YouTube Speed Extender - Temporary Speeds
+ *
+ * Toggle 1x and hold to boost: speeds that override the user's speed for a moment and are never saved.
+ */
+
+let temporarySpeedState = { // Toggle-1x or hold-to-boost speed currently overriding the user's speed
+  kind: null,           // A value from TEMPORARY_SPEED_KINDS, or null when none is active
+  video: null,
+  userSpeed: 1,         // Speed to return to when the temporary speed ends
+  boostKey: null        // Key whose release ends the boost
+};
+
+// Temporary speeds that are applied without being saved
+const TEMPORARY_SPEED_KINDS = {
+  NORMAL: 'normal', // Toggle 1x
+  BOOST: 'boost'    // Hold to boost
+};
+
+/**
+ * Applies a temporary speed without saving it
+ * @param {string} kind - A value from TEMPORARY_SPEED_KINDS
+ * @param {number} speed - The temporary speed
+ * @param {string|null} boostKey - For boosts, the key whose release ends it
+ */
+function startTemporarySpeed(kind, speed, boostKey = null) {
+  const video = getPlayerVideo();
+  if (!video) return;
+  
+  // Return to the user's speed, not the skip-silence speed, once this ends
+  endSilenceSkip();
+  if (!temporarySpeedState.kind || temporarySpeedState.video !== video) {
+    temporarySpeedState.userSpeed = video.playbackRate;
+  }
+  temporarySpeedState.kind = kind;
+  temporarySpeedState.video = video;
+  temporarySpeedState.boostKey = boostKey;
+  
+  setSpeed(video, speed, SPEED_SOURCES.TEMPORARY);
+}
+
+/**
+ * Ends the active temporary speed and returns to the user's speed
+ */
+function endTemporarySpeed() {
+  const { kind, video, userSpeed } = temporarySpeedState;
+  temporarySpeedState.kind = null;
+  temporarySpeedState.boostKey = null;
+  
+  if (kind && video && video.isConnected) {
+    setSpeed(video, userSpeed, SPEED_SOURCES.TEMPORARY);
+  }
+}
+
+/**
+ * Ends a boost when its key is released (modifiers may be released first)
+ * @param {KeyboardEvent} e - The keyup event
+ */
+function handleBoostKeyUp(e) {
+  const { kind, boostKey } = temporarySpeedState;
+  if (kind === TEMPORARY_SPEED_KINDS.BOOST && e.key.toLowerCase() === boostKey.toLowerCase()) {
+    endTemporarySpeed();
+  }
+}
+
+/**
+ * Ends a boost when focus leaves the page, since the keyup never arrives while the key is held
+ */
+function handleWindowBlur() {
+  if (temporarySpeedState.kind === TEMPORARY_SPEED_KINDS.BOOST) {
+    endTemporarySpeed();
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * YouTube Speed Extender - Speed-Adjusted Time Display
+ *
+ * YouTube's .ytp-time-display always counts in media time, so at 3x a 30 minute video still shows
+ * 30:00. This adds how long the rest takes at the current speed and the clock time it ends at.
+ */
+
+const TIME_DISPLAY_CLASS = 'yt-speed-ext-time-display';
+const TIME_DISPLAY_EVENTS = ['timeupdate', 'ratechange', 'durationchange'];
+
+/**
+ * Keeps the speed-adjusted time next to the player's time display while a video is tracked
+ * @param {HTMLVideoElement} video - The tracked video
+ * @param {AbortSignal} signal - Removes the listeners and the readout when the player tracker moves on
+ */
+function setupSpeedTimeDisplay(video, signal) {
+  const update = () => updateSpeedTimeDisplay(video);
+  TIME_DISPLAY_EVENTS.forEach(type => video.addEventListener(type, update, { signal }));
+  signal.addEventListener('abort', () => removeSpeedTimeDisplay(video));
+  update();
+}
+
+/**
+ * Builds the readout text
+ * @param {number} remainingTime - Seconds of real time left at the current speed
+ * @param {number} rate - The current playback rate
+ * @param {number} now - The current time in milliseconds, as from Date.now()
+ * @returns {string} e.g. "ends in 4:20 at 2x (9:41 PM)"
+ */
+function getSpeedTimeDisplayText(remainingTime, rate, now = Date.now()) {
+  const finishTime = new Date(now + remainingTime * 1000).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  return `ends in ${formatTimestamp(remainingTime)} at ${roundSpeed(rate)}x (${finishTime})`;
+}
+
+/**
+ * Adds, updates or removes the readout in the time display of a video's player
+ * There's no readout for live streams, during ads, while the site is turned off or while the setting is off.
+ * @param {HTMLVideoElement} video - The tracked video
+ */
+function updateSpeedTimeDisplay(video) {
+  const timeDisplay = getPlayerContainer(video).querySelector('.ytp-time-display');
+  if (!timeDisplay) return; // Shorts and m.youtube.com have no time display of this kind
+
+  let readout = timeDisplay.querySelector(`.${TIME_DISPLAY_CLASS}`);
+  const remainingTime = getSpeedAdjustedRemainingTime(video, video.playbackRate);
+  if (remainingTime === null || !loadTimeDisplayEnabled() || !isSiteEnabled() || isAdShowing(video)) {
+    if (readout) readout.remove();
+    return;
+  }
+
+  if (!readout) {
+    readout = document.createElement('span');
+    readout.className = TIME_DISPLAY_CLASS;
+    Object.assign(readout.style, {
+      marginLeft: '8px',
+      color: '#ddd',
+      whiteSpace: 'nowrap'
+    });
+
+    // Right after "0:42 / 10:00", ahead of the chapter title
+    const timeContents = timeDisplay.querySelector('.ytp-time-wrapper, .ytp-time-contents');
+    if (timeContents) {
+      timeContents.after(readout);
+    } else {
+      timeDisplay.appendChild(readout);
+    }
+  }
+
+  // timeupdate fires several times a second; only touch the DOM when the text changes
+  const text = getSpeedTimeDisplayText(remainingTime, video.playbackRate);
+  if (readout.textContent !== text) {
+    readout.textContent = text;
+  }
+}
+
+/**
+ * Removes the readout from a video's player
+ * @param {HTMLVideoElement} video - The video whose player shows the readout
+ */
+function removeSpeedTimeDisplay(video) {
+  const readout = getPlayerContainer(video).querySelector(`.${TIME_DISPLAY_CLASS}`);
+  if (readout) readout.remove();
+}
+
+/**
+ * Brings the readout in line with the setting after it changed
+ */
+function refreshSpeedTimeDisplay() {
+  if (playerTracker.video) {
+    updateSpeedTimeDisplay(playerTracker.video);
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * YouTube Speed Extender - Watch Time Statistics
+ *
+ * Collects video time and real time watched per day, channel and speed for the Time Saved panel.
+ */
+
+let watchStatsState = { // Watch time collected since the last write to the statistics
+  pending: new Map(),   // 'date|channel|speed' -> entry for addWatchTime
+  flushTimeoutId: null,
+  videoId: null,        // Video the cached channel belongs to
+  channel: null,        // Channel of that video, from getCurrentChannel
+  channelCheckedAt: 0   // When getCurrentChannel last ran, to retry a missing channel without querying the DOM on every timeupdate
+};
+
+// Configuration: Watch-time statistics
+const WATCH_STATS_FLUSH_INTERVAL = 30000; // ms between writes of collected watch time
+const MAX_WATCH_STATS_STEP = 5; // Real seconds between timeupdates beyond which a step isn't counted (stalls, throttled tabs)
+const CHANNEL_RETRY_INTERVAL = 5000; // ms before looking for a channel that wasn't in the page yet
+
+/**
+ * Counts the media time played on a video and the real time it took
+ * Time is measured between timeupdate events at the rate in effect since the previous one; a
+ * ratechange closes the step at the old rate. Pauses, seeks and ads aren't counted.
+ * @param {HTMLVideoElement} video - The tracked video
+ * @param {AbortSignal} signal - Removes the listeners when the player tracker moves on
+ */
+function setupWatchStats(video, signal) {
+  let lastTime = null; // currentTime at the previous step, or null when there's nothing to measure from
+  let lastRate = video.playbackRate;
+  
+  const recordStep = () => {
+    if (lastTime !== null && !video.paused && isSiteEnabled() && !isAdShowing(video)) {
+      const media = video.currentTime - lastTime;
+      if (media > 0 && media / lastRate <= MAX_WATCH_STATS_STEP) {
+        recordWatchTime(media, lastRate);
+      }
+    }
+    lastTime = video.currentTime;
+    lastRate = video.playbackRate;
+  };
+  const resetStep = () => {
+    lastTime = null;
+  };
+  
+  video.addEventListener('timeupdate', recordStep, { signal });
+  video.addEventListener('ratechange', recordStep, { signal });
+  ['seeking', 'pause', 'emptied'].forEach(type => video.addEventListener(type, resetStep, { signal }));
+}
+
+/**
+ * Adds a step of playback to the watch time waiting to be written
+ * @param {number} media - Seconds of media played
+ * @param {number} rate - Playback rate the media was played at
+ */
+function recordWatchTime(media, rate) {
+  const date = getLocalDateKey();
+  const speed = roundSpeed(rate);
+  const channel = getWatchStatsChannel();
+  const key = `${date}|${channel ? channel.id : ''}|${speed}`;
+  
+  const entry = watchStatsState.pending.get(key) || {
+    date,
+    channelId: channel ? channel.id : null,
+    channelName: channel ? channel.name : '',
+    speed,
+    media: 0,
+    real: 0
+  };
+  entry.media += media;
+  entry.real += media / rate;
+  watchStatsState.pending.set(key, entry);
+  
+  if (!watchStatsState.flushTimeoutId) {
+    watchStatsState.flushTimeoutId = setTimeout(flushWatchStats, WATCH_STATS_FLUSH_INTERVAL);
+  }
+}
+
+/**
+ * Writes the collected watch time to the statistics
+ */
+function flushWatchStats() {
+  if (watchStatsState.flushTimeoutId) {
+    clearTimeout(watchStatsState.flushTimeoutId);
+    watchStatsState.flushTimeoutId = null;
+  }
+  if (watchStatsState.pending.size === 0) return;
+  
+  addWatchTime(Array.from(watchStatsState.pending.values()));
+  watchStatsState.pending.clear();
+}
+
+/**
+ * Finds the channel of the current video for the statistics, cached per video
+ * @returns {{id: string, name: string}|null} The channel, or null when the page doesn't show one
+ */
+function getWatchStatsChannel() {
+  const videoId = getCurrentVideoId();
+  const now = Date.now();
+  
+  if (videoId !== watchStatsState.videoId ||
+      (!watchStatsState.channel && now - watchStatsState.channelCheckedAt >= CHANNEL_RETRY_INTERVAL)) {
+    watchStatsState.videoId = videoId;
+    watchStatsState.channel = getCurrentChannel();
+    watchStatsState.channelCheckedAt = now;
+  }
+  return watchStatsState.channel;
+}
+
+/**
+ * Formats a date in the user's time zone, so statistics days match the user's days
+ * @param {Date} [date] - The date to format, today by default
+ * @returns {string} The date as YYYY-MM-DD
+ */
+function getLocalDateKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Fills the settings modal's watch-time panel
+ * Built with DOM APIs since channel names come from the page.
+ * @param {HTMLElement} container - The panel element
+ */
+function renderWatchStats(container) {
+  const stats = loadWatchStats();
+  const today = stats.days[getLocalDateKey()] || { media: 0, real: 0 };
+  const lastWeek = Object.keys(stats.days)
+    .filter(day => day > getLocalDateKey(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)))
+    .reduce((sum, day) => ({
+      media: sum.media + stats.days[day].media,
+      real: sum.real + stats.days[day].real
+    }), { media: 0, real: 0 });
+  
+  const createLine = (label, bucket) => {
+    const line = document.createElement('div');
+    line.style.cssText = 'display: flex; justify-content: space-between; gap: 12px; padding: 4px 0; font-size: 13px;';
+    
+    const name = document.createElement('span');
+    name.style.cssText = 'color: #fff; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+    name.textContent = label;
+    
+    const value = document.createElement('span');
+    value.style.cssText = 'color: #aaa; white-space: nowrap;';
+    value.textContent = `${formatDuration(bucket.media)} in ${formatDuration(bucket.real)} · ` +
+      `saved ${formatDuration(Math.max(0, bucket.media - bucket.real))}`;
+    
+    line.append(name, value);
+    return line;
+  };
+  const createHeading = (text) => {
+    const heading = document.createElement('div');
+    heading.style.cssText = 'margin-top: 12px; color: #aaa; font-size: 12px; text-transform: uppercase; letter-spacing: 0.5px;';
+    heading.textContent = text;
+    return heading;
+  };
+  
+  const topChannels = Object.keys(stats.channels)
+    .map(id => stats.channels[id])
+    .sort((a, b) => (b.media - b.real) - (a.media - a.real))
+    .slice(0, 5);
+  const speeds = Object.keys(stats.speeds).sort((a, b) => parseFloat(a) - parseFloat(b));
+  
+  container.replaceChildren(
+    createLine('Today', today),
+    createLine('Last 7 days', lastWeek),
+    createLine('Overall', stats.total),
+    ...(topChannels.length > 0
+      ? [createHeading('Top channels'), ...topChannels.map(channel => createLine(channel.name, channel))]
+      : []),
+    ...(speeds.length > 0
+      ? [createHeading('By speed'), ...speeds.map(speed => createLine(`${speed}x`, stats.speeds[speed]))]
+      : [])
+  );
+}
@@ -0,0 +1,190 @@
+/**
+ * YouTube Speed Extender - Chapters and Speed Zones
+ *
+ * Plays chapters matching a chapter rule, and the speed zones of a video, at their own speed.
+ */
+
+let zoneState = { // Chapter rule or speed zone currently overriding the user's speed
+  activeKey: null,      // Rule being applied ('zone:start-end' or 'chapter:title'), or null
+  userSpeed: 1,         // Speed to return to when playback leaves the zone
+  overriddenKey: null   // Rule the user changed the speed in; it isn't applied again until playback leaves it
+};
+let chapterCache = { // Chapters read from the page for the current video
+  videoId: null,
+  chapters: [],         // [{start, title}] in start order
+  checkedAt: 0          // When the page was last read, to retry chapters that hadn't rendered yet
+};
+
+// Configuration: Chapter rules
+const CHAPTER_RETRY_INTERVAL = 5000; // ms before reading chapters again for a video that had none
+const CHAPTER_MARKER_SELECTOR = 'ytd-macro-markers-list-item-renderer'; // Chapter list under the description and in the chapters panel
+const DESCRIPTION_SELECTOR = '#description-inline-expander, ytd-text-inline-expander, #description';
+
+/**
+ * Parses a chapter list from text with one chapter per line, such as a video description
+ * Timestamps may start the line ("0:00 Intro", "(1:30) Sponsor") or end it ("Intro - 0:00").
+ * @param {string} text - The text to parse
+ * @returns {Array<{start: number, title: string}>} Chapters in start order, or an empty list if fewer than two were found
+ */
+function parseChapterList(text) {
+  const chapters = new Map(); // start -> title; a repeated timestamp keeps its first title
+  
+  text.split('\n').forEach(line => {
+    const leading = line.match(/^\s*[([]?((?:\d+:)?\d{1,2}:\d{2})[)\]]?\s*(?:[-–—:|•]\s*)?(.+?)\s*$/);
+    const trailing = !leading && line.match(/^\s*(.+?)\s*(?:[-–—:|•]\s*)?[([]?((?:\d+:)?\d{1,2}:\d{2})[)\]]?\s*$/);
+    const [timestamp, title] = leading ? [leading[1], leading[2]] : trailing ? [trailing[2], trailing[1]] : [];
+    const start = parseTimestamp(timestamp);
+    if (start !== null && !chapters.has(start)) {
+      chapters.set(start, title);
+    }
+  });
+  
+  // A single timestamp is a mention, not a chapter list
+  if (chapters.size < 2) return [];
+  return [...chapters].map(([start, title]) => ({ start, title })).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Reads the current video's chapters from the page
+ * YouTube's own chapter list is used when it's rendered, otherwise the timestamps in the description.
+ * @returns {Array<{start: number, title: string}>} Chapters in start order, or an empty list
+ */
+function readVideoChapters() {
+  const markerLines = [...document.querySelectorAll(CHAPTER_MARKER_SELECTOR)].map(marker => {
+    const title = marker.querySelector('h4');
+    const time = marker.querySelector('#time');
+    return title && time ? `${time.textContent.trim()} ${title.textContent.trim()}` : '';
+  });
+  const markerChapters = parseChapterList(markerLines.join('\n'));
+  if (markerChapters.length > 0) return markerChapters;
+  
+  const description = document.querySelector(DESCRIPTION_SELECTOR);
+  return description ? parseChapterList(description.textContent) : [];
+}
+
+/**
+ * Gets the current video's chapters, reading the page at most once per CHAPTER_RETRY_INTERVAL
+ * @returns {Array<{start: number, title: string}>} Chapters in start order, or an empty list
+ */
+function getVideoChapters() {
+  const videoId = getCurrentVideoId();
+  const now = Date.now();
+  const isCached = chapterCache.videoId === videoId &&
+    (chapterCache.chapters.length > 0 || now - chapterCache.checkedAt < CHAPTER_RETRY_INTERVAL);
+  
+  if (!isCached) {
+    chapterCache.videoId = videoId;
+    chapterCache.chapters = readVideoChapters();
+    chapterCache.checkedAt = now;
+  }
+  return chapterCache.chapters;
+}
+
+/**
+ * Finds the title of the chapter playing in a video
+ * @param {HTMLVideoElement} video - The main player's video
+ * @returns {string|null} The chapter title, or null if the video has no chapters
+ */
+function getCurrentChapterTitle(video) {
+  const chapters = getVideoChapters();
+  if (chapters.length > 0) {
+    const chapter = chapters.filter(c => c.start <= video.currentTime).pop();
+    return chapter ? chapter.title : null;
+  }
+  
+  // The player's chapter label covers chapters the page doesn't list (e.g. embeds)
+  const label = getPlayerContainer(video).querySelector('.ytp-chapter-title-content');
+  return label ? label.textContent.trim() || null : null;
+}
+
+/**
+ * Finds the speed zone or chapter rule for a video's current position
+ * The video's own speed zones take precedence over chapter rules.
+ * @param {HTMLVideoElement} video - The main player's video
+ * @returns {{key: string, speed: number, label: string}|null} The rule with a key identifying it and
+ *   the text shown in the overlay, or null if none applies
+ */
+function findSpeedRule(video) {
+  const time = video.currentTime;
+  const zone = loadVideoSpeedZones(getCurrentVideoId()).find(z => time >= z.start && time < z.end);
+  if (zone) {
+    return {
+      key: `zone:${zone.start}-${zone.end}`,
+      speed: zone.speed,
+      label: `${formatTimestamp(zone.start)}–${formatTimestamp(zone.end)}`
+    };
+  }
+  
+  if (loadChapterRules().length === 0) return null; // Don't read the page when there are no rules
+  
+  const title = getCurrentChapterTitle(video);
+  const rule = findChapterRule(title);
+  return rule ? { key: `chapter:${title}`, speed: rule.speed, label: title } : null;
+}
+
+/**
+ * Applies the speed zone or chapter rule for the current position, and returns to the user's speed after it
+ * Zone speeds are never saved. Ads, toggle-1x, hold-to-boost, a ramp and navigations take precedence,
+ * and a zone the user changed the speed in stays off until playback leaves it.
+ * @param {HTMLVideoElement} video - The main player's video
+ * @param {boolean} reapply - Whether to set the zone speed again if the rate no longer matches (after a seek)
+ * @returns {boolean} Whether a zone or chapter rule sets the speed at this position
+ */
+function updateSpeedZones(video, reapply = false) {
+  if (!isSiteEnabled() || isAdShowing(video) || temporarySpeedState.kind || isSpeedRampActive() ||
+      isNavigationInProgress()) {
+    return false;
+  }
+  
+  const rule = findSpeedRule(video);
+  if (!rule || rule.key !== zoneState.overriddenKey) {
+    zoneState.overriddenKey = null;
+  }
+  
+  if (!rule || rule.key === zoneState.overriddenKey) {
+    if (zoneState.activeKey) {
+      zoneState.activeKey = null;
+      endSilenceSkip();
+      setSpeed(video, zoneState.userSpeed, SPEED_SOURCES.ZONE);
+    }
+    return false;
+  }
+  
+  if (rule.key !== zoneState.activeKey) {
+    // Skipped silences return to the zone speed from here on; leaving returns to the speed from before the zone
+    endSilenceSkip();
+    if (!zoneState.activeKey) {
+      zoneState.userSpeed = video.playbackRate;
+    }
+    zoneState.activeKey = rule.key;
+    setSpeed(video, rule.speed, SPEED_SOURCES.ZONE, rule.label);
+  } else if (reapply && !silenceSkipState.isActive && Math.abs(video.playbackRate - rule.speed) > 0.001) {
+    setSpeed(video, rule.speed, SPEED_SOURCES.ZONE, rule.label);
+  }
+  return true;
+}
+
+/**
+ * Hands the speed back to the user inside a zone; the zone isn't applied again until playback leaves it
+ * @param {boolean} restore - Whether to return to the speed from before the zone
+ */
+function overrideSpeedZone(restore = false) {
+  if (!zoneState.activeKey) return;
+  
+  zoneState.overriddenKey = zoneState.activeKey;
+  zoneState.activeKey = null;
+  
+  const video = getPlayerVideo();
+  if (restore && video) {
+    setSpeed(video, zoneState.userSpeed, SPEED_SOURCES.ZONE);
+  }
+}
+
+/**
+ * Forgets the active and overridden zones without changing the speed
+ * Used when something else sets the speed for what follows (a navigation, an ad).
+ */
+function resetSpeedZones() {
+  zoneState.activeKey = null;
+  zoneState.overriddenKey = null;
+}
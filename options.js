@@ -0,0 +1,579 @@
+/**
+ * YouTube Speed Extender - Options Page
+ *
+ * The primary settings surface. Every value is read and written through the load/save
+ * functions in settings.js, so the options page, the in-page modal and imports all apply
+ * the same validation. Changes reach open YouTube tabs through chrome.storage.onChanged.
+ */
+
+let videoSpeedsEdited = false; // The per-video list is only rewritten when the user touched it
+let pendingImport = null; // Validated settings waiting for the user to confirm the import
+
+/**
+ * Creates an editable row for a remembered video speed
+ * @param {{id: string, speed: number}} entry - The remembered video
+ * @returns {HTMLElement} The video row element
+ */
+function createVideoSpeedRow(entry) {
+  const row = document.createElement('div');
+  row.className = 'row video-speed-row';
+
+  const idInput = createRowInput('video-id-input wide', entry.id, 'Video ID or URL');
+  const speedInput = createRowInput('video-speed-input', entry.speed);
+  configureSpeedInput(speedInput);
+
+  const link = document.createElement('a');
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = 'Open';
+  const updateLink = () => {
+    const videoId = parseVideoReference(idInput.value);
+    link.hidden = !videoId;
+    link.href = videoId ? `https://www.youtube.com/watch?v=${videoId}` : '#';
+  };
+  idInput.addEventListener('input', updateLink);
+  updateLink();
+
+  row.append(idInput, speedInput, link, createRemoveButton('Forget video'));
+  return row;
+}
+
+/**
+ * Sets up click-to-bind key capture on a preset key input
+ * Modifier combinations are captured whole. A combination already bound elsewhere on the page
+ * is rejected rather than silently shared.
+ * @param {HTMLInputElement} input - The key input
+ */
+function setupKeyInput(input) {
+  input.addEventListener('keydown', (e) => {
+    // Keep Tab for keyboard navigation between fields
+    if (e.key === 'Tab') return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    // Wait for the rest of a combination while only modifiers are held
+    if (MODIFIER_KEY_NAMES.includes(e.key)) return;
+
+    if (e.key === 'Escape' || e.key === 'Enter') {
+      input.blur();
+      return;
+    }
+
+    // Backspace/Delete clears the binding
+    if (e.key === 'Backspace' || e.key === 'Delete') {
+      input.value = '';
+      input.classList.remove('invalid');
+      return;
+    }
+
+    const binding = formatKeyboardEvent(e);
+    if (!binding) return;
+
+    const owner = findBindingOwner(document, binding, input);
+    if (owner) {
+      // Briefly highlight the conflict
+      input.classList.add('invalid');
+      setStatus(`${binding} is already used by ${owner}.`, true);
+      setTimeout(() => input.classList.remove('invalid'), 1000);
+      return;
+    }
+
+    input.value = binding;
+    input.classList.remove('invalid');
+    setStatus('');
+    input.blur();
+  });
+}
+
+/**
+ * Shows a status message in the footer
+ * @param {string} message - The message to show
+ * @param {boolean} isError - Whether the message reports a problem
+ */
+function setStatus(message, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Updates the remembered video and playlist counts
+ */
+function updateRememberedCounts() {
+  document.getElementById('remembered-videos-count').textContent =
+    `${loadVideoSpeeds().length} of ${MAX_REMEMBERED_VIDEOS} videos remembered`;
+  document.getElementById('remembered-playlists-count').textContent =
+    `${loadPlaylistSpeeds().length} of ${MAX_REMEMBERED_PLAYLISTS} playlists remembered`;
+  document.getElementById('speed-zone-videos-count').textContent =
+    `${loadSpeedZones().length} of ${MAX_ZONE_VIDEOS} videos with speed zones`;
+}
+
+/**
+ * Renders the remembered videos, most recently used first
+ */
+function renderVideoSpeeds() {
+  const list = document.getElementById('video-speeds-list');
+  list.replaceChildren(...loadVideoSpeeds().reverse().map(createVideoSpeedRow));
+  videoSpeedsEdited = false;
+  updateRememberedCounts();
+}
+
+/**
+ * Renders one on/off toggle per supported site, plus any other site that was turned off
+ */
+function renderSites() {
+  const disabledSites = loadDisabledSites();
+  const sites = [...new Set([...getSupportedSites(), ...disabledSites])];
+
+  document.getElementById('sites-list').replaceChildren(...sites.map(site => {
+    const label = document.createElement('label');
+    label.className = 'option';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'site-enabled-input';
+    checkbox.value = site;
+    checkbox.checked = !disabledSites.includes(site);
+
+    label.append(checkbox, ` Enabled on ${site}`);
+    return label;
+  }));
+}
+
+/**
+ * Fills every control with the stored settings
+ */
+function populateForm() {
+  const navigationMode = loadNavigationMode();
+  document.querySelectorAll('input[name="navigation-mode"]').forEach(radio => {
+    radio.checked = radio.value === navigationMode;
+  });
+  document.getElementById('custom-speed-input').value = loadCustomNavigationSpeed();
+
+  document.getElementById('shortcut-editor-container').replaceChildren(createShortcutEditor(loadShortcuts()));
+  document.getElementById('increase-step-input').value = loadIncreaseSpeedStep();
+  document.getElementById('decrease-step-input').value = loadDecreaseSpeedStep();
+  document.getElementById('boost-speed-input').value = loadBoostSpeed();
+  document.getElementById('ladder-step-mode-input').checked = loadKeyStepMode() === KEY_STEP_MODES.LADDER;
+  document.getElementById('speed-ladder-input').value = loadSpeedLadder().join(', ');
+
+  const presetsList = document.getElementById('speed-presets-list');
+  presetsList.replaceChildren(...loadSpeedPresets().map(createPresetRow));
+  presetsList.querySelectorAll('.preset-key-input').forEach(setupKeyInput);
+  document.getElementById('channel-speeds-list').replaceChildren(...loadChannelSpeeds().map(createChannelSpeedRow));
+  document.getElementById('chapter-rules-list').replaceChildren(...loadChapterRules().map(createChapterRuleRow));
+
+  document.getElementById('video-memory-enabled-input').checked = loadVideoMemoryEnabled();
+  document.getElementById('playlist-memory-enabled-input').checked = loadPlaylistMemoryEnabled();
+  renderVideoSpeeds();
+
+  document.getElementById('silence-skip-enabled-input').checked = loadSilenceSkipEnabled();
+  document.getElementById('silence-speed-input').value = loadSilenceSpeed();
+  document.getElementById('silence-threshold-input').value = loadSilenceThreshold();
+
+  document.getElementById('preserve-pitch-input').checked = loadPreservePitch();
+  document.getElementById('time-stretch-enabled-input').checked = loadTimeStretchEnabled();
+
+  const adSpeedMode = loadAdSpeedMode();
+  document.querySelectorAll('input[name="ad-speed-mode"]').forEach(radio => {
+    radio.checked = radio.value === adSpeedMode;
+  });
+  document.getElementById('ad-speed-input').value = loadAdSpeed();
+
+  const speedRamp = loadSpeedRamp();
+  document.querySelectorAll('input[name="ramp-mode"]').forEach(radio => {
+    radio.checked = radio.value === speedRamp.mode;
+  });
+  document.getElementById('ramp-start-speed-input').value = speedRamp.startSpeed;
+  document.getElementById('ramp-target-speed-input').value = speedRamp.targetSpeed;
+  document.getElementById('ramp-duration-input').value = speedRamp.duration;
+  document.getElementById('ramp-step-amount-input').value = speedRamp.stepAmount;
+  document.getElementById('ramp-step-interval-input').value = speedRamp.stepInterval;
+
+  const overlaySettings = loadOverlaySettings();
+  document.getElementById('overlay-enabled-input').checked = overlaySettings.enabled;
+  document.getElementById('overlay-position-input').value = overlaySettings.position;
+  document.getElementById('overlay-size-input').value = overlaySettings.size;
+  document.getElementById('overlay-theme-input').value = overlaySettings.theme;
+  document.getElementById('overlay-duration-input').value = overlaySettings.duration;
+  document.getElementById('overlay-remaining-time-input').checked = overlaySettings.showRemainingTime;
+  document.getElementById('overlay-rule-source-input').checked = overlaySettings.showRuleSource;
+  document.getElementById('overlay-badge-input').checked = overlaySettings.badge;
+  document.getElementById('time-display-enabled-input').checked = loadTimeDisplayEnabled();
+
+  renderSites();
+
+  document.querySelectorAll('.invalid').forEach(input => input.classList.remove('invalid'));
+}
+
+/**
+ * Validates the whole form and saves it
+ * Nothing is saved unless every field is valid.
+ */
+function saveOptions() {
+  document.querySelectorAll('.invalid').forEach(input => input.classList.remove('invalid'));
+
+  const invalidInputs = [];
+  const markInvalid = (input) => {
+    input.classList.add('invalid');
+    invalidInputs.push(input);
+  };
+
+  const selectedMode = document.querySelector('input[name="navigation-mode"]:checked').value;
+  const customSpeedInput = document.getElementById('custom-speed-input');
+  const customSpeed = parseFloat(customSpeedInput.value);
+  if (selectedMode === NAVIGATION_MODES.CUSTOM && !isValidSpeed(customSpeed)) {
+    markInvalid(customSpeedInput);
+  }
+
+  const increaseStepInput = document.getElementById('increase-step-input');
+  const decreaseStepInput = document.getElementById('decrease-step-input');
+  const increaseStep = parseFloat(increaseStepInput.value);
+  const decreaseStep = parseFloat(decreaseStepInput.value);
+  if (!isValidSpeedStep(increaseStep)) {
+    markInvalid(increaseStepInput);
+  }
+  if (!isValidSpeedStep(decreaseStep)) {
+    markInvalid(decreaseStepInput);
+  }
+
+  const boostSpeedInput = document.getElementById('boost-speed-input');
+  const boostSpeed = parseFloat(boostSpeedInput.value);
+  if (!isValidSpeed(boostSpeed)) {
+    markInvalid(boostSpeedInput);
+  }
+
+  const speedLadderInput = document.getElementById('speed-ladder-input');
+  const speedLadder = parseSpeedLadder(speedLadderInput.value);
+  if (!speedLadder) {
+    markInvalid(speedLadderInput);
+  }
+
+  const presets = readPresetRows(document.getElementById('speed-presets-list'), markInvalid);
+  const channelRules = readChannelSpeedRows(document.getElementById('channel-speeds-list'), markInvalid);
+  const chapterRules = readChapterRuleRows(document.getElementById('chapter-rules-list'), markInvalid);
+
+  // Rows are shown most recent first; the store keeps least recently used first
+  const seenVideoIds = new Set();
+  const videoSpeeds = [...document.querySelectorAll('.video-speed-row')].map(row => {
+    const idInput = row.querySelector('.video-id-input');
+    const speedInput = row.querySelector('.video-speed-input');
+    const id = parseVideoReference(idInput.value);
+    const speed = parseFloat(speedInput.value);
+    if (!id || seenVideoIds.has(id)) {
+      markInvalid(idInput);
+    } else if (!isValidSpeed(speed)) {
+      markInvalid(speedInput);
+    }
+    seenVideoIds.add(id);
+    return { id, speed };
+  }).reverse();
+
+  const silenceSpeedInput = document.getElementById('silence-speed-input');
+  const silenceThresholdInput = document.getElementById('silence-threshold-input');
+  const silenceSpeed = parseFloat(silenceSpeedInput.value);
+  const silenceThreshold = parseFloat(silenceThresholdInput.value);
+  if (!isValidSpeed(silenceSpeed)) {
+    markInvalid(silenceSpeedInput);
+  }
+  if (!isValidSilenceThreshold(silenceThreshold)) {
+    markInvalid(silenceThresholdInput);
+  }
+
+  const selectedAdSpeedMode = document.querySelector('input[name="ad-speed-mode"]:checked').value;
+  const adSpeedInput = document.getElementById('ad-speed-input');
+  const adSpeed = parseFloat(adSpeedInput.value);
+  if (selectedAdSpeedMode === AD_SPEED_MODES.CUSTOM && !isValidSpeed(adSpeed)) {
+    markInvalid(adSpeedInput);
+  }
+
+  const rampInputs = {
+    startSpeed: document.getElementById('ramp-start-speed-input'),
+    targetSpeed: document.getElementById('ramp-target-speed-input'),
+    duration: document.getElementById('ramp-duration-input'),
+    stepAmount: document.getElementById('ramp-step-amount-input'),
+    stepInterval: document.getElementById('ramp-step-interval-input')
+  };
+  const speedRamp = { mode: document.querySelector('input[name="ramp-mode"]:checked').value };
+  Object.entries(rampInputs).forEach(([name, input]) => {
+    speedRamp[name] = parseFloat(input.value);
+  });
+  if (!isValidSpeed(speedRamp.startSpeed)) {
+    markInvalid(rampInputs.startSpeed);
+  }
+  if (!isValidSpeed(speedRamp.targetSpeed)) {
+    markInvalid(rampInputs.targetSpeed);
+  }
+  if (!isValidRampMinutes(speedRamp.duration)) {
+    markInvalid(rampInputs.duration);
+  }
+  if (!isValidSpeedStep(speedRamp.stepAmount)) {
+    markInvalid(rampInputs.stepAmount);
+  }
+  if (!isValidRampMinutes(speedRamp.stepInterval)) {
+    markInvalid(rampInputs.stepInterval);
+  }
+
+  const overlayDurationInput = document.getElementById('overlay-duration-input');
+  const overlaySettings = {
+    enabled: document.getElementById('overlay-enabled-input').checked,
+    position: document.getElementById('overlay-position-input').value,
+    size: document.getElementById('overlay-size-input').value,
+    theme: document.getElementById('overlay-theme-input').value,
+    duration: parseFloat(overlayDurationInput.value),
+    showRemainingTime: document.getElementById('overlay-remaining-time-input').checked,
+    showRuleSource: document.getElementById('overlay-rule-source-input').checked,
+    badge: document.getElementById('overlay-badge-input').checked
+  };
+  if (!isValidOverlayDuration(overlaySettings.duration)) {
+    markInvalid(overlayDurationInput);
+  }
+
+  if (invalidInputs.length > 0) {
+    invalidInputs[0].scrollIntoView({ block: 'center' });
+    setStatus('Fix the highlighted fields; nothing was saved.', true);
+    return;
+  }
+
+  saveNavigationMode(selectedMode);
+  if (selectedMode === NAVIGATION_MODES.CUSTOM) {
+    saveCustomNavigationSpeed(customSpeed);
+  }
+  saveShortcuts(readShortcutEditor(document.querySelector('.shortcut-editor')));
+  saveIncreaseSpeedStep(increaseStep);
+  saveDecreaseSpeedStep(decreaseStep);
+  saveBoostSpeed(boostSpeed);
+  saveKeyStepMode(document.getElementById('ladder-step-mode-input').checked ? KEY_STEP_MODES.LADDER : KEY_STEP_MODES.STEP);
+  saveSpeedLadder(speedLadder);
+  saveSpeedPresets(presets);
+  saveChannelSpeeds(channelRules);
+  saveChapterRules(chapterRules);
+  saveVideoMemoryEnabled(document.getElementById('video-memory-enabled-input').checked);
+  if (videoSpeedsEdited) {
+    saveVideoSpeeds(videoSpeeds);
+  }
+  savePlaylistMemoryEnabled(document.getElementById('playlist-memory-enabled-input').checked);
+  saveSilenceSpeed(silenceSpeed);
+  saveSilenceThreshold(silenceThreshold);
+  saveSilenceSkipEnabled(document.getElementById('silence-skip-enabled-input').checked);
+  savePreservePitch(document.getElementById('preserve-pitch-input').checked);
+  saveTimeStretchEnabled(document.getElementById('time-stretch-enabled-input').checked);
+  saveAdSpeedMode(selectedAdSpeedMode);
+  if (selectedAdSpeedMode === AD_SPEED_MODES.CUSTOM) {
+    saveAdSpeed(adSpeed);
+  }
+  saveSpeedRamp(speedRamp);
+  saveOverlaySettings(overlaySettings);
+  saveTimeDisplayEnabled(document.getElementById('time-display-enabled-input').checked);
+  saveDisabledSites([...document.querySelectorAll('.site-enabled-input')]
+    .filter(checkbox => !checkbox.checked)
+    .map(checkbox => checkbox.value));
+
+  // Reach open YouTube tabs right away instead of after the write debounce
+  flushStorageWrites();
+  populateForm();
+  setStatus('Settings saved.');
+}
+
+/**
+ * Sets up import and export, including the preview shown before an import is applied
+ */
+function setupImportExport() {
+  const importFileInput = document.getElementById('import-settings-file');
+  const importPreview = document.getElementById('import-preview');
+  const importApplyButton = document.getElementById('import-apply');
+
+  const showImportPreview = (title, lines, canApply) => {
+    document.getElementById('import-preview-title').textContent = title;
+    document.getElementById('import-preview-list').replaceChildren(...lines.map(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      return item;
+    }));
+    importApplyButton.hidden = !canApply;
+    importPreview.hidden = false;
+    importPreview.scrollIntoView({ block: 'nearest' });
+  };
+
+  document.getElementById('export-settings').addEventListener('click', exportSettings);
+  document.getElementById('import-settings').addEventListener('click', () => importFileInput.click());
+
+  importFileInput.addEventListener('change', async () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) return;
+
+    pendingImport = null;
+    let settingsDocument;
+    try {
+      settingsDocument = JSON.parse(await file.text());
+    } catch (error) {
+      showImportPreview('Import failed', ['The file is not valid JSON.'], false);
+      return;
+    }
+
+    const { settings, errors } = validateSettingsDocument(settingsDocument);
+    if (errors.length > 0) {
+      showImportPreview('Import failed', errors, false);
+      return;
+    }
+
+    const changes = diffSettings(settings);
+    if (changes.length === 0) {
+      showImportPreview('Nothing to import', ['The file matches your current settings.'], false);
+      return;
+    }
+
+    pendingImport = settings;
+    showImportPreview(
+      `${changes.length} setting${changes.length === 1 ? '' : 's'} will change:`,
+      changes.map(change => `${change.label}: ${change.from} → ${change.to}`),
+      true
+    );
+  });
+
+  document.getElementById('import-cancel').addEventListener('click', () => {
+    pendingImport = null;
+    importPreview.hidden = true;
+  });
+
+  importApplyButton.addEventListener('click', () => {
+    if (!pendingImport) return;
+    applyImportedSettings(pendingImport);
+    pendingImport = null;
+    importPreview.hidden = true;
+    flushStorageWrites();
+    populateForm();
+    setStatus('Settings imported.');
+  });
+}
+
+/**
+ * Sets up event listeners for the options page
+ */
+function setupOptionsEventListeners() {
+  // Editing a field clears its error highlight
+  document.addEventListener('input', (e) => {
+    e.target.classList.remove('invalid');
+  });
+
+  // Typing a custom speed selects custom mode
+  document.getElementById('custom-speed-input').addEventListener('input', () => {
+    document.querySelector('input[name="navigation-mode"][value="custom"]').checked = true;
+  });
+
+  // Typing an ad speed selects the custom ad speed mode
+  document.getElementById('ad-speed-input').addEventListener('input', () => {
+    document.querySelector('input[name="ad-speed-mode"][value="custom"]').checked = true;
+  });
+
+  // Typing a ramp duration or step selects the ramp mode it belongs to
+  document.getElementById('ramp-duration-input').addEventListener('input', () => {
+    document.querySelector('input[name="ramp-mode"][value="linear"]').checked = true;
+  });
+  ['ramp-step-amount-input', 'ramp-step-interval-input'].forEach(id => {
+    document.getElementById(id).addEventListener('input', () => {
+      document.querySelector('input[name="ramp-mode"][value="step"]').checked = true;
+    });
+  });
+
+  const presetsList = document.getElementById('speed-presets-list');
+  document.getElementById('add-speed-preset').addEventListener('click', () => {
+    if (presetsList.children.length >= MAX_PRESETS) {
+      setStatus(`Up to ${MAX_PRESETS} presets are supported.`, true);
+      return;
+    }
+    const row = createPresetRow({ name: '', speed: 1, key: '' });
+    presetsList.appendChild(row);
+    setupKeyInput(row.querySelector('.preset-key-input'));
+    row.querySelector('.preset-name-input').focus();
+  });
+
+  const channelSpeedsList = document.getElementById('channel-speeds-list');
+  document.getElementById('add-channel-speed').addEventListener('click', () => {
+    if (channelSpeedsList.children.length >= MAX_CHANNEL_RULES) {
+      setStatus(`Up to ${MAX_CHANNEL_RULES} channels are supported.`, true);
+      return;
+    }
+    const row = createChannelSpeedRow({ id: '', name: '', speed: 1 });
+    channelSpeedsList.appendChild(row);
+    row.querySelector('.channel-id-input').focus();
+  });
+
+  const chapterRulesList = document.getElementById('chapter-rules-list');
+  document.getElementById('add-chapter-rule').addEventListener('click', () => {
+    if (chapterRulesList.children.length >= MAX_CHAPTER_RULES) {
+      setStatus(`Up to ${MAX_CHAPTER_RULES} chapter rules are supported.`, true);
+      return;
+    }
+    const row = createChapterRuleRow({ pattern: '', speed: 2 });
+    chapterRulesList.appendChild(row);
+    row.querySelector('.chapter-pattern-input').focus();
+  });
+
+  // New videos go to the top: they become the most recently used entries
+  const videoSpeedsList = document.getElementById('video-speeds-list');
+  document.getElementById('add-video-speed').addEventListener('click', () => {
+    const row = createVideoSpeedRow({ id: '', speed: 1 });
+    videoSpeedsList.prepend(row);
+    videoSpeedsEdited = true;
+    row.querySelector('.video-id-input').focus();
+  });
+  videoSpeedsList.addEventListener('input', () => {
+    videoSpeedsEdited = true;
+  });
+
+  // One handler removes rows from every list
+  document.querySelector('main').addEventListener('click', (e) => {
+    const removeButton = e.target.closest('button.remove');
+    if (!removeButton) return;
+
+    const row = removeButton.closest('.row');
+    if (row.classList.contains('video-speed-row')) {
+      videoSpeedsEdited = true;
+    }
+    row.remove();
+  });
+
+  // Clearing remembered videos, playlists and speed zones takes effect immediately, independent of Save
+  document.getElementById('clear-video-speeds').addEventListener('click', () => {
+    clearVideoSpeeds();
+    flushStorageWrites();
+    renderVideoSpeeds();
+  });
+  document.getElementById('clear-playlist-speeds').addEventListener('click', () => {
+    clearPlaylistSpeeds();
+    flushStorageWrites();
+    updateRememberedCounts();
+  });
+  document.getElementById('clear-speed-zones').addEventListener('click', () => {
+    clearSpeedZones();
+    flushStorageWrites();
+    updateRememberedCounts();
+  });
+
+  setupImportExport();
+
+  document.getElementById('save-settings').addEventListener('click', saveOptions);
+
+  document.getElementById('reset-settings').addEventListener('click', () => {
+    if (!confirm('Reset all settings to their defaults? Remembered video and playlist speeds and speed zones are kept.')) return;
+    resetSettings();
+    flushStorageWrites();
+    populateForm();
+    setStatus('Settings reset to defaults.');
+  });
+}
+
+// Keep the cache current while the page is open and don't lose debounced writes on close
+if (hasExtensionStorage()) {
+  chrome.storage.onChanged.addListener(handleStorageChange);
+  window.addEventListener('pagehide', flushStorageWrites);
+}
+
+// Extension pages have no legacy localStorage settings to migrate
+initializeStorage(false).then(() => {
+  populateForm();
+  setupOptionsEventListeners();
+});
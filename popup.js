@@ -0,0 +1,218 @@
+/**
+ * YouTube Speed Extender - Toolbar Popup
+ *
+ * Controls the active tab through chrome.runtime messaging, so the speed can be changed
+ * without focusing the player. All reads and writes go through the content script of the tab;
+ * the popup only loads settings.js for shared constants and helpers (MESSAGE_TYPES, getSupportedSites).
+ */
+
+let activeTabId = null; // Tab the popup was opened for
+let currentState = null; // Last state reported by the content script
+
+/**
+ * Sends a message to the content script of the active tab
+ * @param {Object} message - The message, with a type from MESSAGE_TYPES
+ * @returns {Promise<Object|null>} The response, or null if no content script answered
+ */
+async function sendToContent(message) {
+  if (activeTabId === null) return null;
+
+  try {
+    return await chrome.tabs.sendMessage(activeTabId, message, { frameId: 0 });
+  } catch (error) {
+    // No content script in this tab (not YouTube, or opened before the extension was loaded)
+    return null;
+  }
+}
+
+/**
+ * Sends a message and renders the state the content script replies with
+ * @param {Object} message - The message, with a type from MESSAGE_TYPES
+ */
+async function updateContent(message) {
+  const response = await sendToContent(message);
+  if (!response) {
+    showUnavailable();
+    return;
+  }
+
+  if (response.ok) {
+    showError('');
+    render(response.state);
+  } else {
+    showError(response.error);
+  }
+}
+
+/**
+ * Shows the hint for tabs the extension can't control
+ */
+function showUnavailable() {
+  document.getElementById('unavailable').hidden = false;
+  document.getElementById('controls').hidden = true;
+}
+
+/**
+ * Shows an error below the controls
+ * @param {string} message - The error to show, or an empty string to clear it
+ */
+function showError(message) {
+  document.getElementById('error').textContent = message;
+}
+
+/**
+ * Updates every control to match the content script's state
+ * @param {Object} state - The state from getPopupState in content/messaging.js
+ */
+function render(state) {
+  currentState = state;
+  document.getElementById('unavailable').hidden = true;
+  document.getElementById('controls').hidden = false;
+
+  const siteEnabled = !state.disabledSites.includes(state.site);
+  const hasVideo = state.speed !== null;
+
+  // Speed controls only make sense when there's a video the extension may control
+  const slider = document.getElementById('speed-slider');
+  const speedInput = document.getElementById('speed-input');
+  [slider, speedInput].forEach(input => {
+    input.min = state.minSpeed;
+    input.max = state.maxSpeed;
+    input.step = state.speedStep;
+  });
+  if (hasVideo) {
+    slider.value = state.speed;
+    speedInput.value = state.speed;
+    speedInput.classList.remove('invalid');
+  }
+  document.getElementById('speed-section').classList.toggle('disabled', !siteEnabled || !hasVideo);
+  document.getElementById('presets-section').classList.toggle('disabled', !siteEnabled || !hasVideo);
+
+  renderPresets(state);
+
+  const rampButton = document.getElementById('toggle-ramp');
+  const { startSpeed, targetSpeed } = state.speedRamp;
+  rampButton.textContent = state.isRampActive
+    ? 'Stop ramp'
+    : `Start ramp (${startSpeed}x → ${targetSpeed}x)`;
+  rampButton.classList.toggle('active', state.isRampActive);
+  document.getElementById('ramp-section').classList.toggle('disabled', !siteEnabled || !hasVideo);
+
+  const navigationMode = document.getElementById('navigation-mode');
+  navigationMode.value = state.navigationMode;
+  navigationMode.querySelector('option[value="custom"]').textContent =
+    `Use custom speed (${state.customNavigationSpeed}x)`;
+
+  renderSites(state);
+}
+
+/**
+ * Renders one button per preset, falling back to the speed ladder when there are no presets
+ * @param {Object} state - The state from getPopupState in content/messaging.js
+ */
+function renderPresets(state) {
+  const container = document.getElementById('presets');
+  container.innerHTML = '';
+
+  const buttons = state.presets.length > 0
+    ? state.presets.map(preset => ({ label: `${preset.name} (${preset.speed}x)`, speed: preset.speed }))
+    : state.speedLadder.map(speed => ({ label: `${speed}x`, speed }));
+
+  buttons.forEach(({ label, speed }) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.classList.toggle('active', state.speed !== null && Math.abs(state.speed - speed) < 0.001);
+    button.addEventListener('click', () => updateContent({ type: MESSAGE_TYPES.SET_SPEED, speed }));
+    container.appendChild(button);
+  });
+}
+
+/**
+ * Renders an on/off toggle for every supported site, marking the active tab's site
+ * @param {Object} state - The state from getPopupState in content/messaging.js
+ */
+function renderSites(state) {
+  const container = document.getElementById('sites');
+  container.innerHTML = '';
+
+  const sites = getSupportedSites();
+  if (!sites.includes(state.site)) {
+    sites.unshift(state.site);
+  }
+
+  sites.forEach(site => {
+    const label = document.createElement('label');
+    label.className = 'site';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !state.disabledSites.includes(site);
+    checkbox.addEventListener('change', () => {
+      updateContent({ type: MESSAGE_TYPES.SET_SITE_ENABLED, site, enabled: checkbox.checked });
+    });
+
+    const name = document.createElement('span');
+    name.textContent = site;
+
+    label.append(checkbox, name);
+    if (site === state.site) {
+      const current = document.createElement('span');
+      current.className = 'current';
+      current.textContent = '(this tab)';
+      label.appendChild(current);
+    }
+    container.appendChild(label);
+  });
+}
+
+/**
+ * Sets up listeners for the popup's controls
+ */
+function setupPopupEventListeners() {
+  const slider = document.getElementById('speed-slider');
+  const speedInput = document.getElementById('speed-input');
+
+  // Preview while dragging; only apply once the slider is released
+  slider.addEventListener('input', () => {
+    speedInput.value = slider.value;
+  });
+  slider.addEventListener('change', () => {
+    updateContent({ type: MESSAGE_TYPES.SET_SPEED, speed: parseFloat(slider.value) });
+  });
+
+  speedInput.addEventListener('change', () => {
+    const speed = parseFloat(speedInput.value);
+    if (isNaN(speed) || speed < currentState.minSpeed || speed > currentState.maxSpeed) {
+      speedInput.classList.add('invalid');
+      return;
+    }
+    updateContent({ type: MESSAGE_TYPES.SET_SPEED, speed });
+  });
+
+  document.getElementById('toggle-ramp').addEventListener('click', () => {
+    updateContent({ type: MESSAGE_TYPES.TOGGLE_RAMP });
+  });
+
+  document.getElementById('navigation-mode').addEventListener('change', (e) => {
+    updateContent({ type: MESSAGE_TYPES.SET_NAVIGATION_MODE, mode: e.target.value });
+  });
+
+  document.getElementById('open-settings').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
+}
+
+/**
+ * Finds the active tab and loads its state
+ */
+async function initializePopup() {
+  setupPopupEventListeners();
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  activeTabId = tab ? tab.id : null;
+
+  await updateContent({ type: MESSAGE_TYPES.GET_STATE });
+}
+
+initializePopup();
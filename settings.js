@@ -0,0 +1,3146 @@
+/**
+ * YouTube Speed Extender - Shared Settings
+ *
+ * Constants, the chrome.storage layer and every settings load/save/validate function,
+ * plus the shortcut editor and the preset, channel and chapter rule rows shared by the
+ * quick settings modal and the options page.
+ * Loaded before the content script modules (they share one scope) and by the
+ * options page and toolbar popup, so all surfaces validate settings the same way.
+ * Nothing in this file touches the YouTube page; player behavior stays in content/.
+ */
+
+// Configuration: Speed ladder shown in the enhanced speed menu
+const speedOptions = [0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 4.5, 5];
+
+// Configuration: Continuous speed range accepted anywhere in the extension
+const MIN_SPEED = 0.1;
+const MAX_SPEED = 16;
+const SPEED_GRANULARITY = 0.05; // Speeds are snapped to multiples of this value
+const DEFAULT_SPEED_STEP = 0.5; // Default step for the increase/decrease keys
+const MAX_SPEED_STEP = 4;
+const DEFAULT_BOOST_SPEED = 2; // Speed while the hold-to-boost key is held
+const DEFAULT_AD_SPEED = 2; // Speed for ads when the ad speed mode is 'custom'
+
+// Storage configuration
+const SPEED_STORAGE_KEY = 'youtube-speed-extender-preferred-speed';
+const KEYBOARD_SPEED_STORAGE_KEY = 'youtube-speed-extender-keyboard-speed';
+const NAVIGATION_MODE_KEY = 'youtube-speed-extender-navigation-mode';
+const CUSTOM_NAVIGATION_SPEED_KEY = 'youtube-speed-extender-custom-navigation-speed';
+const INCREASE_SPEED_KEY_STORAGE = 'youtube-speed-extender-increase-key';
+const DECREASE_SPEED_KEY_STORAGE = 'youtube-speed-extender-decrease-key';
+const INCREASE_SPEED_STEP_STORAGE = 'youtube-speed-extender-increase-step';
+const DECREASE_SPEED_STEP_STORAGE = 'youtube-speed-extender-decrease-step';
+const SPEED_LADDER_STORAGE = 'youtube-speed-extender-speed-ladder';
+const KEY_STEP_MODE_STORAGE = 'youtube-speed-extender-key-step-mode';
+const SPEED_PRESETS_STORAGE = 'youtube-speed-extender-presets';
+const VIDEO_SPEEDS_STORAGE = 'youtube-speed-extender-video-speeds';
+const VIDEO_MEMORY_ENABLED_STORAGE = 'youtube-speed-extender-video-memory-enabled';
+const CHANNEL_SPEEDS_STORAGE = 'youtube-speed-extender-channel-speeds';
+const PLAYLIST_SPEEDS_STORAGE = 'youtube-speed-extender-playlist-speeds';
+const PLAYLIST_MEMORY_ENABLED_STORAGE = 'youtube-speed-extender-playlist-memory-enabled';
+const SILENCE_SKIP_ENABLED_STORAGE = 'youtube-speed-extender-silence-skip-enabled';
+const SILENCE_SPEED_STORAGE = 'youtube-speed-extender-silence-speed';
+const SILENCE_THRESHOLD_STORAGE = 'youtube-speed-extender-silence-threshold';
+const DISABLED_SITES_STORAGE = 'youtube-speed-extender-disabled-sites';
+const SHORTCUTS_STORAGE = 'youtube-speed-extender-shortcuts';
+const BOOST_SPEED_STORAGE = 'youtube-speed-extender-boost-speed';
+const AD_SPEED_MODE_STORAGE = 'youtube-speed-extender-ad-speed-mode';
+const AD_SPEED_STORAGE = 'youtube-speed-extender-ad-speed';
+const PRESERVE_PITCH_STORAGE = 'youtube-speed-extender-preserve-pitch';
+const TIME_STRETCH_ENABLED_STORAGE = 'youtube-speed-extender-time-stretch-enabled';
+const SPEED_RAMP_STORAGE = 'youtube-speed-extender-speed-ramp';
+const CHAPTER_RULES_STORAGE = 'youtube-speed-extender-chapter-rules';
+const SPEED_ZONES_STORAGE = 'youtube-speed-extender-speed-zones';
+const WATCH_STATS_STORAGE = 'youtube-speed-extender-watch-stats';
+const OVERLAY_SETTINGS_STORAGE = 'youtube-speed-extender-overlay';
+const TIME_DISPLAY_ENABLED_STORAGE = 'youtube-speed-extender-time-display-enabled';
+
+// Limits for user-defined speed lists
+const MAX_LADDER_LENGTH = 30;
+const MAX_PRESETS = 10;
+const MAX_PRESET_NAME_LENGTH = 30;
+const MAX_REMEMBERED_VIDEOS = 500; // Least recently used videos are evicted beyond this
+const MAX_CHANNEL_RULES = 200;
+const MAX_REMEMBERED_PLAYLISTS = 100; // Least recently used playlists are evicted beyond this
+const MAX_CHAPTER_RULES = 20;
+const MAX_CHAPTER_PATTERN_LENGTH = 50;
+const MAX_SPEED_ZONES = 20; // Per video
+const MAX_ZONE_VIDEOS = 200; // Least recently edited videos lose their zones beyond this
+const MAX_STATS_DAYS = 366; // Oldest days are dropped from the watch-time statistics beyond this
+const MAX_STATS_CHANNELS = 200; // Channels with the least watch time are dropped beyond this
+
+// Configuration: Skip-silence audio analysis
+const DEFAULT_SILENCE_SPEED = 4;
+const DEFAULT_SILENCE_THRESHOLD = -45; // dBFS; quieter audio counts as silence
+const MIN_SILENCE_THRESHOLD = -80;
+const MAX_SILENCE_THRESHOLD = -10;
+
+// Navigation mode options
+const NAVIGATION_MODES = {
+  CONTINUE: 'continue',    // Continue current speed to next video
+  DEFAULT: 'default',     // Always use 1x (normal) for new videos
+  CUSTOM: 'custom',       // Use custom speed for new videos
+  CHANNEL: 'channel'      // Use the channel's speed rule, falling back to the current speed
+};
+
+// Speed used while YouTube plays an ad
+const AD_SPEED_MODES = {
+  KEEP: 'keep',     // Play ads at the speed the video would play at
+  NORMAL: 'normal', // Play ads at 1x
+  CUSTOM: 'custom'  // Play ads at the separate ad speed
+};
+
+// How a speed ramp moves from its start speed to its target speed
+const RAMP_MODES = {
+  LINEAR: 'linear', // Change gradually over the ramp duration
+  STEP: 'step'      // Change by a fixed amount every step interval
+};
+
+const DEFAULT_SPEED_RAMP = {
+  mode: RAMP_MODES.LINEAR,
+  startSpeed: 1.5,
+  targetSpeed: 2.5,
+  duration: 30,     // Minutes of video a linear ramp takes
+  stepAmount: 0.25,
+  stepInterval: 5   // Minutes of video between steps
+};
+const MIN_RAMP_MINUTES = 0.5;
+const MAX_RAMP_MINUTES = 600;
+
+// Where the speed overlay appears on the player
+const OVERLAY_POSITIONS = {
+  CENTER: 'center',
+  TOP_LEFT: 'top-left',
+  TOP_RIGHT: 'top-right',
+  BOTTOM_LEFT: 'bottom-left',
+  BOTTOM_RIGHT: 'bottom-right'
+};
+
+const OVERLAY_SIZES = {
+  SMALL: 'small',
+  MEDIUM: 'medium',
+  LARGE: 'large'
+};
+
+const OVERLAY_THEMES = {
+  DARK: 'dark',                   // White text on translucent black
+  LIGHT: 'light',                 // Dark text on translucent white
+  HIGH_CONTRAST: 'high-contrast'  // Yellow text on solid black with a border
+};
+
+const DEFAULT_OVERLAY_SETTINGS = {
+  enabled: true,              // Show the overlay when the speed changes
+  position: OVERLAY_POSITIONS.CENTER,
+  size: OVERLAY_SIZES.MEDIUM,
+  duration: 1,                // Seconds the overlay stays visible
+  theme: OVERLAY_THEMES.DARK,
+  showRemainingTime: false,   // Add the time left in the video at the new speed
+  showRuleSource: false,      // Add the playlist, video, channel or preset rule the speed comes from
+  badge: false                // Keep a small speed badge on the player while the speed isn't 1x
+};
+const MIN_OVERLAY_DURATION = 0.5;
+const MAX_OVERLAY_DURATION = 10;
+
+// Keyboard stepping options for the increase/decrease keys
+const KEY_STEP_MODES = {
+  STEP: 'step',      // Add or remove the configured step size
+  LADDER: 'ladder'   // Move to the next or previous speed in the speed ladder
+};
+
+// Actions that can be bound to keyboard shortcuts; presets carry their own binding
+const SHORTCUT_ACTIONS = {
+  INCREASE: 'increase',           // Step the speed up
+  DECREASE: 'decrease',           // Step the speed down
+  RESET: 'reset',                 // Return to 1x
+  TOGGLE_LAST: 'toggle-last',     // Switch between the current and the previous speed
+  TOGGLE_NORMAL: 'toggle-normal', // Drop to 1x temporarily; press again to return
+  HOLD_BOOST: 'hold-boost',       // Play at the boost speed while the key is held
+  TOGGLE_RAMP: 'toggle-ramp',     // Start the speed ramp, or stop it
+  OPEN_SETTINGS: 'open-settings'  // Open the quick settings modal
+};
+
+// Names shown for each action in the rebinding UI and conflict messages
+const SHORTCUT_ACTION_LABELS = {
+  [SHORTCUT_ACTIONS.INCREASE]: 'Increase speed',
+  [SHORTCUT_ACTIONS.DECREASE]: 'Decrease speed',
+  [SHORTCUT_ACTIONS.RESET]: 'Reset to 1x',
+  [SHORTCUT_ACTIONS.TOGGLE_LAST]: 'Toggle last speed',
+  [SHORTCUT_ACTIONS.TOGGLE_NORMAL]: 'Toggle 1x',
+  [SHORTCUT_ACTIONS.HOLD_BOOST]: 'Hold to boost',
+  [SHORTCUT_ACTIONS.TOGGLE_RAMP]: 'Start/stop speed ramp',
+  [SHORTCUT_ACTIONS.OPEN_SETTINGS]: 'Open quick settings'
+};
+
+const DEFAULT_SHORTCUTS = {
+  [SHORTCUT_ACTIONS.INCREASE]: ['.'],
+  [SHORTCUT_ACTIONS.DECREASE]: [','],
+  [SHORTCUT_ACTIONS.RESET]: [],
+  [SHORTCUT_ACTIONS.TOGGLE_LAST]: [],
+  [SHORTCUT_ACTIONS.TOGGLE_NORMAL]: [],
+  [SHORTCUT_ACTIONS.HOLD_BOOST]: [],
+  [SHORTCUT_ACTIONS.TOGGLE_RAMP]: [],
+  [SHORTCUT_ACTIONS.OPEN_SETTINGS]: ['Ctrl+Shift+S']
+};
+
+const MAX_BINDINGS_PER_ACTION = 4;
+const KEY_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta']; // Canonical modifier order in bindings
+const MODIFIER_KEY_NAMES = ['Control', 'Alt', 'AltGraph', 'Shift', 'Meta', 'CapsLock', 'OS'];
+
+// Non-character keys that can be bound; Escape, Tab, Enter, Backspace and Delete stay reserved for editing
+const BINDABLE_NAMED_KEYS = [
+  'Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown', 'Insert',
+  'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12'
+];
+
+// YouTube's own player shortcuts; binding one of these only triggers a warning (digits are handled separately)
+const YOUTUBE_SHORTCUTS = {
+  'Space': 'Play/pause',
+  'K': 'Play/pause',
+  'J': 'Rewind 10 seconds',
+  'L': 'Forward 10 seconds',
+  'ArrowLeft': 'Rewind 5 seconds',
+  'ArrowRight': 'Forward 5 seconds',
+  'ArrowUp': 'Volume up',
+  'ArrowDown': 'Volume down',
+  'Ctrl+ArrowLeft': 'Previous chapter',
+  'Ctrl+ArrowRight': 'Next chapter',
+  'Home': 'Seek to the beginning',
+  'End': 'Seek to the end',
+  'M': 'Mute',
+  'F': 'Full screen',
+  'T': 'Theater mode',
+  'I': 'Miniplayer',
+  'C': 'Captions',
+  'O': 'Caption text opacity',
+  'W': 'Caption window opacity',
+  '+': 'Caption font size up',
+  '-': 'Caption font size down',
+  '.': 'Next frame (while paused)',
+  ',': 'Previous frame (while paused)',
+  '>': 'Increase playback speed',
+  '<': 'Decrease playback speed',
+  'Shift+N': 'Next video',
+  'Shift+P': 'Previous video',
+  '/': 'Search',
+  '?': 'Keyboard shortcut help'
+};
+
+// ========================================
+// STORAGE LAYER
+// ========================================
+
+// Every key the extension persists, used for migration and change tracking
+const ALL_STORAGE_KEYS = [
+  SPEED_STORAGE_KEY,
+  KEYBOARD_SPEED_STORAGE_KEY,
+  NAVIGATION_MODE_KEY,
+  CUSTOM_NAVIGATION_SPEED_KEY,
+  INCREASE_SPEED_KEY_STORAGE,
+  DECREASE_SPEED_KEY_STORAGE,
+  INCREASE_SPEED_STEP_STORAGE,
+  DECREASE_SPEED_STEP_STORAGE,
+  SPEED_LADDER_STORAGE,
+  KEY_STEP_MODE_STORAGE,
+  SPEED_PRESETS_STORAGE,
+  VIDEO_SPEEDS_STORAGE,
+  VIDEO_MEMORY_ENABLED_STORAGE,
+  CHANNEL_SPEEDS_STORAGE,
+  PLAYLIST_SPEEDS_STORAGE,
+  PLAYLIST_MEMORY_ENABLED_STORAGE,
+  SILENCE_SKIP_ENABLED_STORAGE,
+  SILENCE_SPEED_STORAGE,
+  SILENCE_THRESHOLD_STORAGE,
+  DISABLED_SITES_STORAGE,
+  SHORTCUTS_STORAGE,
+  BOOST_SPEED_STORAGE,
+  AD_SPEED_MODE_STORAGE,
+  AD_SPEED_STORAGE,
+  PRESERVE_PITCH_STORAGE,
+  TIME_STRETCH_ENABLED_STORAGE,
+  SPEED_RAMP_STORAGE,
+  CHAPTER_RULES_STORAGE,
+  SPEED_ZONES_STORAGE,
+  WATCH_STATS_STORAGE,
+  OVERLAY_SETTINGS_STORAGE,
+  TIME_DISPLAY_ENABLED_STORAGE
+];
+
+// Per-device history is too large for sync quotas (8KB per item) and isn't worth syncing
+const LOCAL_ONLY_STORAGE_KEYS = [VIDEO_SPEEDS_STORAGE, PLAYLIST_SPEEDS_STORAGE, SPEED_ZONES_STORAGE, WATCH_STATS_STORAGE];
+
+const STORAGE_MIGRATION_FLAG = 'youtube-speed-extender-storage-migrated';
+// Settings whose newest value is in chrome.storage.local because sync rejected it or couldn't be read
+const LOCAL_FALLBACK_KEYS_STORAGE = 'youtube-speed-extender-local-fallback-keys';
+const STORAGE_WRITE_DELAY = 500; // Batches writes to stay under chrome.storage.sync rate limits
+
+let storageCache = {}; // Mirror of chrome.storage so load* functions can stay synchronous
+let pendingStorageWrites = {}; // Key -> value waiting to be flushed (null for removals)
+let storageWriteTimeout = null; // Debounce timer for flushing writes
+let isSyncStorageAvailable = true; // False when chrome.storage.sync can't be read
+let localFallbackKeys = []; // Keys listed under LOCAL_FALLBACK_KEYS_STORAGE
+
+/**
+ * Checks whether the chrome.storage API is available
+ * @returns {boolean} Whether extension storage can be used (false outside an extension context)
+ */
+function hasExtensionStorage() {
+  return typeof chrome !== 'undefined' && !!chrome.storage && !!chrome.storage.sync && !!chrome.storage.local;
+}
+
+/**
+ * Reads a stored value
+ * @param {string} key - The storage key
+ * @returns {string|null} The stored value or null if not set
+ */
+function storageGet(key) {
+  if (!hasExtensionStorage()) {
+    return localStorage.getItem(key);
+  }
+  return Object.prototype.hasOwnProperty.call(storageCache, key) ? storageCache[key] : null;
+}
+
+/**
+ * Stores a value; writes reach chrome.storage after a short debounce
+ * @param {string} key - The storage key
+ * @param {string} value - The value to store
+ */
+function storageSet(key, value) {
+  if (!hasExtensionStorage()) {
+    localStorage.setItem(key, value);
+    return;
+  }
+  storageCache[key] = value;
+  queueStorageWrite(key, value);
+}
+
+/**
+ * Removes a stored value
+ * @param {string} key - The storage key
+ */
+function storageRemove(key) {
+  if (!hasExtensionStorage()) {
+    localStorage.removeItem(key);
+    return;
+  }
+  delete storageCache[key];
+  queueStorageWrite(key, null);
+}
+
+/**
+ * Queues a write and schedules a flush
+ * @param {string} key - The storage key
+ * @param {string|null} value - The value to write, or null to remove the key
+ */
+function queueStorageWrite(key, value) {
+  pendingStorageWrites[key] = value;
+  
+  if (storageWriteTimeout) {
+    clearTimeout(storageWriteTimeout);
+  }
+  storageWriteTimeout = setTimeout(flushStorageWrites, STORAGE_WRITE_DELAY);
+}
+
+/**
+ * Writes all queued values to chrome.storage
+ * Settings go to chrome.storage.sync; history and anything sync rejects go to chrome.storage.local.
+ */
+function flushStorageWrites() {
+  if (storageWriteTimeout) {
+    clearTimeout(storageWriteTimeout);
+    storageWriteTimeout = null;
+  }
+  
+  const writes = pendingStorageWrites;
+  pendingStorageWrites = {};
+  
+  const syncItems = {};
+  const localItems = {};
+  const removedKeys = [];
+  const fallbackKeys = [];
+  
+  Object.entries(writes).forEach(([key, value]) => {
+    if (value === null) {
+      removedKeys.push(key);
+    } else if (LOCAL_ONLY_STORAGE_KEYS.includes(key)) {
+      localItems[key] = value;
+    } else if (!isSyncStorageAvailable) {
+      localItems[key] = value;
+      fallbackKeys.push(key);
+    } else {
+      syncItems[key] = value;
+    }
+  });
+  
+  try {
+    if (removedKeys.length > 0) {
+      chrome.storage.local.remove(removedKeys).catch(() => {});
+      if (isSyncStorageAvailable) {
+        chrome.storage.sync.remove(removedKeys).catch(() => {});
+      }
+    }
+    if (Object.keys(localItems).length > 0) {
+      chrome.storage.local.set(localItems).catch(() => {});
+    }
+    updateLocalFallbackKeys(fallbackKeys, removedKeys);
+    if (Object.keys(syncItems).length > 0) {
+      chrome.storage.sync.set(syncItems).then(() => {
+        // Sync holds the newest value again
+        updateLocalFallbackKeys([], Object.keys(syncItems));
+      }, () => {
+        // Over quota or sync disabled: keep the values on this device instead. The old values may
+        // stay in sync if the removal fails too, so the keys are marked to be read from local storage.
+        chrome.storage.local.set(syncItems).catch(() => {});
+        updateLocalFallbackKeys(Object.keys(syncItems), []);
+        chrome.storage.sync.remove(Object.keys(syncItems)).catch(() => {});
+      });
+    }
+  } catch (error) {
+    // Silently handle storage errors (e.g. extension context invalidated after an update)
+  }
+}
+
+/**
+ * Marks keys as kept in chrome.storage.local, or back in chrome.storage.sync
+ * @param {string[]} addedKeys - Keys whose newest value went to local storage
+ * @param {string[]} clearedKeys - Keys whose newest value is in sync again, or that were removed
+ */
+function updateLocalFallbackKeys(addedKeys, clearedKeys) {
+  const keys = localFallbackKeys.filter(key => !clearedKeys.includes(key));
+  addedKeys.forEach(key => {
+    if (!keys.includes(key)) keys.push(key);
+  });
+  if (keys.length === localFallbackKeys.length && keys.every(key => localFallbackKeys.includes(key))) return;
+  
+  localFallbackKeys = keys;
+  try {
+    chrome.storage.local.set({ [LOCAL_FALLBACK_KEYS_STORAGE]: keys }).catch(() => {});
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads all stored settings into the cache and migrates legacy localStorage values once
+ * Must complete before settings are read; load* functions return defaults until then.
+ * @param {boolean} migrateLegacySettings - Whether to migrate this page's localStorage
+ *   (only YouTube pages have legacy settings; extension pages must pass false)
+ * @returns {Promise<void>} Resolves when the cache is ready
+ */
+async function initializeStorage(migrateLegacySettings = true) {
+  if (!hasExtensionStorage()) return;
+  
+  try {
+    let syncItems = {};
+    try {
+      syncItems = await chrome.storage.sync.get(ALL_STORAGE_KEYS);
+    } catch (error) {
+      isSyncStorageAvailable = false;
+    }
+    const localItems = await chrome.storage.local.get([
+      ...ALL_STORAGE_KEYS, STORAGE_MIGRATION_FLAG, LOCAL_FALLBACK_KEYS_STORAGE
+    ]);
+    localFallbackKeys = Array.isArray(localItems[LOCAL_FALLBACK_KEYS_STORAGE]) ? localItems[LOCAL_FALLBACK_KEYS_STORAGE] : [];
+    
+    // Values only fall back to local storage when sync rejected them, so sync wins otherwise
+    const loadedItems = {};
+    ALL_STORAGE_KEYS.forEach(key => {
+      const isLocalFirst = LOCAL_ONLY_STORAGE_KEYS.includes(key) ||
+        (localFallbackKeys.includes(key) && localItems[key] !== undefined);
+      if (!isLocalFirst && syncItems[key] !== undefined) {
+        loadedItems[key] = syncItems[key];
+      } else if (localItems[key] !== undefined) {
+        loadedItems[key] = localItems[key];
+      }
+    });
+    
+    // Keep anything written while storage was loading
+    Object.entries(pendingStorageWrites).forEach(([key, value]) => {
+      if (value === null) {
+        delete loadedItems[key];
+      } else {
+        loadedItems[key] = value;
+      }
+    });
+    storageCache = loadedItems;
+    
+    if (migrateLegacySettings && !localItems[STORAGE_MIGRATION_FLAG]) {
+      migrateLocalStorage();
+    }
+  } catch (error) {
+    // Silently handle storage errors; defaults are used until storage becomes readable
+  }
+}
+
+/**
+ * Moves settings from YouTube's page localStorage into extension storage
+ * Values already in extension storage (e.g. synced from another device) take precedence.
+ */
+function migrateLocalStorage() {
+  try {
+    ALL_STORAGE_KEYS.forEach(key => {
+      const legacyValue = localStorage.getItem(key);
+      if (legacyValue === null) return;
+      
+      if (storageGet(key) === null) {
+        storageSet(key, legacyValue);
+      }
+      localStorage.removeItem(key);
+    });
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  
+  flushStorageWrites();
+  chrome.storage.local.set({ [STORAGE_MIGRATION_FLAG]: true }).catch(() => {});
+}
+
+/**
+ * Keeps the cache in step with changes made by other tabs, extension pages and synced devices
+ * @param {Object} changes - The chrome.storage change set
+ * @param {string} areaName - The storage area that changed
+ * @returns {Promise<void>} Resolves once the cache reflects the change
+ */
+async function handleStorageChange(changes, areaName) {
+  if (areaName !== 'sync' && areaName !== 'local') return;
+  
+  // Another tab marked or cleared fallback keys
+  if (areaName === 'local' && changes[LOCAL_FALLBACK_KEYS_STORAGE]) {
+    localFallbackKeys = changes[LOCAL_FALLBACK_KEYS_STORAGE].newValue || [];
+  }
+  
+  const syncRemovedKeys = [];
+  const syncUpdatedKeys = [];
+  Object.entries(changes).forEach(([key, change]) => {
+    // Our own queued writes are newer than whatever this event carries
+    if (!ALL_STORAGE_KEYS.includes(key) || key in pendingStorageWrites) return;
+    
+    if (change.newValue !== undefined) {
+      storageCache[key] = change.newValue;
+      if (areaName === 'sync') syncUpdatedKeys.push(key);
+    } else if (areaName === 'local') {
+      delete storageCache[key];
+    } else {
+      syncRemovedKeys.push(key);
+    }
+  });
+  
+  // A value synced from another device is newer than this device's fallback copy
+  if (syncUpdatedKeys.length > 0) {
+    updateLocalFallbackKeys([], syncUpdatedKeys);
+  }
+  
+  // A sync removal is either a real removal (e.g. a reset) or the value moving to the local fallback
+  if (syncRemovedKeys.length > 0) {
+    try {
+      const localItems = await chrome.storage.local.get(syncRemovedKeys);
+      syncRemovedKeys.forEach(key => {
+        if (localItems[key] === undefined && !(key in pendingStorageWrites)) {
+          delete storageCache[key];
+        }
+      });
+    } catch (error) {
+      // Silently handle storage errors
+    }
+  }
+}
+
+// ========================================
+// SPEED SETTINGS
+// ========================================
+
+/**
+ * Snaps a speed to the configured granularity and strips floating point noise
+ * @param {number} speed - The speed to round
+ * @returns {number} The rounded speed
+ */
+function roundSpeed(speed) {
+  return parseFloat((Math.round(speed / SPEED_GRANULARITY) * SPEED_GRANULARITY).toFixed(2));
+}
+
+/**
+ * Clamps a speed to the supported range and rounds it to the configured granularity
+ * @param {number} speed - The speed to normalize
+ * @returns {number} A speed between MIN_SPEED and MAX_SPEED
+ */
+function normalizeSpeed(speed) {
+  return roundSpeed(Math.min(MAX_SPEED, Math.max(MIN_SPEED, speed)));
+}
+
+/**
+ * Checks whether a value is a playback speed the extension accepts
+ * @param {number} speed - The speed to validate
+ * @returns {boolean} Whether the speed is a finite number within the supported range
+ */
+function isValidSpeed(speed) {
+  return typeof speed === 'number' && Number.isFinite(speed) &&
+    speed >= MIN_SPEED - 0.001 && speed <= MAX_SPEED + 0.001;
+}
+
+/**
+ * Checks whether a value is a usable increase/decrease step size
+ * @param {number} step - The step size to validate
+ * @returns {boolean} Whether the step is a finite number within the supported range
+ */
+function isValidSpeedStep(step) {
+  return typeof step === 'number' && Number.isFinite(step) &&
+    step >= SPEED_GRANULARITY - 0.001 && step <= MAX_SPEED_STEP + 0.001;
+}
+
+/**
+ * Saves the user's preferred playback speed to local storage
+ * @param {number} speed - The playback speed to save
+ */
+function savePreferredSpeed(speed) {
+  try {
+    if (!isValidSpeed(speed)) return;
+    storageSet(SPEED_STORAGE_KEY, roundSpeed(speed).toString());
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the user's preferred playback speed from local storage
+ * @returns {number} The saved speed or 1 (normal) as default
+ */
+function loadPreferredSpeed() {
+  try {
+    const savedSpeed = storageGet(SPEED_STORAGE_KEY);
+    if (savedSpeed) {
+      const speed = parseFloat(savedSpeed);
+      if (isValidSpeed(speed)) {
+        return roundSpeed(speed);
+      }
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return 1; // Default to normal speed
+}
+
+/**
+ * Saves the navigation mode preference
+ * @param {string} mode - The navigation mode ('continue', 'default', 'custom', or 'channel')
+ */
+function saveNavigationMode(mode) {
+  try {
+    if (Object.values(NAVIGATION_MODES).includes(mode)) {
+      storageSet(NAVIGATION_MODE_KEY, mode);
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the navigation mode preference
+ * @returns {string} The saved mode or 'continue' as default
+ */
+function loadNavigationMode() {
+  try {
+    const savedMode = storageGet(NAVIGATION_MODE_KEY);
+    if (savedMode && Object.values(NAVIGATION_MODES).includes(savedMode)) {
+      return savedMode;
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return NAVIGATION_MODES.CONTINUE; // Default to continue mode
+}
+
+/**
+ * Saves the custom navigation speed
+ * @param {number} speed - The custom speed for new videos
+ */
+function saveCustomNavigationSpeed(speed) {
+  try {
+    if (isValidSpeed(speed)) {
+      storageSet(CUSTOM_NAVIGATION_SPEED_KEY, roundSpeed(speed).toString());
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the custom navigation speed
+ * @returns {number} The saved custom speed or 1 (normal) as default
+ */
+function loadCustomNavigationSpeed() {
+  try {
+    const savedSpeed = storageGet(CUSTOM_NAVIGATION_SPEED_KEY);
+    if (savedSpeed) {
+      const speed = parseFloat(savedSpeed);
+      if (isValidSpeed(speed)) {
+        return roundSpeed(speed);
+      }
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return 1; // Default to normal speed
+}
+
+/**
+ * Saves the keyboard-set preferred playback speed to local storage
+ * @param {number} speed - The playback speed set via keyboard
+ */
+function saveKeyboardSpeed(speed) {
+  try {
+    storageSet(KEYBOARD_SPEED_STORAGE_KEY, speed.toString());
+    // Also save as regular preferred speed for backward compatibility
+    storageSet(SPEED_STORAGE_KEY, speed.toString());
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the keyboard-set preferred playback speed from local storage
+ * @returns {number} The saved keyboard speed or 1 (normal) as default
+ */
+function loadKeyboardSpeed() {
+  try {
+    const savedSpeed = storageGet(KEYBOARD_SPEED_STORAGE_KEY);
+    if (savedSpeed) {
+      const speed = parseFloat(savedSpeed);
+      if (isValidSpeed(speed)) {
+        return roundSpeed(speed);
+      }
+    }
+    // Fallback to regular preferred speed if keyboard speed not found
+    return loadPreferredSpeed();
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return 1; // Default to normal speed
+}
+
+// ========================================
+// KEYBOARD SHORTCUTS
+// ========================================
+
+/**
+ * Parses a key binding such as "Ctrl+Shift+S" into its canonical form
+ * Modifiers are ordered Ctrl, Alt, Shift, Meta; letters are uppercase. Shift is dropped for
+ * digits and symbols because the character itself already reflects it ("Shift+/" is "?").
+ * @param {string} binding - The binding to parse
+ * @returns {string|null} The canonical binding, or null if it isn't a valid binding
+ */
+function parseKeyBinding(binding) {
+  if (typeof binding !== 'string' || binding.length === 0) return null;
+  
+  const parts = binding.split('+');
+  let key = parts.pop();
+  // The '+' key itself splits into two empty parts ("+" or "Ctrl++")
+  if (key === '' && parts.length > 0 && parts[parts.length - 1] === '') {
+    parts.pop();
+    key = '+';
+  }
+  
+  const modifiers = new Set();
+  for (const part of parts) {
+    const modifier = KEY_MODIFIERS.find(name => name.toLowerCase() === part.toLowerCase());
+    if (!modifier || modifiers.has(modifier)) return null;
+    modifiers.add(modifier);
+  }
+  
+  return buildKeyBinding(key, modifiers);
+}
+
+/**
+ * Builds a canonical key binding from a key and its modifiers
+ * @param {string} key - The key, as reported by KeyboardEvent.key or written in a binding
+ * @param {Set<string>} modifiers - Modifier names from KEY_MODIFIERS
+ * @returns {string|null} The canonical binding, or null if the key can't be bound
+ */
+function buildKeyBinding(key, modifiers) {
+  if (key === ' ') key = 'Space';
+  
+  let isLetter = false;
+  if (key.length === 1) {
+    if (/\s/.test(key)) return null;
+    isLetter = key.toLowerCase() !== key.toUpperCase();
+    if (isLetter) key = key.toUpperCase();
+  } else if (!BINDABLE_NAMED_KEYS.includes(key)) {
+    return null;
+  }
+  
+  const includeShift = key.length > 1 || isLetter;
+  const activeModifiers = KEY_MODIFIERS.filter(modifier =>
+    modifiers.has(modifier) && (modifier !== 'Shift' || includeShift)
+  );
+  return [...activeModifiers, key].join('+');
+}
+
+/**
+ * Converts a keydown event into a canonical key binding
+ * @param {KeyboardEvent} e - The keydown event
+ * @returns {string|null} The binding, or null for modifier-only presses and keys that can't be bound
+ */
+function formatKeyboardEvent(e) {
+  if (typeof e.key !== 'string' || MODIFIER_KEY_NAMES.includes(e.key)) return null;
+  
+  const modifiers = new Set();
+  if (e.ctrlKey) modifiers.add('Ctrl');
+  if (e.altKey) modifiers.add('Alt');
+  if (e.shiftKey) modifiers.add('Shift');
+  if (e.metaKey) modifiers.add('Meta');
+  
+  return buildKeyBinding(e.key, modifiers);
+}
+
+/**
+ * Checks whether a value is a valid key binding
+ * @param {*} key - The value to validate
+ * @returns {boolean} Whether the value can be used as a key binding
+ */
+function isValidKeyBinding(key) {
+  return parseKeyBinding(key) !== null;
+}
+
+/**
+ * Validates a shortcut table and brings every binding into canonical form
+ * @param {*} shortcuts - Object mapping actions from SHORTCUT_ACTIONS to lists of bindings
+ * @returns {Object|null} The normalized table with every action present, or null if invalid
+ */
+function normalizeShortcuts(shortcuts) {
+  if (!shortcuts || typeof shortcuts !== 'object' || Array.isArray(shortcuts)) return null;
+  
+  const actions = Object.values(SHORTCUT_ACTIONS);
+  if (Object.keys(shortcuts).some(action => !actions.includes(action))) return null;
+  
+  const normalized = {};
+  for (const action of actions) {
+    const bindings = action in shortcuts ? shortcuts[action] : DEFAULT_SHORTCUTS[action];
+    if (!Array.isArray(bindings) || bindings.length > MAX_BINDINGS_PER_ACTION) return null;
+    
+    const parsedBindings = bindings.map(parseKeyBinding);
+    if (!parsedBindings.every(Boolean)) return null;
+    normalized[action] = [...new Set(parsedBindings)];
+  }
+  return normalized;
+}
+
+/**
+ * Saves the keyboard shortcut table
+ * Replaces the single increase/decrease keys stored by earlier versions.
+ * @param {Object} shortcuts - Object mapping actions from SHORTCUT_ACTIONS to lists of bindings
+ */
+function saveShortcuts(shortcuts) {
+  try {
+    const normalizedShortcuts = normalizeShortcuts(shortcuts);
+    if (normalizedShortcuts) {
+      storageSet(SHORTCUTS_STORAGE, JSON.stringify(normalizedShortcuts));
+      storageRemove(INCREASE_SPEED_KEY_STORAGE);
+      storageRemove(DECREASE_SPEED_KEY_STORAGE);
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the keyboard shortcut table
+ * Falls back to the single increase/decrease keys stored by earlier versions.
+ * @returns {Object} Object mapping every action from SHORTCUT_ACTIONS to its list of bindings
+ */
+function loadShortcuts() {
+  try {
+    const savedShortcuts = normalizeShortcuts(JSON.parse(storageGet(SHORTCUTS_STORAGE)));
+    if (savedShortcuts) {
+      return savedShortcuts;
+    }
+    
+    const legacyIncreaseKey = parseKeyBinding(storageGet(INCREASE_SPEED_KEY_STORAGE));
+    const legacyDecreaseKey = parseKeyBinding(storageGet(DECREASE_SPEED_KEY_STORAGE));
+    return normalizeShortcuts({
+      ...DEFAULT_SHORTCUTS,
+      [SHORTCUT_ACTIONS.INCREASE]: legacyIncreaseKey ? [legacyIncreaseKey] : DEFAULT_SHORTCUTS[SHORTCUT_ACTIONS.INCREASE],
+      [SHORTCUT_ACTIONS.DECREASE]: legacyDecreaseKey ? [legacyDecreaseKey] : DEFAULT_SHORTCUTS[SHORTCUT_ACTIONS.DECREASE]
+    });
+  } catch (error) {
+    // Silently handle storage and parse errors
+  }
+  return normalizeShortcuts(DEFAULT_SHORTCUTS); // Default bindings
+}
+
+/**
+ * Finds the action bound to a key binding
+ * @param {string} binding - A canonical binding from formatKeyboardEvent
+ * @returns {{action: string, preset?: Object}|null} The bound action ('preset' with the preset for preset keys), or null
+ */
+function findShortcutAction(binding) {
+  const shortcuts = loadShortcuts();
+  const action = Object.keys(shortcuts).find(name => shortcuts[name].includes(binding));
+  if (action) {
+    return { action };
+  }
+  
+  const preset = loadSpeedPresets().find(p => p.key === binding);
+  return preset ? { action: 'preset', preset } : null;
+}
+
+/**
+ * Lists bindings used by more than one action or preset
+ * @param {Object} shortcuts - The shortcut table to check
+ * @param {Array<{name: string, key: string}>} presets - The presets whose keys are checked too
+ * @returns {string[]} One message per conflicting binding
+ */
+function findShortcutConflicts(shortcuts, presets) {
+  const owners = new Map();
+  const conflicts = [];
+  const claim = (binding, owner) => {
+    if (owners.has(binding)) {
+      conflicts.push(`${binding} is bound to both ${owners.get(binding)} and ${owner}.`);
+    } else {
+      owners.set(binding, owner);
+    }
+  };
+  
+  Object.keys(shortcuts).forEach(action => {
+    shortcuts[action].forEach(binding => claim(binding, SHORTCUT_ACTION_LABELS[action]));
+  });
+  presets.forEach(preset => {
+    if (preset.key) claim(preset.key, `preset "${preset.name}"`);
+  });
+  return conflicts;
+}
+
+/**
+ * Looks up the YouTube player shortcut that uses a binding
+ * @param {string} binding - A canonical binding
+ * @returns {string|null} What the binding does on YouTube, or null if YouTube doesn't use it
+ */
+function getYouTubeShortcut(binding) {
+  if (/^[0-9]$/.test(binding)) {
+    return `Seek to ${Number(binding) * 10}% of the video`;
+  }
+  return Object.prototype.hasOwnProperty.call(YOUTUBE_SHORTCUTS, binding) ? YOUTUBE_SHORTCUTS[binding] : null;
+}
+
+/**
+ * Saves the step size used by the increase speed key
+ * @param {number} step - The amount added to the speed per key press
+ */
+function saveIncreaseSpeedStep(step) {
+  try {
+    if (isValidSpeedStep(step)) {
+      storageSet(INCREASE_SPEED_STEP_STORAGE, roundSpeed(step).toString());
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the step size used by the increase speed key
+ * @returns {number} The saved step or 0.5 as default
+ */
+function loadIncreaseSpeedStep() {
+  try {
+    const savedStep = storageGet(INCREASE_SPEED_STEP_STORAGE);
+    if (savedStep) {
+      const step = parseFloat(savedStep);
+      if (isValidSpeedStep(step)) {
+        return roundSpeed(step);
+      }
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return DEFAULT_SPEED_STEP; // Default to half-speed steps
+}
+
+/**
+ * Saves the step size used by the decrease speed key
+ * @param {number} step - The amount subtracted from the speed per key press
+ */
+function saveDecreaseSpeedStep(step) {
+  try {
+    if (isValidSpeedStep(step)) {
+      storageSet(DECREASE_SPEED_STEP_STORAGE, roundSpeed(step).toString());
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the step size used by the decrease speed key
+ * @returns {number} The saved step or 0.5 as default
+ */
+function loadDecreaseSpeedStep() {
+  try {
+    const savedStep = storageGet(DECREASE_SPEED_STEP_STORAGE);
+    if (savedStep) {
+      const step = parseFloat(savedStep);
+      if (isValidSpeedStep(step)) {
+        return roundSpeed(step);
+      }
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return DEFAULT_SPEED_STEP; // Default to half-speed steps
+}
+
+/**
+ * Saves the speed used while the hold-to-boost key is held
+ * @param {number} speed - The temporary boost speed
+ */
+function saveBoostSpeed(speed) {
+  try {
+    if (isValidSpeed(speed)) {
+      storageSet(BOOST_SPEED_STORAGE, roundSpeed(speed).toString());
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the speed used while the hold-to-boost key is held
+ * @returns {number} The saved speed or 2 as default
+ */
+function loadBoostSpeed() {
+  try {
+    const savedSpeed = storageGet(BOOST_SPEED_STORAGE);
+    if (savedSpeed) {
+      const speed = parseFloat(savedSpeed);
+      if (isValidSpeed(speed)) {
+        return roundSpeed(speed);
+      }
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return DEFAULT_BOOST_SPEED;
+}
+
+// ========================================
+// SPEED LADDER AND PRESETS
+// ========================================
+
+/**
+ * Parses a comma- or space-separated list of speeds into a sorted, de-duplicated ladder
+ * @param {string} text - The raw list entered by the user (e.g. "1, 1.25, 1.5")
+ * @returns {number[]|null} The parsed ladder, or null if any entry is invalid
+ */
+function parseSpeedLadder(text) {
+  const entries = String(text).split(/[\s,]+/).filter(entry => entry !== '');
+  const speeds = [];
+  
+  for (const entry of entries) {
+    const speed = parseFloat(entry.replace(/x$/i, ''));
+    if (!isValidSpeed(speed)) {
+      return null;
+    }
+    speeds.push(roundSpeed(speed));
+  }
+  
+  const ladder = [...new Set(speeds)].sort((a, b) => a - b);
+  return ladder.length >= 2 && ladder.length <= MAX_LADDER_LENGTH ? ladder : null;
+}
+
+/**
+ * Saves the user-defined speed ladder
+ * @param {number[]} ladder - The speeds shown in the speed menu and stepped through by the keys
+ */
+function saveSpeedLadder(ladder) {
+  try {
+    const parsedLadder = Array.isArray(ladder) ? parseSpeedLadder(ladder.join(',')) : null;
+    if (parsedLadder) {
+      storageSet(SPEED_LADDER_STORAGE, JSON.stringify(parsedLadder));
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the user-defined speed ladder
+ * @returns {number[]} The saved ladder or a copy of speedOptions as default
+ */
+function loadSpeedLadder() {
+  try {
+    const savedLadder = JSON.parse(storageGet(SPEED_LADDER_STORAGE));
+    if (Array.isArray(savedLadder)) {
+      const ladder = parseSpeedLadder(savedLadder.join(','));
+      if (ladder) {
+        return ladder;
+      }
+    }
+  } catch (error) {
+    // Silently handle storage and parse errors
+  }
+  return [...speedOptions]; // Default to the built-in ladder
+}
+
+/**
+ * Saves how the increase/decrease keys step through speeds
+ * @param {string} mode - The key step mode ('step' or 'ladder')
+ */
+function saveKeyStepMode(mode) {
+  try {
+    if (Object.values(KEY_STEP_MODES).includes(mode)) {
+      storageSet(KEY_STEP_MODE_STORAGE, mode);
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads how the increase/decrease keys step through speeds
+ * @returns {string} The saved mode or 'step' as default
+ */
+function loadKeyStepMode() {
+  try {
+    const savedMode = storageGet(KEY_STEP_MODE_STORAGE);
+    if (savedMode && Object.values(KEY_STEP_MODES).includes(savedMode)) {
+      return savedMode;
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return KEY_STEP_MODES.STEP; // Default to fixed step sizes
+}
+
+/**
+ * Validates and normalizes a single named speed preset
+ * @param {Object} preset - The preset to validate
+ * @returns {{name: string, speed: number, key: string}|null} The normalized preset, or null if invalid
+ */
+function normalizeSpeedPreset(preset) {
+  if (!preset || typeof preset !== 'object') return null;
+  
+  const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+  const speed = typeof preset.speed === 'string' ? parseFloat(preset.speed) : preset.speed;
+  const key = typeof preset.key === 'string' && preset.key ? parseKeyBinding(preset.key) : '';
+  
+  if (!name || name.length > MAX_PRESET_NAME_LENGTH || !isValidSpeed(speed) || key === null) {
+    return null;
+  }
+  
+  return { name, speed: roundSpeed(speed), key };
+}
+
+/**
+ * Saves the user's named speed presets
+ * @param {Array<{name: string, speed: number, key: string}>} presets - The presets to save
+ */
+function saveSpeedPresets(presets) {
+  try {
+    if (!Array.isArray(presets) || presets.length > MAX_PRESETS) return;
+    
+    const normalizedPresets = presets.map(normalizeSpeedPreset);
+    if (normalizedPresets.every(Boolean)) {
+      storageSet(SPEED_PRESETS_STORAGE, JSON.stringify(normalizedPresets));
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the user's named speed presets
+ * @returns {Array<{name: string, speed: number, key: string}>} The saved presets or an empty list
+ */
+function loadSpeedPresets() {
+  try {
+    const savedPresets = JSON.parse(storageGet(SPEED_PRESETS_STORAGE));
+    if (Array.isArray(savedPresets)) {
+      return savedPresets.slice(0, MAX_PRESETS).map(normalizeSpeedPreset).filter(Boolean);
+    }
+  } catch (error) {
+    // Silently handle storage and parse errors
+  }
+  return []; // Default to no presets
+}
+
+// ========================================
+// SPEED MEMORY AND RULES
+// ========================================
+
+/**
+ * Loads the per-video speed store
+ * @returns {Array<{id: string, speed: number}>} Remembered videos, least recently used first
+ */
+function loadVideoSpeeds() {
+  try {
+    const savedSpeeds = JSON.parse(storageGet(VIDEO_SPEEDS_STORAGE));
+    if (Array.isArray(savedSpeeds)) {
+      return savedSpeeds.filter(entry =>
+        entry && typeof entry.id === 'string' && isValidSpeed(entry.speed)
+      );
+    }
+  } catch (error) {
+    // Silently handle storage and parse errors
+  }
+  return [];
+}
+
+/**
+ * Remembers the speed used on a video, evicting the least recently used videos beyond the limit
+ * @param {string|null} videoId - The YouTube video ID
+ * @param {number} speed - The playback speed to remember
+ */
+function saveVideoSpeed(videoId, speed) {
+  if (!videoId || !isValidSpeed(speed) || !loadVideoMemoryEnabled()) return;
+  
+  try {
+    const videoSpeeds = loadVideoSpeeds().filter(entry => entry.id !== videoId);
+    videoSpeeds.push({ id: videoId, speed: roundSpeed(speed) });
+    storageSet(VIDEO_SPEEDS_STORAGE, JSON.stringify(videoSpeeds.slice(-MAX_REMEMBERED_VIDEOS)));
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the speed remembered for a video
+ * @param {string|null} videoId - The YouTube video ID
+ * @returns {number|null} The remembered speed, or null if the video has none
+ */
+function loadVideoSpeed(videoId) {
+  if (!videoId || !loadVideoMemoryEnabled()) return null;
+  
+  const entry = loadVideoSpeeds().find(e => e.id === videoId);
+  return entry ? roundSpeed(entry.speed) : null;
+}
+
+/**
+ * Replaces the per-video speed store (used by the options page editor)
+ * @param {Array<{id: string, speed: number}>} videoSpeeds - Videos to remember, least recently used first
+ */
+function saveVideoSpeeds(videoSpeeds) {
+  try {
+    if (!Array.isArray(videoSpeeds)) return;
+    
+    const isValid = videoSpeeds.every(entry =>
+      entry && parseVideoReference(entry.id) === entry.id && isValidSpeed(entry.speed)
+    );
+    if (isValid) {
+      storageSet(VIDEO_SPEEDS_STORAGE, JSON.stringify(videoSpeeds
+        .map(entry => ({ id: entry.id, speed: roundSpeed(entry.speed) }))
+        .slice(-MAX_REMEMBERED_VIDEOS)));
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Parses a video reference into a YouTube video ID
+ * Accepts bare IDs and watch, youtu.be, Shorts and embed URLs
+ * @param {string} reference - The video reference to parse
+ * @returns {string|null} The 11-character video ID, or null if unrecognized
+ */
+function parseVideoReference(reference) {
+  if (typeof reference !== 'string') return null;
+  
+  const trimmed = reference.trim();
+  if (/^[\w-]{11}$/.test(trimmed)) {
+    return trimmed;
+  }
+  
+  try {
+    const url = new URL(trimmed);
+    const videoId = url.searchParams.get('v') ||
+      (url.hostname === 'youtu.be' ? url.pathname.slice(1) : null) ||
+      (url.pathname.match(/^\/(?:shorts|embed|live)\/([\w-]{11})/) || [])[1];
+    if (videoId && /^[\w-]{11}$/.test(videoId)) {
+      return videoId;
+    }
+  } catch (error) {
+    // Not a URL
+  }
+  return null;
+}
+
+/**
+ * Forgets all remembered per-video speeds
+ */
+function clearVideoSpeeds() {
+  try {
+    storageRemove(VIDEO_SPEEDS_STORAGE);
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Saves whether per-video speed memory is enabled
+ * @param {boolean} enabled - Whether to remember speeds per video
+ */
+function saveVideoMemoryEnabled(enabled) {
+  try {
+    storageSet(VIDEO_MEMORY_ENABLED_STORAGE, enabled ? 'true' : 'false');
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads whether per-video speed memory is enabled
+ * @returns {boolean} The saved setting or true as default
+ */
+function loadVideoMemoryEnabled() {
+  try {
+    return storageGet(VIDEO_MEMORY_ENABLED_STORAGE) !== 'false';
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return true; // Default to remembering speeds per video
+}
+
+/**
+ * Parses a channel reference into the identifier used by channel rules
+ * Accepts handles ("@name"), channel IDs ("UC..."), channel paths and full channel URLs
+ * @param {string} reference - The channel reference to parse
+ * @returns {string|null} A lowercased "@handle" or a "UC..." channel ID, or null if unrecognized
+ */
+function parseChannelReference(reference) {
+  if (typeof reference !== 'string') return null;
+  
+  let path = reference.trim();
+  try {
+    if (/^https?:\/\//i.test(path)) {
+      path = new URL(path).pathname;
+    }
+    path = decodeURIComponent(path);
+  } catch (error) {
+    return null;
+  }
+  
+  const handleMatch = path.match(/^\/?(@[^/?#\s]+)/);
+  if (handleMatch) {
+    return handleMatch[1].toLowerCase();
+  }
+  
+  const idMatch = path.match(/^(?:\/?channel\/)?(UC[\w-]{22})(?:[/?#]|$)/);
+  return idMatch ? idMatch[1] : null;
+}
+
+/**
+ * Loads the per-channel speed table
+ * @returns {Array<{id: string, name: string, speed: number}>} The saved channel rules
+ */
+function loadChannelSpeeds() {
+  try {
+    const savedRules = JSON.parse(storageGet(CHANNEL_SPEEDS_STORAGE));
+    if (Array.isArray(savedRules)) {
+      return savedRules
+        .filter(rule => rule && parseChannelReference(rule.id) === rule.id && isValidSpeed(rule.speed))
+        .map(rule => ({
+          id: rule.id,
+          name: typeof rule.name === 'string' && rule.name ? rule.name : rule.id,
+          speed: roundSpeed(rule.speed)
+        }));
+    }
+  } catch (error) {
+    // Silently handle storage and parse errors
+  }
+  return [];
+}
+
+/**
+ * Saves the per-channel speed table, replacing any existing rules
+ * @param {Array<{id: string, name: string, speed: number}>} rules - The channel rules to save
+ */
+function saveChannelSpeeds(rules) {
+  try {
+    if (!Array.isArray(rules) || rules.length > MAX_CHANNEL_RULES) return;
+    
+    const isValid = rules.every(rule =>
+      rule && parseChannelReference(rule.id) === rule.id && isValidSpeed(rule.speed)
+    );
+    if (isValid) {
+      storageSet(CHANNEL_SPEEDS_STORAGE, JSON.stringify(rules.map(rule => ({
+        id: rule.id,
+        name: typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : rule.id,
+        speed: roundSpeed(rule.speed)
+      }))));
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Adds or updates the speed rule for a single channel
+ * @param {string} channelId - The channel handle or ID
+ * @param {string} name - The channel's display name
+ * @param {number} speed - The speed to use for this channel
+ */
+function saveChannelSpeed(channelId, name, speed) {
+  if (!isValidSpeed(speed)) return;
+  
+  const rules = loadChannelSpeeds().filter(rule => rule.id !== channelId);
+  if (rules.length >= MAX_CHANNEL_RULES) return;
+  
+  rules.push({ id: channelId, name, speed });
+  saveChannelSpeeds(rules);
+}
+
+/**
+ * Loads the speed rule for a channel
+ * @param {string} channelId - The channel handle or ID
+ * @returns {number|null} The channel's speed, or null if it has no rule
+ */
+function loadChannelSpeed(channelId) {
+  const rule = loadChannelSpeeds().find(r => r.id === channelId);
+  return rule ? rule.speed : null;
+}
+
+/**
+ * Loads the per-playlist speed store
+ * @returns {Array<{id: string, speed: number}>} Remembered playlists, least recently used first
+ */
+function loadPlaylistSpeeds() {
+  try {
+    const savedSpeeds = JSON.parse(storageGet(PLAYLIST_SPEEDS_STORAGE));
+    if (Array.isArray(savedSpeeds)) {
+      return savedSpeeds.filter(entry =>
+        entry && typeof entry.id === 'string' && isValidSpeed(entry.speed)
+      );
+    }
+  } catch (error) {
+    // Silently handle storage and parse errors
+  }
+  return [];
+}
+
+/**
+ * Remembers the speed profile of a playlist, evicting the least recently used playlists beyond the limit
+ * @param {string|null} playlistId - The YouTube playlist ID
+ * @param {number} speed - The playback speed to remember
+ */
+function savePlaylistSpeed(playlistId, speed) {
+  if (!playlistId || !isValidSpeed(speed) || !loadPlaylistMemoryEnabled()) return;
+  
+  try {
+    const playlistSpeeds = loadPlaylistSpeeds().filter(entry => entry.id !== playlistId);
+    playlistSpeeds.push({ id: playlistId, speed: roundSpeed(speed) });
+    storageSet(PLAYLIST_SPEEDS_STORAGE, JSON.stringify(playlistSpeeds.slice(-MAX_REMEMBERED_PLAYLISTS)));
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the speed profile of a playlist
+ * @param {string|null} playlistId - The YouTube playlist ID
+ * @returns {number|null} The playlist's speed, or null if it has none
+ */
+function loadPlaylistSpeed(playlistId) {
+  if (!playlistId || !loadPlaylistMemoryEnabled()) return null;
+  
+  const entry = loadPlaylistSpeeds().find(e => e.id === playlistId);
+  return entry ? roundSpeed(entry.speed) : null;
+}
+
+/**
+ * Forgets all playlist speed profiles
+ */
+function clearPlaylistSpeeds() {
+  try {
+    storageRemove(PLAYLIST_SPEEDS_STORAGE);
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Saves whether per-playlist speed profiles are enabled
+ * @param {boolean} enabled - Whether to keep a speed per playlist
+ */
+function savePlaylistMemoryEnabled(enabled) {
+  try {
+    storageSet(PLAYLIST_MEMORY_ENABLED_STORAGE, enabled ? 'true' : 'false');
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads whether per-playlist speed profiles are enabled
+ * @returns {boolean} The saved setting or true as default
+ */
+function loadPlaylistMemoryEnabled() {
+  try {
+    return storageGet(PLAYLIST_MEMORY_ENABLED_STORAGE) !== 'false';
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return true; // Default to keeping playlist speed profiles
+}
+
+// ========================================
+// CHAPTER RULES AND SPEED ZONES
+// ========================================
+
+/**
+ * Parses a timestamp such as "1:05", "01:02:03" or "90" into seconds
+ * @param {string} timestamp - The timestamp to parse
+ * @returns {number|null} The position in seconds, or null if unrecognized
+ */
+function parseTimestamp(timestamp) {
+  if (typeof timestamp !== 'string') return null;
+  
+  const match = timestamp.trim().match(/^(?:(?:(\d+):)?(\d{1,2}):)?(\d+)$/);
+  if (!match) return null;
+  
+  const [, hours = '0', minutes = '0', seconds] = match;
+  // Seconds may only exceed 59 when they're the whole timestamp ("90")
+  if (match[2] !== undefined && parseInt(seconds, 10) > 59) return null;
+  if (match[1] !== undefined && parseInt(minutes, 10) > 59) return null;
+  
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10);
+}
+
+/**
+ * Formats a position in seconds the way YouTube shows timestamps
+ * @param {number} seconds - The position in seconds
+ * @returns {string} "m:ss" or "h:mm:ss"
+ */
+function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Validates and normalizes a chapter speed rule
+ * @param {Object} rule - The rule to validate
+ * @returns {{pattern: string, speed: number}|null} The normalized rule, or null if invalid
+ */
+function normalizeChapterRule(rule) {
+  if (!rule || typeof rule !== 'object') return null;
+  
+  const pattern = typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+  const speed = typeof rule.speed === 'string' ? parseFloat(rule.speed) : rule.speed;
+  if (!pattern || pattern.length > MAX_CHAPTER_PATTERN_LENGTH || !isValidSpeed(speed)) {
+    return null;
+  }
+  
+  return { pattern, speed: roundSpeed(speed) };
+}
+
+/**
+ * Saves the chapter speed rules, replacing any existing rules
+ * @param {Array<{pattern: string, speed: number}>} rules - Chapter title patterns and their speeds, first match wins
+ */
+function saveChapterRules(rules) {
+  try {
+    if (!Array.isArray(rules) || rules.length > MAX_CHAPTER_RULES) return;
+    
+    const normalizedRules = rules.map(normalizeChapterRule);
+    if (normalizedRules.every(Boolean)) {
+      storageSet(CHAPTER_RULES_STORAGE, JSON.stringify(normalizedRules));
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the chapter speed rules
+ * @returns {Array<{pattern: string, speed: number}>} The saved rules or an empty list
+ */
+function loadChapterRules() {
+  try {
+    const savedRules = JSON.parse(storageGet(CHAPTER_RULES_STORAGE));
+    if (Array.isArray(savedRules)) {
+      return savedRules.slice(0, MAX_CHAPTER_RULES).map(normalizeChapterRule).filter(Boolean);
+    }
+  } catch (error) {
+    // Silently handle storage and parse errors
+  }
+  return []; // Default to no chapter rules
+}
+
+/**
+ * Finds the chapter rule for a chapter title
+ * Patterns match anywhere in the title, ignoring case, so "sponsor" matches "Sponsor: NordVPN".
+ * @param {string} title - The chapter title
+ * @returns {{pattern: string, speed: number}|null} The first matching rule, or null if none matches
+ */
+function findChapterRule(title) {
+  if (!title) return null;
+  
+  const lowerTitle = title.toLowerCase();
+  return loadChapterRules().find(rule => lowerTitle.includes(rule.pattern.toLowerCase())) || null;
+}
+
+/**
+ * Validates and normalizes a speed zone
+ * @param {Object} zone - The zone to validate
+ * @returns {{start: number, end: number, speed: number}|null} The zone in whole seconds, or null if invalid
+ */
+function normalizeSpeedZone(zone) {
+  if (!zone || typeof zone !== 'object') return null;
+  
+  const { start, end, speed } = zone;
+  if (typeof start !== 'number' || typeof end !== 'number' || !Number.isFinite(start) || !Number.isFinite(end) ||
+      start < 0 || Math.round(end) <= Math.round(start) || !isValidSpeed(speed)) {
+    return null;
+  }
+  
+  return { start: Math.round(start), end: Math.round(end), speed: roundSpeed(speed) };
+}
+
+/**
+ * Loads the speed zone store
+ * @returns {Array<{id: string, zones: Array<{start: number, end: number, speed: number}>}>} Videos with zones, least recently edited first
+ */
+function loadSpeedZones() {
+  try {
+    const savedZones = JSON.parse(storageGet(SPEED_ZONES_STORAGE));
+    if (Array.isArray(savedZones)) {
+      return savedZones
+        .filter(entry => entry && typeof entry.id === 'string' && Array.isArray(entry.zones))
+        .map(entry => ({ id: entry.id, zones: entry.zones.map(normalizeSpeedZone).filter(Boolean) }))
+        .filter(entry => entry.zones.length > 0);
+    }
+  } catch (error) {
+    // Silently handle storage and parse errors
+  }
+  return [];
+}
+
+/**
+ * Loads the speed zones of a video
+ * @param {string|null} videoId - The YouTube video ID
+ * @returns {Array<{start: number, end: number, speed: number}>} The video's zones in start order, or an empty list
+ */
+function loadVideoSpeedZones(videoId) {
+  if (!videoId) return [];
+  
+  const entry = loadSpeedZones().find(e => e.id === videoId);
+  return entry ? entry.zones : [];
+}
+
+/**
+ * Saves the speed zones of a video, evicting the least recently edited videos beyond the limit
+ * An empty list removes the video's zones.
+ * @param {string|null} videoId - The YouTube video ID
+ * @param {Array<{start: number, end: number, speed: number}>} zones - The video's zones
+ */
+function saveVideoSpeedZones(videoId, zones) {
+  if (!videoId || !Array.isArray(zones) || zones.length > MAX_SPEED_ZONES) return;
+  
+  const normalizedZones = zones.map(normalizeSpeedZone);
+  if (!normalizedZones.every(Boolean)) return;
+  
+  try {
+    const speedZones = loadSpeedZones().filter(entry => entry.id !== videoId);
+    if (normalizedZones.length > 0) {
+      speedZones.push({ id: videoId, zones: normalizedZones.sort((a, b) => a.start - b.start) });
+    }
+    storageSet(SPEED_ZONES_STORAGE, JSON.stringify(speedZones.slice(-MAX_ZONE_VIDEOS)));
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Removes the speed zones of every video
+ */
+function clearSpeedZones() {
+  try {
+    storageRemove(SPEED_ZONES_STORAGE);
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+// ========================================
+// SKIP SILENCE SETTINGS
+// ========================================
+
+/**
+ * Saves whether skip-silence mode is enabled
+ * @param {boolean} enabled - Whether to speed through silent stretches
+ */
+function saveSilenceSkipEnabled(enabled) {
+  try {
+    storageSet(SILENCE_SKIP_ENABLED_STORAGE, enabled ? 'true' : 'false');
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads whether skip-silence mode is enabled
+ * @returns {boolean} The saved setting or false as default
+ */
+function loadSilenceSkipEnabled() {
+  try {
+    return storageGet(SILENCE_SKIP_ENABLED_STORAGE) === 'true';
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return false; // Default to off; the audio graph is only created when enabled
+}
+
+/**
+ * Saves the speed used during silent stretches
+ * @param {number} speed - The playback speed to use while the audio is silent
+ */
+function saveSilenceSpeed(speed) {
+  try {
+    if (isValidSpeed(speed)) {
+      storageSet(SILENCE_SPEED_STORAGE, roundSpeed(speed).toString());
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the speed used during silent stretches
+ * @returns {number} The saved speed or 4 as default
+ */
+function loadSilenceSpeed() {
+  try {
+    const savedSpeed = storageGet(SILENCE_SPEED_STORAGE);
+    if (savedSpeed) {
+      const speed = parseFloat(savedSpeed);
+      if (isValidSpeed(speed)) {
+        return roundSpeed(speed);
+      }
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return DEFAULT_SILENCE_SPEED;
+}
+
+/**
+ * Checks whether a value is a usable silence threshold
+ * @param {number} threshold - The threshold in dBFS
+ * @returns {boolean} Whether the threshold is within the supported range
+ */
+function isValidSilenceThreshold(threshold) {
+  return typeof threshold === 'number' && Number.isFinite(threshold) &&
+    threshold >= MIN_SILENCE_THRESHOLD && threshold <= MAX_SILENCE_THRESHOLD;
+}
+
+/**
+ * Saves the audio level below which audio counts as silence
+ * @param {number} threshold - The threshold in dBFS
+ */
+function saveSilenceThreshold(threshold) {
+  try {
+    if (isValidSilenceThreshold(threshold)) {
+      storageSet(SILENCE_THRESHOLD_STORAGE, Math.round(threshold).toString());
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the audio level below which audio counts as silence
+ * @returns {number} The saved threshold or -45 dBFS as default
+ */
+function loadSilenceThreshold() {
+  try {
+    const savedThreshold = storageGet(SILENCE_THRESHOLD_STORAGE);
+    if (savedThreshold) {
+      const threshold = parseFloat(savedThreshold);
+      if (isValidSilenceThreshold(threshold)) {
+        return threshold;
+      }
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return DEFAULT_SILENCE_THRESHOLD;
+}
+
+// ========================================
+// AUDIO QUALITY SETTINGS
+// ========================================
+
+/**
+ * Saves whether the pitch of the audio is kept at its original level when the speed changes
+ * @param {boolean} enabled - Whether to preserve pitch
+ */
+function savePreservePitch(enabled) {
+  try {
+    storageSet(PRESERVE_PITCH_STORAGE, enabled ? 'true' : 'false');
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads whether the pitch of the audio is kept at its original level when the speed changes
+ * @returns {boolean} The saved setting or true as default
+ */
+function loadPreservePitch() {
+  try {
+    return storageGet(PRESERVE_PITCH_STORAGE) !== 'false';
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return true; // Default to the browser's own behavior
+}
+
+/**
+ * Saves whether pitch is preserved by the extension's time-stretch processor instead of the browser
+ * @param {boolean} enabled - Whether to use the AudioWorklet time-stretch processor
+ */
+function saveTimeStretchEnabled(enabled) {
+  try {
+    storageSet(TIME_STRETCH_ENABLED_STORAGE, enabled ? 'true' : 'false');
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads whether pitch is preserved by the extension's time-stretch processor instead of the browser
+ * @returns {boolean} The saved setting or false as default
+ */
+function loadTimeStretchEnabled() {
+  try {
+    return storageGet(TIME_STRETCH_ENABLED_STORAGE) === 'true';
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return false; // Default to off; the audio graph is only created when enabled
+}
+
+// ========================================
+// AD SETTINGS
+// ========================================
+
+/**
+ * Saves how the speed is handled while an ad plays
+ * @param {string} mode - A value from AD_SPEED_MODES
+ */
+function saveAdSpeedMode(mode) {
+  try {
+    if (Object.values(AD_SPEED_MODES).includes(mode)) {
+      storageSet(AD_SPEED_MODE_STORAGE, mode);
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads how the speed is handled while an ad plays
+ * @returns {string} The saved mode or 'keep' as default
+ */
+function loadAdSpeedMode() {
+  try {
+    const savedMode = storageGet(AD_SPEED_MODE_STORAGE);
+    if (savedMode && Object.values(AD_SPEED_MODES).includes(savedMode)) {
+      return savedMode;
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return AD_SPEED_MODES.KEEP;
+}
+
+/**
+ * Saves the speed ads play at in the 'custom' ad speed mode
+ * @param {number} speed - The ad speed
+ */
+function saveAdSpeed(speed) {
+  try {
+    if (isValidSpeed(speed)) {
+      storageSet(AD_SPEED_STORAGE, roundSpeed(speed).toString());
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the speed ads play at in the 'custom' ad speed mode
+ * @returns {number} The saved speed or 2 as default
+ */
+function loadAdSpeed() {
+  try {
+    const savedSpeed = storageGet(AD_SPEED_STORAGE);
+    if (savedSpeed) {
+      const speed = parseFloat(savedSpeed);
+      if (isValidSpeed(speed)) {
+        return roundSpeed(speed);
+      }
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return DEFAULT_AD_SPEED;
+}
+
+// ========================================
+// SPEED RAMP SETTINGS
+// ========================================
+
+/**
+ * Checks whether a value is a usable ramp duration or step interval
+ * @param {number} minutes - Minutes of video
+ * @returns {boolean} True if the value is within MIN_RAMP_MINUTES and MAX_RAMP_MINUTES
+ */
+function isValidRampMinutes(minutes) {
+  return typeof minutes === 'number' && Number.isFinite(minutes) &&
+    minutes >= MIN_RAMP_MINUTES && minutes <= MAX_RAMP_MINUTES;
+}
+
+/**
+ * Validates and normalizes a speed ramp
+ * @param {Object} ramp - The ramp to validate
+ * @returns {{mode: string, startSpeed: number, targetSpeed: number, duration: number, stepAmount: number, stepInterval: number}|null} The normalized ramp, or null if invalid
+ */
+function normalizeSpeedRamp(ramp) {
+  if (!ramp || typeof ramp !== 'object') return null;
+  
+  const { mode, startSpeed, targetSpeed, duration, stepAmount, stepInterval } = ramp;
+  if (!Object.values(RAMP_MODES).includes(mode) ||
+      !isValidSpeed(startSpeed) || !isValidSpeed(targetSpeed) ||
+      !isValidRampMinutes(duration) || !isValidSpeedStep(stepAmount) || !isValidRampMinutes(stepInterval)) {
+    return null;
+  }
+  
+  return {
+    mode,
+    startSpeed: roundSpeed(startSpeed),
+    targetSpeed: roundSpeed(targetSpeed),
+    duration,
+    stepAmount: roundSpeed(stepAmount),
+    stepInterval
+  };
+}
+
+/**
+ * Saves the speed ramp started by the ramp shortcut and the toolbar popup
+ * @param {Object} ramp - The ramp settings
+ */
+function saveSpeedRamp(ramp) {
+  try {
+    const normalizedRamp = normalizeSpeedRamp(ramp);
+    if (normalizedRamp) {
+      storageSet(SPEED_RAMP_STORAGE, JSON.stringify(normalizedRamp));
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the speed ramp started by the ramp shortcut and the toolbar popup
+ * @returns {{mode: string, startSpeed: number, targetSpeed: number, duration: number, stepAmount: number, stepInterval: number}} The saved ramp or a 1.5x to 2.5x linear ramp over 30 minutes as default
+ */
+function loadSpeedRamp() {
+  try {
+    const savedRamp = normalizeSpeedRamp(JSON.parse(storageGet(SPEED_RAMP_STORAGE)));
+    if (savedRamp) {
+      return savedRamp;
+    }
+  } catch (error) {
+    // Silently handle storage and parse errors
+  }
+  return { ...DEFAULT_SPEED_RAMP };
+}
+
+// ========================================
+// SPEED OVERLAY AND TIME DISPLAY SETTINGS
+// ========================================
+
+/**
+ * Checks whether a value is a usable overlay duration
+ * @param {number} seconds - Seconds the overlay stays visible
+ * @returns {boolean} True if the value is within MIN_OVERLAY_DURATION and MAX_OVERLAY_DURATION
+ */
+function isValidOverlayDuration(seconds) {
+  return typeof seconds === 'number' && Number.isFinite(seconds) &&
+    seconds >= MIN_OVERLAY_DURATION && seconds <= MAX_OVERLAY_DURATION;
+}
+
+/**
+ * Validates and normalizes the speed overlay settings
+ * Options missing from the object keep their defaults, so files exported before an option existed still import.
+ * @param {Object} settings - The overlay settings to validate
+ * @returns {Object|null} The normalized settings with every DEFAULT_OVERLAY_SETTINGS option, or null if invalid
+ */
+function normalizeOverlaySettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return null;
+  
+  const overlay = { ...DEFAULT_OVERLAY_SETTINGS };
+  Object.keys(DEFAULT_OVERLAY_SETTINGS).forEach(option => {
+    if (option in settings) overlay[option] = settings[option];
+  });
+  
+  const switches = ['enabled', 'showRemainingTime', 'showRuleSource', 'badge'];
+  if (!switches.every(option => typeof overlay[option] === 'boolean') ||
+      !Object.values(OVERLAY_POSITIONS).includes(overlay.position) ||
+      !Object.values(OVERLAY_SIZES).includes(overlay.size) ||
+      !Object.values(OVERLAY_THEMES).includes(overlay.theme) ||
+      !isValidOverlayDuration(overlay.duration)) {
+    return null;
+  }
+  
+  return overlay;
+}
+
+/**
+ * Saves the look and contents of the speed overlay and badge
+ * @param {Object} settings - The overlay settings
+ */
+function saveOverlaySettings(settings) {
+  try {
+    const normalizedSettings = normalizeOverlaySettings(settings);
+    if (normalizedSettings) {
+      storageSet(OVERLAY_SETTINGS_STORAGE, JSON.stringify(normalizedSettings));
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads the look and contents of the speed overlay and badge
+ * @returns {Object} The saved settings or DEFAULT_OVERLAY_SETTINGS (a centered, dark, 1 second overlay without badge)
+ */
+function loadOverlaySettings() {
+  try {
+    const savedSettings = normalizeOverlaySettings(JSON.parse(storageGet(OVERLAY_SETTINGS_STORAGE)));
+    if (savedSettings) {
+      return savedSettings;
+    }
+  } catch (error) {
+    // Silently handle storage and parse errors
+  }
+  return { ...DEFAULT_OVERLAY_SETTINGS };
+}
+
+/**
+ * Saves whether the player's time display shows the time left at the current speed and when the video ends
+ * @param {boolean} enabled - Whether to show the speed-adjusted time
+ */
+function saveTimeDisplayEnabled(enabled) {
+  try {
+    storageSet(TIME_DISPLAY_ENABLED_STORAGE, enabled ? 'true' : 'false');
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Loads whether the player's time display shows the time left at the current speed and when the video ends
+ * @returns {boolean} The saved setting or true as default
+ */
+function loadTimeDisplayEnabled() {
+  try {
+    return storageGet(TIME_DISPLAY_ENABLED_STORAGE) !== 'false';
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return true;
+}
+
+// ========================================
+// WATCH TIME STATISTICS
+// ========================================
+
+/**
+ * Creates an empty watch-time statistics store
+ * Every bucket holds seconds of media played and of real time spent playing it.
+ * @returns {{total: Object, days: Object, channels: Object, speeds: Object}} The empty store
+ */
+function createWatchStats() {
+  return {
+    total: { media: 0, real: 0 },
+    days: {},     // 'YYYY-MM-DD' (local date) -> { media, real }
+    channels: {}, // Channel handle or ID -> { name, media, real }
+    speeds: {}    // Speed, as a string -> { media, real }
+  };
+}
+
+/**
+ * Checks that a statistics bucket holds two non-negative numbers
+ * @param {*} bucket - The value to check
+ * @returns {boolean} Whether the bucket is usable
+ */
+function isValidStatsBucket(bucket) {
+  return bucket !== null && typeof bucket === 'object' &&
+    Number.isFinite(bucket.media) && bucket.media >= 0 &&
+    Number.isFinite(bucket.real) && bucket.real >= 0;
+}
+
+let watchStatsWrites = Promise.resolve(); // Runs this page's read-merge-write cycles on the statistics one at a time
+
+/**
+ * Loads the watch-time statistics, dropping any malformed buckets
+ * @returns {{total: Object, days: Object, channels: Object, speeds: Object}} The statistics
+ */
+function loadWatchStats() {
+  return parseWatchStats(storageGet(WATCH_STATS_STORAGE));
+}
+
+/**
+ * Parses stored watch-time statistics, dropping any malformed buckets
+ * @param {string|null|undefined} value - The stored JSON
+ * @returns {{total: Object, days: Object, channels: Object, speeds: Object}} The statistics
+ */
+function parseWatchStats(value) {
+  const stats = createWatchStats();
+  
+  try {
+    const saved = JSON.parse(value || 'null');
+    if (!saved || typeof saved !== 'object') return stats;
+    
+    if (isValidStatsBucket(saved.total)) {
+      stats.total = { media: saved.total.media, real: saved.total.real };
+    }
+    ['days', 'channels', 'speeds'].forEach(group => {
+      Object.entries(saved[group] || {}).forEach(([key, bucket]) => {
+        if (isValidStatsBucket(bucket)) {
+          stats[group][key] = group === 'channels'
+            ? { name: typeof bucket.name === 'string' && bucket.name ? bucket.name : key, media: bucket.media, real: bucket.real }
+            : { media: bucket.media, real: bucket.real };
+        }
+      });
+    });
+  } catch (error) {
+    // Silently handle storage and parse errors
+  }
+  return stats;
+}
+
+/**
+ * Adds watched time to the statistics
+ * Content scripts collect time in memory and add it in batches, so storage isn't written on every timeupdate.
+ * Every YouTube tab adds its own time, so the entries are merged into the statistics as stored right
+ * before the write rather than into this page's copy, which may not have another tab's latest batch yet.
+ * @param {Array<{date: string, channelId: string|null, channelName: string, speed: number, media: number, real: number}>} entries - Seconds of media and real time per day, channel and speed
+ * @returns {Promise<void>} Resolves once the statistics are written
+ */
+function addWatchTime(entries) {
+  if (!hasExtensionStorage()) {
+    try {
+      storageSet(WATCH_STATS_STORAGE, JSON.stringify(mergeWatchTime(loadWatchStats(), entries)));
+    } catch (error) {
+      // Silently handle storage errors
+    }
+    return Promise.resolve();
+  }
+  
+  // Show the time in this page right away; the write below replaces it with the merged statistics
+  storageCache[WATCH_STATS_STORAGE] = JSON.stringify(mergeWatchTime(loadWatchStats(), entries));
+  
+  watchStatsWrites = watchStatsWrites.then(async () => {
+    const stored = await chrome.storage.local.get([WATCH_STATS_STORAGE]);
+    const value = JSON.stringify(mergeWatchTime(parseWatchStats(stored[WATCH_STATS_STORAGE]), entries));
+    storageCache[WATCH_STATS_STORAGE] = value;
+    await chrome.storage.local.set({ [WATCH_STATS_STORAGE]: value });
+  }).catch(() => {
+    // Silently handle storage errors (e.g. extension context invalidated after an update)
+  });
+  return watchStatsWrites;
+}
+
+/**
+ * Adds watched time to a statistics object and trims it to the stored limits
+ * @param {{total: Object, days: Object, channels: Object, speeds: Object}} stats - The statistics to add to
+ * @param {Array<Object>} entries - The entries passed to addWatchTime
+ * @returns {{total: Object, days: Object, channels: Object, speeds: Object}} The same statistics
+ */
+function mergeWatchTime(stats, entries) {
+  const add = (group, key, entry) => {
+    const bucket = group[key] || { media: 0, real: 0 };
+    bucket.media = Math.round((bucket.media + entry.media) * 100) / 100;
+    bucket.real = Math.round((bucket.real + entry.real) * 100) / 100;
+    group[key] = bucket;
+    return bucket;
+  };
+  
+  entries.forEach(entry => {
+    if (!isValidStatsBucket(entry) || !isValidSpeed(entry.speed)) return;
+    
+    add(stats, 'total', entry);
+    add(stats.days, entry.date, entry);
+    add(stats.speeds, roundSpeed(entry.speed).toString(), entry);
+    if (entry.channelId) {
+      const channel = add(stats.channels, entry.channelId, entry);
+      channel.name = entry.channelName || channel.name || entry.channelId;
+    }
+  });
+  
+  // Keep the store small: the most recent days and the most watched channels
+  const days = Object.keys(stats.days).sort();
+  days.slice(0, Math.max(0, days.length - MAX_STATS_DAYS)).forEach(day => delete stats.days[day]);
+  const channels = Object.keys(stats.channels).sort((a, b) => stats.channels[b].media - stats.channels[a].media);
+  channels.slice(MAX_STATS_CHANNELS).forEach(channel => delete stats.channels[channel]);
+  
+  return stats;
+}
+
+/**
+ * Deletes all watch-time statistics
+ * Waits for this page's statistics writes, so time added just before can't bring them back.
+ */
+function clearWatchStats() {
+  try {
+    if (!hasExtensionStorage()) {
+      storageRemove(WATCH_STATS_STORAGE);
+      return;
+    }
+    delete storageCache[WATCH_STATS_STORAGE];
+    watchStatsWrites = watchStatsWrites
+      .then(() => chrome.storage.local.remove(WATCH_STATS_STORAGE))
+      .catch(() => {});
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Formats a number of seconds as a short duration
+ * @param {number} seconds - The duration
+ * @returns {string} e.g. "2h 05m", "12m 30s" or "45s"
+ */
+function formatDuration(seconds) {
+  const totalSeconds = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const remainingSeconds = totalSeconds % 60;
+  
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(remainingSeconds).padStart(2, '0')}s`;
+  return `${remainingSeconds}s`;
+}
+
+/**
+ * Builds a CSV file of the watch-time statistics
+ * One row per bucket: the overall total, then every day, channel and speed.
+ * @param {{total: Object, days: Object, channels: Object, speeds: Object}} stats - The statistics
+ * @returns {string} The CSV text
+ */
+function buildWatchStatsCsv(stats) {
+  const escapeCsv = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const row = (scope, key, name, bucket) => [
+    scope,
+    key,
+    name,
+    bucket.media.toFixed(2),
+    bucket.real.toFixed(2),
+    Math.max(0, bucket.media - bucket.real).toFixed(2)
+  ].map(escapeCsv).join(',');
+  
+  const rows = [
+    'scope,key,name,media_seconds,real_seconds,saved_seconds',
+    row('total', '', '', stats.total),
+    ...Object.keys(stats.days).sort().map(day => row('day', day, '', stats.days[day])),
+    ...Object.keys(stats.channels).map(id => row('channel', id, stats.channels[id].name, stats.channels[id])),
+    ...Object.keys(stats.speeds)
+      .sort((a, b) => parseFloat(a) - parseFloat(b))
+      .map(speed => row('speed', speed, `${speed}x`, stats.speeds[speed]))
+  ];
+  return rows.join('\r\n') + '\r\n';
+}
+
+/**
+ * Downloads the watch-time statistics as a CSV file
+ */
+function exportWatchStats() {
+  try {
+    const csv = buildWatchStatsCsv(loadWatchStats());
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'youtube-speed-extender-watch-time.csv';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    // Silently handle export errors
+  }
+}
+
+// ========================================
+// SITE SETTINGS
+// ========================================
+
+/**
+ * Gets the key a site's settings are stored under
+ * @param {string} hostname - The site's hostname
+ * @returns {string} The hostname without a leading "www." (youtube.com and www.youtube.com are one site)
+ */
+function getSiteKey(hostname = location.hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Loads the sites the extension has been turned off for
+ * @returns {string[]} Site keys, as returned by getSiteKey
+ */
+function loadDisabledSites() {
+  try {
+    const saved = JSON.parse(storageGet(DISABLED_SITES_STORAGE));
+    if (Array.isArray(saved)) {
+      return saved.filter(site => typeof site === 'string');
+    }
+  } catch (error) {
+    // Silently handle storage errors
+  }
+  return [];
+}
+
+/**
+ * Saves the sites the extension has been turned off for
+ * @param {string[]} sites - Site keys, as returned by getSiteKey
+ */
+function saveDisabledSites(sites) {
+  try {
+    storageSet(DISABLED_SITES_STORAGE, JSON.stringify([...new Set(sites.map(site => getSiteKey(site)))]));
+  } catch (error) {
+    // Silently handle storage errors
+  }
+}
+
+/**
+ * Turns the extension on or off for a site
+ * @param {string} site - The site's hostname or site key
+ * @param {boolean} enabled - Whether the extension should control playback on the site
+ */
+function saveSiteEnabled(site, enabled) {
+  const siteKey = getSiteKey(site);
+  const disabledSites = loadDisabledSites().filter(disabledSite => disabledSite !== siteKey);
+  if (!enabled) {
+    disabledSites.push(siteKey);
+  }
+  saveDisabledSites(disabledSites);
+}
+
+/**
+ * Lists the sites the content script runs on, taken from the manifest's match patterns
+ * @returns {string[]} Site keys, as returned by getSiteKey
+ */
+function getSupportedSites() {
+  const sites = new Set();
+  chrome.runtime.getManifest().content_scripts.forEach(script => {
+    script.matches.forEach(pattern => {
+      const match = pattern.match(/^[^:]+:\/\/([^/]+)\//);
+      if (match) {
+        sites.add(getSiteKey(match[1].replace(/^\*\./, '')));
+      }
+    });
+  });
+  return [...sites];
+}
+
+/**
+ * Checks whether the extension is turned on for a site
+ * @param {string} site - The site's hostname or site key (defaults to the current page)
+ * @returns {boolean} Whether the extension should control playback on the site
+ */
+function isSiteEnabled(site = location.hostname) {
+  return !loadDisabledSites().includes(getSiteKey(site));
+}
+
+// ========================================
+// SETTINGS IMPORT AND EXPORT
+// ========================================
+
+// Version of the exported settings document; bump when a field changes meaning
+// Version 2 replaced the single increaseKey/decreaseKey fields with the shortcuts table
+const SETTINGS_SCHEMA_VERSION = 2;
+
+/**
+ * Checks whether a value is a valid list of channel speed rules
+ * @param {*} rules - The value to validate
+ * @returns {boolean} Whether the rules would be accepted by saveChannelSpeeds
+ */
+function isValidChannelSpeeds(rules) {
+  return Array.isArray(rules) && rules.length <= MAX_CHANNEL_RULES && rules.every(rule =>
+    rule && parseChannelReference(rule.id) === rule.id && isValidSpeed(rule.speed)
+  );
+}
+
+/**
+ * Settings included in exported documents
+ * Each field reuses the matching load/save pair and validates values the way the loader does;
+ * an optional normalize brings an accepted value into the form the saver stores.
+ * Per-video and per-playlist history is deliberately left out: it's personal, not shared configuration.
+ */
+const SETTINGS_FIELDS = [
+  {
+    name: 'preferredSpeed',
+    label: 'Preferred speed',
+    load: loadPreferredSpeed,
+    save: savePreferredSpeed,
+    validate: isValidSpeed
+  },
+  {
+    name: 'navigationMode',
+    label: 'Navigation mode',
+    load: loadNavigationMode,
+    save: saveNavigationMode,
+    validate: (value) => Object.values(NAVIGATION_MODES).includes(value)
+  },
+  {
+    name: 'customNavigationSpeed',
+    label: 'Custom navigation speed',
+    load: loadCustomNavigationSpeed,
+    save: saveCustomNavigationSpeed,
+    validate: isValidSpeed
+  },
+  {
+    name: 'shortcuts',
+    label: 'Keyboard shortcuts',
+    load: loadShortcuts,
+    save: saveShortcuts,
+    validate: (value) => normalizeShortcuts(value) !== null,
+    normalize: normalizeShortcuts
+  },
+  {
+    name: 'increaseStep',
+    label: 'Increase step',
+    load: loadIncreaseSpeedStep,
+    save: saveIncreaseSpeedStep,
+    validate: isValidSpeedStep
+  },
+  {
+    name: 'decreaseStep',
+    label: 'Decrease step',
+    load: loadDecreaseSpeedStep,
+    save: saveDecreaseSpeedStep,
+    validate: isValidSpeedStep
+  },
+  {
+    name: 'boostSpeed',
+    label: 'Boost speed',
+    load: loadBoostSpeed,
+    save: saveBoostSpeed,
+    validate: isValidSpeed
+  },
+  {
+    name: 'speedLadder',
+    label: 'Speed ladder',
+    load: loadSpeedLadder,
+    save: saveSpeedLadder,
+    validate: (value) => Array.isArray(value) && parseSpeedLadder(value.join(',')) !== null
+  },
+  {
+    name: 'keyStepMode',
+    label: 'Key step mode',
+    load: loadKeyStepMode,
+    save: saveKeyStepMode,
+    validate: (value) => Object.values(KEY_STEP_MODES).includes(value)
+  },
+  {
+    name: 'presets',
+    label: 'Speed presets',
+    load: loadSpeedPresets,
+    save: saveSpeedPresets,
+    validate: (value) => Array.isArray(value) && value.length <= MAX_PRESETS &&
+      value.every(preset => normalizeSpeedPreset(preset) !== null),
+    normalize: (value) => value.map(normalizeSpeedPreset)
+  },
+  {
+    name: 'videoMemoryEnabled',
+    label: 'Per-video speed memory',
+    load: loadVideoMemoryEnabled,
+    save: saveVideoMemoryEnabled,
+    validate: (value) => typeof value === 'boolean'
+  },
+  {
+    name: 'playlistMemoryEnabled',
+    label: 'Playlist speed profiles',
+    load: loadPlaylistMemoryEnabled,
+    save: savePlaylistMemoryEnabled,
+    validate: (value) => typeof value === 'boolean'
+  },
+  {
+    name: 'silenceSkipEnabled',
+    label: 'Skip silence',
+    load: loadSilenceSkipEnabled,
+    save: saveSilenceSkipEnabled,
+    validate: (value) => typeof value === 'boolean'
+  },
+  {
+    name: 'silenceSpeed',
+    label: 'Silence speed',
+    load: loadSilenceSpeed,
+    save: saveSilenceSpeed,
+    validate: isValidSpeed
+  },
+  {
+    name: 'silenceThreshold',
+    label: 'Silence threshold (dB)',
+    load: loadSilenceThreshold,
+    save: saveSilenceThreshold,
+    validate: isValidSilenceThreshold
+  },
+  {
+    name: 'preservePitch',
+    label: 'Preserve pitch',
+    load: loadPreservePitch,
+    save: savePreservePitch,
+    validate: (value) => typeof value === 'boolean'
+  },
+  {
+    name: 'timeStretchEnabled',
+    label: 'Enhanced time-stretch',
+    load: loadTimeStretchEnabled,
+    save: saveTimeStretchEnabled,
+    validate: (value) => typeof value === 'boolean'
+  },
+  {
+    name: 'adSpeedMode',
+    label: 'Ad speed mode',
+    load: loadAdSpeedMode,
+    save: saveAdSpeedMode,
+    validate: (value) => Object.values(AD_SPEED_MODES).includes(value)
+  },
+  {
+    name: 'adSpeed',
+    label: 'Ad speed',
+    load: loadAdSpeed,
+    save: saveAdSpeed,
+    validate: isValidSpeed
+  },
+  {
+    name: 'speedRamp',
+    label: 'Speed ramp',
+    load: loadSpeedRamp,
+    save: saveSpeedRamp,
+    validate: (value) => normalizeSpeedRamp(value) !== null,
+    normalize: normalizeSpeedRamp
+  },
+  {
+    name: 'overlay',
+    label: 'Speed overlay',
+    load: loadOverlaySettings,
+    save: saveOverlaySettings,
+    validate: (value) => normalizeOverlaySettings(value) !== null,
+    normalize: normalizeOverlaySettings
+  },
+  {
+    name: 'timeDisplayEnabled',
+    label: 'Speed-adjusted time display',
+    load: loadTimeDisplayEnabled,
+    save: saveTimeDisplayEnabled,
+    validate: (value) => typeof value === 'boolean'
+  },
+  {
+    name: 'chapterRules',
+    label: 'Chapter speed rules',
+    load: loadChapterRules,
+    save: saveChapterRules,
+    validate: (value) => Array.isArray(value) && value.length <= MAX_CHAPTER_RULES &&
+      value.every(rule => normalizeChapterRule(rule) !== null),
+    normalize: (value) => value.map(normalizeChapterRule)
+  },
+  {
+    name: 'channelSpeeds',
+    label: 'Channel speeds',
+    load: loadChannelSpeeds,
+    save: saveChannelSpeeds,
+    validate: isValidChannelSpeeds
+  },
+  {
+    name: 'disabledSites',
+    label: 'Turned off on',
+    load: loadDisabledSites,
+    save: saveDisabledSites,
+    validate: (value) => Array.isArray(value) && value.every(site => typeof site === 'string' && site.length > 0)
+  }
+];
+
+/**
+ * Builds a versioned settings document from the currently stored settings
+ * @returns {{schemaVersion: number, exportedAt: string, settings: Object}} The settings document
+ */
+function buildSettingsDocument() {
+  const settings = {};
+  SETTINGS_FIELDS.forEach(field => {
+    settings[field.name] = field.load();
+  });
+  
+  return {
+    schemaVersion: SETTINGS_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings
+  };
+}
+
+/**
+ * Converts version 1 settings to the current schema
+ * Version 1 stored one increase key and one decrease key; they become those actions' only bindings.
+ * @param {Object} importedSettings - The settings object of a version 1 document
+ * @returns {Object} The settings in the current schema
+ */
+function upgradeSettingsV1(importedSettings) {
+  const { increaseKey, decreaseKey, ...settings } = importedSettings;
+  if (increaseKey === undefined && decreaseKey === undefined) {
+    return settings;
+  }
+  
+  const shortcuts = { ...loadShortcuts() };
+  if (increaseKey !== undefined) shortcuts[SHORTCUT_ACTIONS.INCREASE] = [increaseKey];
+  if (decreaseKey !== undefined) shortcuts[SHORTCUT_ACTIONS.DECREASE] = [decreaseKey];
+  return { ...settings, shortcuts };
+}
+
+/**
+ * Validates an imported settings document
+ * Fields missing from the document are left unchanged; any invalid field rejects the whole import.
+ * @param {*} settingsDocument - The parsed JSON document
+ * @returns {{settings: Object, errors: string[]}} The validated settings and any validation errors
+ */
+function validateSettingsDocument(settingsDocument) {
+  const errors = [];
+  const settings = {};
+  
+  if (!settingsDocument || typeof settingsDocument !== 'object' || Array.isArray(settingsDocument)) {
+    return { settings, errors: ['The file is not a settings document.'] };
+  }
+  
+  const { schemaVersion } = settingsDocument;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+    return { settings, errors: ['The file has no valid schemaVersion.'] };
+  }
+  if (schemaVersion > SETTINGS_SCHEMA_VERSION) {
+    return { settings, errors: [`The file uses schema version ${schemaVersion}; this version of the extension supports up to ${SETTINGS_SCHEMA_VERSION}.`] };
+  }
+  
+  let importedSettings = settingsDocument.settings;
+  if (!importedSettings || typeof importedSettings !== 'object' || Array.isArray(importedSettings)) {
+    return { settings, errors: ['The file has no settings object.'] };
+  }
+  if (schemaVersion === 1) {
+    importedSettings = upgradeSettingsV1(importedSettings);
+  }
+  
+  SETTINGS_FIELDS.forEach(field => {
+    if (!(field.name in importedSettings)) return;
+    
+    if (field.validate(importedSettings[field.name])) {
+      const value = importedSettings[field.name];
+      settings[field.name] = field.normalize ? field.normalize(value) : value;
+    } else {
+      errors.push(`${field.label} has an invalid value.`);
+    }
+  });
+  
+  // Key bindings must stay distinct once merged with the settings the file leaves unchanged
+  if (errors.length === 0) {
+    const shortcuts = 'shortcuts' in settings ? settings.shortcuts : loadShortcuts();
+    const presets = 'presets' in settings ? settings.presets : loadSpeedPresets();
+    errors.push(...findShortcutConflicts(shortcuts, presets));
+  }
+  
+  return { settings, errors };
+}
+
+/**
+ * Formats a setting value for the import preview
+ * @param {*} value - The setting value
+ * @returns {string} A short human-readable representation
+ */
+function formatSettingValue(value) {
+  if (typeof value === 'boolean') {
+    return value ? 'On' : 'Off';
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '(none)';
+    return value.map(item => {
+      if (typeof item === 'number') return `${item}x`;
+      if (item && 'name' in item && 'key' in item) return `${item.name} ${item.speed}x${item.key ? ` [${item.key}]` : ''}`;
+      if (item && 'id' in item) return `${item.id} ${item.speed}x`;
+      return JSON.stringify(item);
+    }).join(', ');
+  }
+  if (typeof value === 'number') {
+    return `${value}`;
+  }
+  if (value && typeof value === 'object' && !Object.values(value).every(Array.isArray)) {
+    // Option objects such as the speed ramp and the overlay settings
+    return Object.entries(value).map(([option, optionValue]) => `${option}: ${formatSettingValue(optionValue)}`).join('; ');
+  }
+  if (value && typeof value === 'object') {
+    // Shortcut table
+    return Object.keys(value).map(action => {
+      const bindings = value[action].length > 0 ? value[action].join(' / ') : '(none)';
+      return `${SHORTCUT_ACTION_LABELS[action] || action}: ${bindings}`;
+    }).join('; ');
+  }
+  return `"${value}"`;
+}
+
+/**
+ * Lists the settings an import would change
+ * @param {Object} settings - Validated settings from validateSettingsDocument
+ * @returns {Array<{label: string, from: string, to: string}>} One entry per changed setting
+ */
+function diffSettings(settings) {
+  return SETTINGS_FIELDS
+    .filter(field => field.name in settings)
+    .map(field => ({
+      field,
+      from: formatSettingValue(field.load()),
+      to: formatSettingValue(settings[field.name])
+    }))
+    .filter(change => change.from !== change.to)
+    .map(change => ({ label: change.field.label, from: change.from, to: change.to }));
+}
+
+/**
+ * Saves validated imported settings through each field's saver
+ * @param {Object} settings - Validated settings from validateSettingsDocument
+ */
+function applyImportedSettings(settings) {
+  SETTINGS_FIELDS.forEach(field => {
+    if (field.name in settings) {
+      field.save(settings[field.name]);
+    }
+  });
+}
+
+/**
+ * Restores every setting to its default
+ * Remembered per-video and per-playlist speeds are history rather than settings, so they're kept.
+ */
+function resetSettings() {
+  ALL_STORAGE_KEYS
+    .filter(key => !LOCAL_ONLY_STORAGE_KEYS.includes(key))
+    .forEach(key => storageRemove(key));
+}
+
+/**
+ * Downloads the current settings as a JSON file
+ */
+function exportSettings() {
+  try {
+    const json = JSON.stringify(buildSettingsDocument(), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'youtube-speed-extender-settings.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    // Silently handle export errors
+  }
+}
+
+// ========================================
+// SHORTCUT EDITOR
+// ========================================
+
+/**
+ * Finds what already uses a binding in a settings form
+ * Checks the shortcut editor's bindings and the preset key inputs, so unsaved edits count too.
+ * @param {ParentNode} root - The form containing the shortcut editor and preset inputs
+ * @param {string} binding - The canonical binding to look up
+ * @param {Element} [except] - A preset input to leave out (the one being edited)
+ * @returns {string|null} A description of the owner, or null if the binding is free
+ */
+function findBindingOwner(root, binding, except = null) {
+  const chip = Array.from(root.querySelectorAll('.shortcut-chip')).find(c => c.dataset.binding === binding);
+  if (chip) {
+    return SHORTCUT_ACTION_LABELS[chip.closest('.shortcut-row').dataset.action];
+  }
+  
+  const presetInput = Array.from(root.querySelectorAll('.preset-key-input'))
+    .find(input => input !== except && input.value === binding);
+  return presetInput ? 'a speed preset' : null;
+}
+
+/**
+ * Creates a removable chip showing one binding
+ * @param {string} binding - The canonical binding
+ * @returns {HTMLElement} The chip
+ */
+function createShortcutChip(binding) {
+  const chip = document.createElement('span');
+  chip.className = 'shortcut-chip';
+  chip.dataset.binding = binding;
+  chip.style.cssText = `
+    display: inline-flex;
+    align-items: center;
+    gap: 4px;
+    padding: 2px 4px 2px 8px;
+    background: #333;
+    border: 1px solid #555;
+    border-radius: 4px;
+    color: #fff;
+    font-family: monospace;
+    font-size: 13px;
+  `;
+  
+  const label = document.createElement('span');
+  label.textContent = binding;
+  
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'shortcut-remove';
+  removeButton.textContent = '×';
+  removeButton.title = `Remove ${binding}`;
+  removeButton.style.cssText = 'padding: 0 4px; background: none; border: none; color: #aaa; font-size: 14px; cursor: pointer;';
+  
+  chip.append(label, removeButton);
+  return chip;
+}
+
+/**
+ * Creates the rebinding UI used by the quick settings modal and the options page
+ * Each action lists its bindings as chips; "Add" captures the next key combination.
+ * @param {Object} shortcuts - The shortcut table to edit, from loadShortcuts
+ * @returns {HTMLElement} The editor; read it back with readShortcutEditor
+ */
+function createShortcutEditor(shortcuts) {
+  const editor = document.createElement('div');
+  editor.className = 'shortcut-editor';
+  editor.style.cssText = 'display: flex; flex-direction: column; gap: 8px;';
+  
+  Object.values(SHORTCUT_ACTIONS).forEach(action => {
+    const row = document.createElement('div');
+    row.className = 'shortcut-row';
+    row.dataset.action = action;
+    row.style.cssText = 'display: flex; align-items: center; gap: 8px; flex-wrap: wrap;';
+    
+    const label = document.createElement('span');
+    label.textContent = SHORTCUT_ACTION_LABELS[action];
+    label.style.cssText = 'min-width: 140px; color: #ccc; font-size: 13px;';
+    
+    const bindings = document.createElement('span');
+    bindings.className = 'shortcut-bindings';
+    bindings.style.cssText = 'display: inline-flex; gap: 6px; flex-wrap: wrap;';
+    (shortcuts[action] || []).forEach(binding => bindings.appendChild(createShortcutChip(binding)));
+    
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'shortcut-add';
+    addButton.textContent = '+ Add';
+    addButton.style.cssText = `
+      padding: 2px 8px;
+      background: #2a2a2a;
+      border: 1px dashed #555;
+      border-radius: 4px;
+      color: #aaa;
+      font-size: 12px;
+      cursor: pointer;
+    `;
+    
+    row.append(label, bindings, addButton);
+    editor.appendChild(row);
+  });
+  
+  const status = document.createElement('div');
+  status.className = 'shortcut-status';
+  status.style.cssText = 'min-height: 16px; color: #aaa; font-size: 12px; line-height: 1.4;';
+  editor.appendChild(status);
+  
+  setupShortcutEditor(editor);
+  return editor;
+}
+
+/**
+ * Wires up chip removal and key capture for a shortcut editor
+ * @param {HTMLElement} editor - The editor from createShortcutEditor
+ */
+function setupShortcutEditor(editor) {
+  const status = editor.querySelector('.shortcut-status');
+  const showStatus = (message, isError = false) => {
+    status.textContent = message;
+    status.style.color = isError ? '#ff4444' : '#aaa';
+  };
+  
+  const stopCapture = (addButton) => {
+    delete addButton.dataset.capturing;
+    addButton.textContent = '+ Add';
+    addButton.style.borderColor = '#555';
+  };
+  
+  editor.addEventListener('click', (e) => {
+    const removeButton = e.target.closest('.shortcut-remove');
+    if (removeButton) {
+      removeButton.closest('.shortcut-chip').remove();
+      showStatus('');
+      return;
+    }
+    
+    const addButton = e.target.closest('.shortcut-add');
+    if (addButton && !addButton.dataset.capturing) {
+      addButton.dataset.capturing = 'true';
+      addButton.textContent = 'Press keys… (Esc to cancel)';
+      addButton.style.borderColor = '#ff0000';
+      addButton.focus();
+      showStatus('');
+    }
+  });
+  
+  editor.addEventListener('focusout', (e) => {
+    if (e.target.classList.contains('shortcut-add') && e.target.dataset.capturing) {
+      stopCapture(e.target);
+    }
+  });
+  
+  editor.addEventListener('keydown', (e) => {
+    const addButton = e.target.closest('.shortcut-add');
+    if (!addButton || !addButton.dataset.capturing) return;
+    
+    // Let Tab move focus (ending the capture) instead of binding it
+    if (e.key === 'Tab') return;
+    
+    // Keep the capture away from the extension's and YouTube's own shortcut handlers
+    e.preventDefault();
+    e.stopPropagation();
+    
+    if (e.key === 'Escape') {
+      stopCapture(addButton);
+      return;
+    }
+    
+    const binding = formatKeyboardEvent(e);
+    if (!binding) {
+      // Modifier on its own; wait for the rest of the combination
+      if (MODIFIER_KEY_NAMES.includes(e.key)) return;
+      showStatus(`${e.key} can't be used as a shortcut.`, true);
+      stopCapture(addButton);
+      return;
+    }
+    
+    const row = addButton.closest('.shortcut-row');
+    const root = editor.getRootNode();
+    const owner = findBindingOwner(root, binding);
+    stopCapture(addButton);
+    
+    if (owner) {
+      showStatus(`${binding} is already used by ${owner}.`, true);
+      return;
+    }
+    if (row.querySelectorAll('.shortcut-chip').length >= MAX_BINDINGS_PER_ACTION) {
+      showStatus(`${SHORTCUT_ACTION_LABELS[row.dataset.action]} can have at most ${MAX_BINDINGS_PER_ACTION} shortcuts.`, true);
+      return;
+    }
+    
+    row.querySelector('.shortcut-bindings').appendChild(createShortcutChip(binding));
+    const youTubeAction = getYouTubeShortcut(binding);
+    showStatus(youTubeAction ? `⚠ ${binding} is also YouTube's "${youTubeAction}" shortcut.` : '');
+  });
+}
+
+/**
+ * Reads the shortcut table back from an editor
+ * @param {HTMLElement} editor - The editor from createShortcutEditor
+ * @returns {Object} Object mapping every action to its list of bindings
+ */
+function readShortcutEditor(editor) {
+  const shortcuts = {};
+  editor.querySelectorAll('.shortcut-row').forEach(row => {
+    shortcuts[row.dataset.action] = Array.from(row.querySelectorAll('.shortcut-chip')).map(chip => chip.dataset.binding);
+  });
+  return shortcuts;
+}
+
+// ========================================
+// SETTINGS LIST ROWS
+// ========================================
+
+/**
+ * Restricts a number input to the supported speed range
+ * @param {HTMLInputElement} input - The input to configure
+ */
+function configureSpeedInput(input) {
+  input.type = 'number';
+  input.min = MIN_SPEED;
+  input.max = MAX_SPEED;
+  input.step = SPEED_GRANULARITY;
+}
+
+/**
+ * Creates an input for a list row
+ * @param {string} className - Class used to find the input when saving
+ * @param {string|number} value - The initial value
+ * @param {string} placeholder - Placeholder text
+ * @returns {HTMLInputElement} The input element
+ */
+function createRowInput(className, value, placeholder = '') {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = className;
+  input.value = value;
+  input.placeholder = placeholder;
+  return input;
+}
+
+/**
+ * Creates the remove button shown at the end of a list row
+ * @param {string} title - Tooltip describing what gets removed
+ * @returns {HTMLButtonElement} The button element
+ */
+function createRemoveButton(title) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'remove';
+  button.title = title;
+  button.textContent = '×';
+  return button;
+}
+
+/**
+ * Creates an editable row for a speed preset
+ * The options page styles rows through its stylesheet; the modal styles them inline.
+ * @param {{name: string, speed: number, key: string}} preset - The preset to edit
+ * @returns {HTMLElement} The preset row element
+ */
+function createPresetRow(preset) {
+  const row = document.createElement('div');
+  row.className = 'row preset-row';
+
+  const nameInput = createRowInput('preset-name-input wide', preset.name, 'Name');
+  nameInput.maxLength = MAX_PRESET_NAME_LENGTH;
+  const speedInput = createRowInput('preset-speed-input', preset.speed);
+  configureSpeedInput(speedInput);
+  const keyInput = createRowInput('preset-key-input key-input', preset.key, 'key');
+  keyInput.readOnly = true;
+
+  row.append(nameInput, speedInput, keyInput, createRemoveButton('Remove preset'));
+  return row;
+}
+
+/**
+ * Creates an editable row for a channel speed rule
+ * @param {{id: string, name: string, speed: number}} rule - The channel rule to edit
+ * @returns {HTMLElement} The channel rule row element
+ */
+function createChannelSpeedRow(rule) {
+  const row = document.createElement('div');
+  row.className = 'row channel-speed-row';
+  row.dataset.channelId = rule.id;
+  row.dataset.channelName = rule.name;
+
+  const idInput = createRowInput('channel-id-input wide', rule.id, '@channel');
+  idInput.title = rule.name;
+  const speedInput = createRowInput('channel-speed-input', rule.speed);
+  configureSpeedInput(speedInput);
+
+  row.append(idInput, speedInput, createRemoveButton('Remove channel'));
+  return row;
+}
+
+/**
+ * Creates an editable row for a chapter speed rule
+ * @param {{pattern: string, speed: number}} rule - The chapter rule to edit
+ * @returns {HTMLElement} The chapter rule row element
+ */
+function createChapterRuleRow(rule) {
+  const row = document.createElement('div');
+  row.className = 'row chapter-rule-row';
+
+  const patternInput = createRowInput('chapter-pattern-input wide', rule.pattern, 'Chapter title contains');
+  patternInput.maxLength = MAX_CHAPTER_PATTERN_LENGTH;
+  const speedInput = createRowInput('chapter-speed-input', rule.speed);
+  configureSpeedInput(speedInput);
+
+  row.append(patternInput, speedInput, createRemoveButton('Remove rule'));
+  return row;
+}
+
+/**
+ * Reads preset rows back into presets
+ * A preset key may not shadow a shortcut or another preset in the same form.
+ * @param {HTMLElement} list - The element holding the rows
+ * @param {Function} markInvalid - Called with each input whose value is invalid
+ * @returns {Array<Object|null>} The presets, null for invalid rows
+ */
+function readPresetRows(list, markInvalid) {
+  return Array.from(list.querySelectorAll('.preset-row')).map(row => {
+    const nameInput = row.querySelector('.preset-name-input');
+    const speedInput = row.querySelector('.preset-speed-input');
+    const keyInput = row.querySelector('.preset-key-input');
+    const preset = normalizeSpeedPreset({
+      name: nameInput.value,
+      speed: parseFloat(speedInput.value),
+      key: keyInput.value
+    });
+    if (!preset) {
+      markInvalid(nameInput.value.trim() ? speedInput : nameInput);
+    } else if (preset.key && findBindingOwner(list.getRootNode(), preset.key, keyInput)) {
+      markInvalid(keyInput);
+    }
+    return preset;
+  });
+}
+
+/**
+ * Reads channel rule rows back into channel rules
+ * @param {HTMLElement} list - The element holding the rows
+ * @param {Function} markInvalid - Called with each input whose value is invalid
+ * @returns {Array<{id: string|null, name: string, speed: number}>} The channel rules
+ */
+function readChannelSpeedRows(list, markInvalid) {
+  const seenChannelIds = new Set();
+  return Array.from(list.querySelectorAll('.channel-speed-row')).map(row => {
+    const idInput = row.querySelector('.channel-id-input');
+    const speedInput = row.querySelector('.channel-speed-input');
+    const id = parseChannelReference(idInput.value);
+    const speed = parseFloat(speedInput.value);
+    if (!id || seenChannelIds.has(id)) {
+      markInvalid(idInput);
+    } else if (!isValidSpeed(speed)) {
+      markInvalid(speedInput);
+    }
+    seenChannelIds.add(id);
+    
+    // Keep the display name only while the row still points at the same channel
+    const name = id === row.dataset.channelId ? row.dataset.channelName : id;
+    return { id, name, speed };
+  });
+}
+
+/**
+ * Reads chapter rule rows back into chapter rules
+ * @param {HTMLElement} list - The element holding the rows
+ * @param {Function} markInvalid - Called with each input whose value is invalid
+ * @returns {Array<Object|null>} The chapter rules, null for invalid rows
+ */
+function readChapterRuleRows(list, markInvalid) {
+  return Array.from(list.querySelectorAll('.chapter-rule-row')).map(row => {
+    const patternInput = row.querySelector('.chapter-pattern-input');
+    const speedInput = row.querySelector('.chapter-speed-input');
+    const rule = normalizeChapterRule({ pattern: patternInput.value, speed: parseFloat(speedInput.value) });
+    if (!rule) {
+      markInvalid(patternInput.value.trim() ? speedInput : patternInput);
+    }
+    return rule;
+  });
+}
+
+// ========================================
+// TOOLBAR POPUP MESSAGING
+// ========================================
+
+// Messages the toolbar popup sends to the content script of the active tab
+const MESSAGE_TYPES = {
+  GET_STATE: 'get-state',                     // Read the state the popup displays
+  SET_SPEED: 'set-speed',                     // { speed } - apply and save a speed
+  SET_NAVIGATION_MODE: 'set-navigation-mode', // { mode } - change the navigation mode
+  SET_SITE_ENABLED: 'set-site-enabled',       // { site, enabled } - turn the extension on or off for a site
+  TOGGLE_RAMP: 'toggle-ramp'                  // Start the speed ramp, or stop the one in progress
+};
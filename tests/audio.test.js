@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, wait } = require('./harness');
+
+/**
+ * Installs a Web Audio stand-in whose contexts start suspended until resumed after a gesture
+ * @param {Window} window - The page's window
+ * @returns {{contexts: Object[], allowResume: Function}} The created contexts and a way to simulate user activation
+ */
+function fakeAudioContext(window) {
+  const contexts = [];
+  let hasUserActivation = false;
+  const createNode = () => ({ connect() {}, disconnect() {} });
+
+  window.AudioContext = class {
+    constructor() {
+      this.state = 'suspended';
+      contexts.push(this);
+    }
+    createMediaElementSource() { return createNode(); }
+    createAnalyser() { return { ...createNode(), fftSize: 0 }; }
+    resume() {
+      if (hasUserActivation) this.state = 'running';
+      return Promise.resolve();
+    }
+  };
+  return { contexts, allowResume: () => { hasUserActivation = true; } };
+}
+
+test('audio graphs share one pair of gesture listeners that resume every suspended context', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  const { contexts, allowResume } = fakeAudioContext(page.window);
+
+  const gestureListeners = [];
+  const addEventListener = page.document.addEventListener.bind(page.document);
+  page.document.addEventListener = (type, listener, options) => {
+    if (type === 'click' || type === 'keydown') gestureListeners.push(type);
+    addEventListener(type, listener, options);
+  };
+
+  // A new element per video, as on the Shorts feed
+  for (let i = 0; i < 3; i++) {
+    assert.ok(page.window.getAudioGraph(page.document.createElement('video')));
+  }
+  assert.deepEqual(gestureListeners.sort(), ['click', 'keydown']);
+
+  allowResume();
+  page.document.body.click();
+  await wait(0);
+
+  assert.deepEqual(contexts.map(context => context.state), ['running', 'running', 'running']);
+});
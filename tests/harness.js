@@ -0,0 +1,361 @@
+/**
+ * YouTube Speed Extender - Test Harness
+ *
+ * Loads the content scripts, in manifest order, into a jsdom page that fakes YouTube's watch
+ * player: #movie_player with a <video>, the time display, the settings button and
+ * .ytp-settings-menu, and the .ytp-speed-menu panel YouTube renders when "Playback speed" is
+ * opened. jsdom doesn't play media, so the video's playbackRate, currentTime, readyState and
+ * currentSrc are plain properties, and setting playbackRate fires ratechange like a browser does.
+ * Like YouTube, navigations reuse the <video> element and load the next video into it.
+ *
+ * chrome.storage and chrome.runtime are replaced by in-memory fakes, so tests run offline.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const WATCH_URL = 'https://www.youtube.com/watch?v=aaaaaaaaaaa';
+
+// YouTube's own entries in the speed menu before the extension replaces them
+const NATIVE_SPEEDS = ['0.25', '0.5', '0.75', 'Normal', '1.25', '1.5', '1.75', '2'];
+
+const PLAYER_HTML = `
+  <ytd-watch-flexy video-id="aaaaaaaaaaa">
+    <div id="movie_player" class="html5-video-player">
+      <video class="html5-main-video" src="video.mp4"></video>
+      <div class="ytp-chrome-bottom">
+        <div class="ytp-time-display">
+          <span class="ytp-time-wrapper">
+            <span class="ytp-time-current">0:00</span><span class="ytp-time-separator"> / </span><span class="ytp-time-duration">10:00</span>
+          </span>
+          <div class="ytp-chapter-container"></div>
+        </div>
+        <button class="ytp-settings-button"></button>
+      </div>
+      <div class="ytp-popup ytp-settings-menu" style="display: none;">
+        <div class="ytp-panel">
+          <div class="ytp-panel-menu" role="menu">
+            <div class="ytp-menuitem" aria-haspopup="true" role="menuitem">
+              <div class="ytp-menuitem-label">Playback speed</div>
+              <div class="ytp-menuitem-content">Normal</div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+    <ytd-watch-metadata>
+      <ytd-video-owner-renderer>
+        <a href="/@example">Example</a>
+        <ytd-channel-name><div id="text">Example Channel</div></ytd-channel-name>
+      </ytd-video-owner-renderer>
+    </ytd-watch-metadata>
+  </ytd-watch-flexy>
+`;
+
+/**
+ * Reads the content script files in the order the manifest loads them
+ * @returns {string[]} Paths relative to the repository root
+ */
+function getContentScriptFiles() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  return manifest.content_scripts[0].js;
+}
+
+/**
+ * Creates an in-memory chrome.storage area that reports changes like the real one
+ * @param {string} areaName - 'sync' or 'local'
+ * @param {Function[]} changeListeners - chrome.storage.onChanged listeners
+ * @returns {Object} The storage area
+ */
+function createStorageArea(areaName, changeListeners) {
+  const data = {};
+  const notify = (changes) => {
+    if (Object.keys(changes).length > 0) {
+      changeListeners.forEach(listener => listener(changes, areaName));
+    }
+  };
+
+  return {
+    data,
+    async get(keys) {
+      const result = {};
+      (keys || Object.keys(data)).forEach(key => {
+        if (key in data) result[key] = data[key];
+      });
+      return result;
+    },
+    async set(items) {
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: data[key], newValue: value };
+        data[key] = value;
+      });
+      notify(changes);
+    },
+    async remove(keys) {
+      const changes = {};
+      [].concat(keys).forEach(key => {
+        if (key in data) {
+          changes[key] = { oldValue: data[key] };
+          delete data[key];
+        }
+      });
+      notify(changes);
+    }
+  };
+}
+
+/**
+ * Creates the parts of the chrome extension API the content scripts use
+ * @returns {Object} The fake chrome object
+ */
+function createChromeStub() {
+  const changeListeners = [];
+  const messageListeners = [];
+
+  return {
+    runtime: {
+      id: 'test-extension',
+      getURL: (file) => `chrome-extension://test-extension/${file}`,
+      getManifest: () => JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8')),
+      onMessage: { addListener: (listener) => messageListeners.push(listener) }
+    },
+    storage: {
+      sync: createStorageArea('sync', changeListeners),
+      local: createStorageArea('local', changeListeners),
+      onChanged: { addListener: (listener) => changeListeners.push(listener) }
+    },
+    messageListeners
+  };
+}
+
+/**
+ * Gives a jsdom video the media behavior the content scripts rely on
+ * @param {Window} window - The page's window
+ * @param {HTMLVideoElement} video - The video to fake
+ */
+function fakeMediaElement(window, video) {
+  let playbackRate = 1;
+  let currentTime = 0;
+  let readyState = 4;
+  let currentSrc = 'blob:https://www.youtube.com/video-1';
+
+  Object.defineProperty(video, 'playbackRate', {
+    get: () => playbackRate,
+    set: (rate) => {
+      if (rate === playbackRate) return;
+      playbackRate = rate;
+      video.dispatchEvent(new window.Event('ratechange'));
+    }
+  });
+  Object.defineProperty(video, 'currentTime', {
+    get: () => currentTime,
+    set: (time) => { currentTime = time; }
+  });
+  Object.defineProperty(video, 'duration', { get: () => 600 });
+  Object.defineProperty(video, 'readyState', {
+    get: () => readyState,
+    set: (state) => { readyState = state; }
+  });
+  Object.defineProperty(video, 'currentSrc', {
+    get: () => currentSrc,
+    set: (src) => { currentSrc = src; }
+  });
+  Object.defineProperty(video, 'paused', { get: () => false });
+}
+
+/**
+ * Waits for the extension's timers (guards, menu debounces) to run
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Creates a simulated YouTube page with the content scripts loaded but not started
+ * Settings can be saved through the page's save* functions before calling start().
+ * @param {Object} options
+ * @param {string} options.url - The page URL
+ * @param {string} options.html - Body HTML; defaults to a watch page player
+ * @param {Object} options.chrome - Another page's chrome object, to simulate a second tab sharing its storage
+ * @returns {Object} The page and helpers to drive it
+ */
+function createPage({ url = WATCH_URL, html = PLAYER_HTML, chrome = createChromeStub() } = {}) {
+  const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`, {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+  const { document } = window;
+  window.chrome = chrome;
+
+  const video = document.querySelector('video');
+  let loadedVideos = 1;
+  if (video) {
+    fakeMediaElement(window, video);
+  }
+
+  // Classic scripts in one context share top-level declarations, like files in one content_scripts entry.
+  // content.js itself is left out: it starts the extension, which start() does without its delay.
+  const context = dom.getInternalVMContext();
+  getContentScriptFiles().filter(file => file !== 'content.js').forEach(file => {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    new vm.Script(code, { filename: file }).runInContext(context);
+  });
+
+  return {
+    window,
+    document,
+    chrome,
+    video,
+
+    /**
+     * Registers the listeners and initializes the extension, as content.js does
+     * @returns {Promise<void>} Resolves once the initial speed had time to apply
+     */
+    async start() {
+      window.setupEventListeners();
+      await window.initializeStorage(false);
+      window.waitForVideoAndFullyInitialize();
+      await wait(300);
+    },
+
+    /**
+     * Runs an expression in the page, e.g. to call content script functions
+     * @param {string} code - The expression
+     * @returns {*} Its value
+     */
+    evaluate(code) {
+      return vm.runInContext(code, context);
+    },
+
+    /**
+     * Dispatches a keydown on the page body
+     * @param {string} key - KeyboardEvent.key
+     * @param {Object} modifiers - ctrlKey, altKey, shiftKey or metaKey
+     * @param {Element} target - Element to dispatch on
+     */
+    pressKey(key, modifiers = {}, target = document.body) {
+      const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers });
+      target.dispatchEvent(event);
+      return event;
+    },
+
+    /**
+     * Seeks the video the way a browser reports it
+     * @param {number} time - The new position in seconds
+     * @param {number|null} resetRate - Rate YouTube sets while seeking, if any
+     */
+    seek(time, resetRate = null) {
+      video.dispatchEvent(new window.Event('seeking'));
+      video.currentTime = time;
+      if (resetRate !== null) {
+        video.playbackRate = resetRate;
+      }
+      video.dispatchEvent(new window.Event('seeked'));
+    },
+
+    /**
+     * Opens YouTube's settings menu and its speed panel
+     * The older panel lists the speeds directly; the newer one has YouTube's own slider (up to 4x)
+     * above a .ytp-panel-menu with the speeds.
+     * @param {Object} options
+     * @param {boolean} options.withSlider - Whether to render the newer layout
+     * @returns {HTMLElement} The .ytp-speed-menu panel
+     */
+    openSpeedMenu({ withSlider = false } = {}) {
+      const settingsMenu = document.querySelector('.ytp-settings-menu');
+      settingsMenu.style.display = '';
+
+      const speedMenu = document.createElement('div');
+      speedMenu.className = 'ytp-panel ytp-speed-menu';
+      let itemContainer = speedMenu;
+      if (withSlider) {
+        speedMenu.innerHTML = `
+          <div class="ytp-variable-speed-panel">
+            <input type="range" class="ytp-input-slider" min="0.25" max="4" step="0.05">
+          </div>
+          <div class="ytp-panel-menu" role="menu"></div>
+        `;
+        itemContainer = speedMenu.querySelector('.ytp-panel-menu');
+      }
+      NATIVE_SPEEDS.forEach(text => {
+        const item = document.createElement('div');
+        item.className = 'ytp-menuitem';
+        item.setAttribute('role', 'menuitemradio');
+        item.innerHTML = `<div class="ytp-menuitem-label">${text}</div>`;
+        itemContainer.appendChild(item);
+      });
+      settingsMenu.querySelector('.ytp-panel').replaceWith(speedMenu);
+      return speedMenu;
+    },
+
+    /**
+     * Loads another source into the reused video until its metadata is available
+     */
+    loadVideo() {
+      loadedVideos++;
+      video.currentSrc = `blob:https://www.youtube.com/video-${loadedVideos}`;
+      video.readyState = 1;
+      video.dispatchEvent(new window.Event('loadedmetadata'));
+    },
+
+    /**
+     * Simulates YouTube's single-page navigation to another video
+     * YouTube resets the new video to 1x while it loads, as it does in the browser. Until the new
+     * video loads, the reused element still reports the previous video's readyState.
+     * @param {string} nextUrl - The URL navigated to
+     * @param {Object} options
+     * @param {boolean} options.metadataFirst - Whether loadedmetadata fires before yt-navigate-start
+     * @param {boolean} options.loadsMetadata - Whether the new video loads during the navigation; otherwise call loadVideo()
+     * @param {boolean} options.autoplay - Whether the new video starts playing
+     */
+    async navigate(nextUrl, { metadataFirst = false, loadsMetadata = true, autoplay = true } = {}) {
+      const fire = (type) => window.dispatchEvent(new window.CustomEvent(type));
+      if (metadataFirst) {
+        this.loadVideo();
+      }
+      fire('yt-navigate-start');
+      window.history.pushState({}, '', nextUrl);
+      const nextVideoId = new URL(nextUrl).searchParams.get('v');
+      const flexy = document.querySelector('ytd-watch-flexy');
+      if (flexy && nextVideoId) {
+        flexy.setAttribute('video-id', nextVideoId);
+      }
+      video.playbackRate = 1;
+      fire('yt-navigate-finish');
+      fire('yt-page-data-updated');
+      if (!metadataFirst && loadsMetadata) {
+        this.loadVideo();
+      }
+      await wait(300);
+      if (autoplay) {
+        video.dispatchEvent(new window.Event('playing'));
+      }
+    },
+
+    /**
+     * Reads the text of the speed overlay
+     * @returns {string|null} The overlay text, or null if it isn't shown
+     */
+    getOverlayText() {
+      const overlay = document.getElementById('yt-speed-ext');
+      return overlay ? overlay.textContent : null;
+    },
+
+    /**
+     * Stops the page's timers and releases the window
+     */
+    close() {
+      window.close();
+    }
+  };
+}
+
+module.exports = { createPage, wait, WATCH_URL };
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, wait } = require('./harness');
+
+test('the default keys step the speed and save it', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  await page.start();
+
+  page.pressKey('.');
+  page.pressKey('.');
+  assert.equal(page.video.playbackRate, 2);
+  assert.equal(page.getOverlayText(), '2x');
+
+  page.pressKey(',');
+  assert.equal(page.video.playbackRate, 1.5);
+  assert.equal(page.window.loadPreferredSpeed(), 1.5);
+});
+
+test('a handled key is kept from YouTube', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  await page.start();
+
+  assert.equal(page.pressKey('.').defaultPrevented, true);
+  assert.equal(page.pressKey('k').defaultPrevented, false);
+});
+
+test('the speed shown in the settings menu follows the keys', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  await page.start();
+
+  page.pressKey('.');
+  await wait(50);
+
+  const content = page.document.querySelector('.ytp-settings-menu .ytp-menuitem-content');
+  assert.equal(content.textContent, '1.5');
+});
+
+test('keys typed into text fields are ignored', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  await page.start();
+
+  const input = page.document.createElement('input');
+  page.document.body.appendChild(input);
+  page.pressKey('.', {}, input);
+
+  assert.equal(page.video.playbackRate, 1);
+});
+
+test('the settings shortcut opens and closes the quick settings', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  await page.start();
+
+  page.pressKey('S', { ctrlKey: true, shiftKey: true });
+  assert.ok(page.document.getElementById('youtube-speed-settings-modal'));
+
+  page.pressKey('S', { ctrlKey: true, shiftKey: true });
+  assert.equal(page.document.getElementById('youtube-speed-settings-modal'), null);
+});
+
+test('keys are left to the site while it is turned off', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveDisabledSites(['youtube.com']);
+  await page.start();
+
+  const event = page.pressKey('.');
+
+  assert.equal(page.video.playbackRate, 1);
+  assert.equal(event.defaultPrevented, false);
+});
+
+test('custom shortcuts replace the defaults', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveShortcuts({ increase: ['Shift+ArrowUp'], decrease: [] });
+  page.window.saveIncreaseSpeedStep(0.25);
+  await page.start();
+
+  page.pressKey('.');
+  assert.equal(page.video.playbackRate, 1);
+
+  page.pressKey('ArrowUp', { shiftKey: true });
+  assert.equal(page.video.playbackRate, 1.25);
+});
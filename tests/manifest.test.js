@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+test('watch pages and embeds load the same content scripts', () => {
+  // The harness only loads the first entry, so a module missing from the embed entry would go unnoticed
+  const [watchPageEntry, ...otherEntries] = manifest.content_scripts;
+  otherEntries.forEach(entry => {
+    assert.deepEqual(entry.js, watchPageEntry.js, `content scripts for ${entry.matches[0]}`);
+  });
+});
+
+test('every content script exists, starting with settings.js and ending with content.js', () => {
+  const files = manifest.content_scripts[0].js;
+
+  files.forEach(file => assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} exists`));
+  assert.equal(files[0], 'settings.js');
+  assert.equal(files[files.length - 1], 'content.js');
+});
@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, wait } = require('./harness');
+
+const NEXT_URL = 'https://www.youtube.com/watch?v=bbbbbbbbbbb';
+
+test('applies the preferred speed when the page loads', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.savePreferredSpeed(1.75);
+
+  await page.start();
+
+  assert.equal(page.video.playbackRate, 1.75);
+});
+
+test('continue mode keeps the current speed on the next video', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveNavigationMode('continue');
+  page.window.savePreferredSpeed(2.5);
+  await page.start();
+
+  await page.navigate(NEXT_URL);
+
+  assert.equal(page.video.playbackRate, 2.5);
+});
+
+test('default mode resets the next video to 1x without changing the preferred speed', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveNavigationMode('default');
+  page.window.savePreferredSpeed(2.5);
+  await page.start();
+
+  await page.navigate(NEXT_URL);
+
+  assert.equal(page.video.playbackRate, 1);
+  assert.equal(page.window.loadPreferredSpeed(), 2.5);
+});
+
+test('custom mode applies the custom navigation speed', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveNavigationMode('custom');
+  page.window.saveCustomNavigationSpeed(3);
+  await page.start();
+
+  await page.navigate(NEXT_URL);
+
+  assert.equal(page.video.playbackRate, 3);
+});
+
+test('channel mode applies the rule for the video\'s channel', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveNavigationMode('channel');
+  page.window.saveChannelSpeed('@example', 'Example Channel', 1.25);
+  page.window.savePreferredSpeed(2);
+  await page.start();
+
+  assert.equal(page.video.playbackRate, 1.25);
+
+  await page.navigate(NEXT_URL);
+
+  assert.equal(page.video.playbackRate, 1.25);
+});
+
+test('a remembered video speed wins over the navigation mode', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveNavigationMode('default');
+  page.window.saveVideoSpeed('bbbbbbbbbbb', 1.5);
+  await page.start();
+
+  await page.navigate(NEXT_URL);
+
+  assert.equal(page.video.playbackRate, 1.5);
+});
+
+test('a video whose metadata loaded before the navigation started still gets its speed', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveNavigationMode('custom');
+  page.window.saveCustomNavigationSpeed(2);
+  page.window.savePreferredSpeed(1.5);
+  await page.start();
+
+  await page.navigate(NEXT_URL, { metadataFirst: true });
+  assert.equal(page.video.playbackRate, 2);
+
+  // The navigation is over, so a speed picked in YouTube's menu is saved
+  page.video.playbackRate = 1.25;
+  assert.equal(page.window.loadPreferredSpeed(), 1.25);
+});
+
+test('waits for the new video\'s metadata when the reused player still has the previous video loaded', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveNavigationMode('custom');
+  page.window.saveCustomNavigationSpeed(2);
+  page.window.savePreferredSpeed(1.5);
+  await page.start();
+
+  await page.navigate(NEXT_URL, { loadsMetadata: false, autoplay: false });
+  assert.equal(page.video.readyState, 4);
+  assert.equal(page.evaluate('navigationState.state'), 'navigating');
+  assert.equal(page.video.playbackRate, 1);
+
+  page.loadVideo();
+  assert.equal(page.video.playbackRate, 2);
+  assert.equal(page.window.loadPreferredSpeed(), 1.5);
+});
+
+test('with autoplay blocked, picking 1x after the navigation settles is kept', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveNavigationMode('continue');
+  page.window.savePreferredSpeed(2.5);
+  await page.start();
+
+  await page.navigate(NEXT_URL, { autoplay: false });
+  assert.equal(page.video.playbackRate, 2.5);
+
+  await wait(page.evaluate('NAVIGATION_SETTLE_TIMEOUT'));
+  page.video.playbackRate = 1;
+
+  assert.equal(page.video.playbackRate, 1);
+  assert.equal(page.window.loadPreferredSpeed(), 1);
+});
@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, wait } = require('./harness');
+
+/**
+ * Starts a page with overlay settings saved beforehand
+ * @param {Object} t - The test context
+ * @param {Object} overlaySettings - Overlay options to change from their defaults
+ * @param {Function} setup - Saves other settings before the page starts
+ * @returns {Promise<Object>} The started page
+ */
+async function startPage(t, overlaySettings = {}, setup = () => {}) {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveOverlaySettings(overlaySettings);
+  setup(page.window);
+  await page.start();
+  return page;
+}
+
+/**
+ * Reads the text of the speed badge
+ * @param {Object} page - The page from createPage
+ * @returns {string|null} The badge text, or null if it isn't shown
+ */
+function getBadgeText(page) {
+  const badge = page.document.getElementById('yt-speed-ext-badge');
+  return badge ? badge.textContent : null;
+}
+
+test('follows the position, size and theme settings', async (t) => {
+  const page = await startPage(t, { position: 'bottom-right', size: 'large', theme: 'light' });
+
+  page.pressKey('.');
+
+  const overlay = page.document.getElementById('yt-speed-ext');
+  assert.equal(overlay.style.right, '12px');
+  assert.equal(overlay.style.bottom, '64px');
+  assert.equal(overlay.style.top, '');
+  assert.equal(overlay.style.transform, '');
+  assert.equal(overlay.style.fontSize, '24px');
+  assert.equal(overlay.style.color, 'rgb(15, 15, 15)');
+});
+
+test('stays hidden when turned off', async (t) => {
+  const page = await startPage(t, { enabled: false });
+
+  page.pressKey('.');
+
+  assert.equal(page.video.playbackRate, 1.5);
+  assert.equal(page.getOverlayText(), null);
+});
+
+test('hides after the configured duration', async (t) => {
+  const page = await startPage(t, { duration: 0.5 });
+
+  page.pressKey('.');
+  const overlay = page.document.getElementById('yt-speed-ext');
+  assert.equal(overlay.style.opacity, '1');
+
+  await wait(600);
+  assert.equal(overlay.style.opacity, '0');
+});
+
+test('adds the remaining time at the new speed', async (t) => {
+  const page = await startPage(t, { showRemainingTime: true });
+  page.video.currentTime = 120;
+
+  // 480 seconds left at 1.5x
+  page.pressKey('.');
+
+  assert.equal(page.getOverlayText(), '1.5x · 5:20 left');
+});
+
+test('names the rule the speed comes from', async (t) => {
+  const page = await startPage(t, { showRuleSource: true }, (window) => {
+    window.saveVideoSpeed('aaaaaaaaaaa', 2);
+    window.saveSpeedPresets([{ name: 'Lecture', speed: 1.75, key: 'p' }]);
+  });
+
+  // The remembered speed is announced when the video starts at it
+  assert.equal(page.getOverlayText(), '2x · video speed');
+
+  page.pressKey('p');
+  assert.equal(page.getOverlayText(), '1.75x · Lecture preset');
+
+  page.pressKey('.');
+  assert.equal(page.getOverlayText(), '2.25x');
+});
+
+test('a video starting at a remembered speed stays quiet without the rule source option', async (t) => {
+  const page = await startPage(t, {}, (window) => window.saveVideoSpeed('aaaaaaaaaaa', 2));
+
+  assert.equal(page.video.playbackRate, 2);
+  assert.equal(page.getOverlayText(), null);
+});
+
+test('the badge stays while the speed is not 1x', async (t) => {
+  const page = await startPage(t, { badge: true }, (window) => window.savePreferredSpeed(2));
+  assert.equal(getBadgeText(page), '2x');
+
+  // Undoing YouTube's reset during a seek leaves the badge in place
+  page.seek(90, 1);
+  await wait(200);
+  assert.equal(getBadgeText(page), '2x');
+
+  page.video.playbackRate = 1;
+  assert.equal(getBadgeText(page), null);
+
+  page.pressKey('.');
+  assert.equal(getBadgeText(page), '1.5x');
+});
+
+test('the badge goes away when it is turned off', async (t) => {
+  const page = await startPage(t, { badge: true }, (window) => window.savePreferredSpeed(2));
+
+  // As if saved on the options page, which writes to chrome.storage right away
+  page.window.saveOverlaySettings({ badge: false });
+  page.window.flushStorageWrites();
+  await wait(0);
+
+  assert.equal(getBadgeText(page), null);
+});
+
+test('overlay settings fill in missing options and reject invalid ones', (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+
+  const settings = page.window.normalizeOverlaySettings({ position: 'top-left' });
+  assert.equal(settings.position, 'top-left');
+  assert.equal(settings.enabled, true);
+  assert.equal(settings.duration, 1);
+
+  assert.equal(page.window.normalizeOverlaySettings({ position: 'middle' }), null);
+  assert.equal(page.window.normalizeOverlaySettings({ duration: 30 }), null);
+  assert.equal(page.window.normalizeOverlaySettings({ badge: 'yes' }), null);
+});
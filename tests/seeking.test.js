@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, wait } = require('./harness');
+
+test('restores the speed when YouTube resets it during a seek', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.savePreferredSpeed(2);
+  await page.start();
+
+  page.seek(120, 1);
+  await wait(200);
+
+  assert.equal(page.video.playbackRate, 2);
+  assert.equal(page.window.loadPreferredSpeed(), 2);
+});
+
+test('restores a speed one step away from the reset speed', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.savePreferredSpeed(2.05);
+  await page.start();
+
+  // 2.05 - 2 is just under 0.05 in floating point
+  page.seek(120, 2);
+  await wait(200);
+
+  assert.equal(page.video.playbackRate, 2.05);
+  assert.equal(page.window.loadPreferredSpeed(), 2.05);
+});
+
+test('a seek that keeps the speed leaves it alone', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.savePreferredSpeed(1.5);
+  await page.start();
+
+  page.seek(300);
+  await wait(200);
+
+  assert.equal(page.video.playbackRate, 1.5);
+  assert.equal(page.window.loadPreferredSpeed(), 1.5);
+});
+
+test('a speed zone at the new position applies instead of the preferred speed', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.savePreferredSpeed(1.5);
+  page.window.saveVideoSpeedZones('aaaaaaaaaaa', [{ start: 60, end: 180, speed: 3 }]);
+  await page.start();
+
+  page.seek(120, 1);
+  await wait(200);
+
+  assert.equal(page.video.playbackRate, 3);
+  assert.equal(page.window.loadPreferredSpeed(), 1.5);
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, wait } = require('./harness');
+
+/**
+ * Copies a value out of the page so it compares against this realm's arrays and objects
+ * @param {*} value - A value returned by the page
+ * @returns {*} The same value, created in this realm
+ */
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test('parses speed ladders into sorted, unique speeds', (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+
+  assert.deepEqual(toPlain(page.window.parseSpeedLadder('2, 1x 1.5, 1')), [1, 1.5, 2]);
+  assert.equal(page.window.parseSpeedLadder('1, fast'), null);
+  assert.equal(page.window.parseSpeedLadder('2'), null);
+});
+
+test('parses timestamps the way YouTube writes them', (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+
+  assert.equal(page.window.parseTimestamp('1:05'), 65);
+  assert.equal(page.window.parseTimestamp('01:02:03'), 3723);
+  assert.equal(page.window.parseTimestamp('90'), 90);
+  assert.equal(page.window.parseTimestamp('1:75'), null);
+});
+
+test('settings survive an export and import', (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveNavigationMode('custom');
+  page.window.saveCustomNavigationSpeed(2.5);
+  page.window.saveSpeedLadder([1, 2, 4]);
+
+  const settingsDocument = toPlain(page.window.buildSettingsDocument());
+  const { settings, errors } = page.window.validateSettingsDocument(settingsDocument);
+
+  assert.equal(errors.length, 0);
+  assert.equal(settings.navigationMode, 'custom');
+  assert.equal(settings.customNavigationSpeed, 2.5);
+  assert.deepEqual(toPlain(settings.speedLadder), [1, 2, 4]);
+});
+
+test('version 1 documents keep their increase and decrease keys', (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+
+  const { settings, errors } = page.window.validateSettingsDocument({
+    schemaVersion: 1,
+    settings: { increaseKey: ']', decreaseKey: '[' }
+  });
+
+  assert.equal(errors.length, 0);
+  assert.deepEqual(toPlain(settings.shortcuts.increase), [']']);
+  assert.deepEqual(toPlain(settings.shortcuts.decrease), ['[']);
+});
+
+test('a setting sync rejects is read from local storage even if the old synced value stays', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  const { sync, local } = page.chrome.storage;
+  await page.window.initializeStorage(false);
+  page.window.savePreferredSpeed(1.5);
+  page.window.flushStorageWrites();
+  await wait(0);
+
+  // Over quota and offline: both the write and the cleanup of the old value fail
+  sync.set = async () => { throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded'); };
+  sync.remove = async () => { throw new Error('Sync is offline'); };
+  page.window.savePreferredSpeed(2);
+  page.window.flushStorageWrites();
+  await wait(0);
+
+  // The next page load on this device
+  const nextPage = createPage();
+  t.after(() => nextPage.close());
+  Object.assign(nextPage.chrome.storage.sync.data, sync.data);
+  Object.assign(nextPage.chrome.storage.local.data, local.data);
+  await nextPage.window.initializeStorage(false);
+
+  assert.equal(nextPage.window.loadPreferredSpeed(), 2);
+});
+
+test('quick settings edits presets and rules with the same rows as the options page', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveChannelSpeeds([{ id: '@lectures', name: 'Lectures', speed: 1.75 }]);
+  await page.start();
+
+  page.window.showSpeedSettingsModal();
+  const { document } = page;
+  assert.equal(document.querySelector('#channel-speeds-list .channel-speed-row .channel-id-input').value, '@lectures');
+
+  document.getElementById('add-speed-preset').click();
+  const presetRow = document.querySelector('#speed-presets-list .preset-row');
+  presetRow.querySelector('.preset-name-input').value = 'Lecture';
+  presetRow.querySelector('.preset-speed-input').value = '1.8';
+
+  // A second row for the same channel keeps anything from being saved
+  document.getElementById('add-channel-speed').click();
+  const channelRows = document.querySelectorAll('#channel-speeds-list .channel-speed-row');
+  channelRows[1].querySelector('.channel-id-input').value = '@lectures';
+  document.getElementById('save-settings').click();
+  assert.equal(page.window.loadSpeedPresets().length, 0);
+
+  channelRows[1].querySelector('button.remove').click();
+  document.getElementById('save-settings').click();
+  assert.deepEqual(toPlain(page.window.loadSpeedPresets()), [{ name: 'Lecture', speed: 1.8, key: '' }]);
+  assert.equal(page.window.loadChannelSpeeds().length, 1);
+});
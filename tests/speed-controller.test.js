@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, wait } = require('./harness');
+
+/**
+ * Starts a page and records the speed changes its speed controller reports
+ * @param {Object} t - The test context
+ * @param {Function} setup - Saves settings before the page starts
+ * @returns {Promise<{page: Object, events: Object[]}>} The page and the recorded events
+ */
+async function startRecordedPage(t, setup = () => {}) {
+  const page = createPage();
+  t.after(() => page.close());
+  setup(page.window);
+  await page.start();
+
+  const events = [];
+  page.window.onSpeedChange(({ speed, previousSpeed, source, detail }) => {
+    events.push({ speed, previousSpeed, source, detail });
+  });
+  return { page, events };
+}
+
+test('reports each of the extension\'s own changes once, with its source', async (t) => {
+  const { page, events } = await startRecordedPage(t);
+
+  page.pressKey('.');
+
+  assert.deepEqual(events, [{ speed: 1.5, previousSpeed: 1, source: 'keyboard', detail: '' }]);
+});
+
+test('a change made with YouTube\'s own controls is reported and saved', async (t) => {
+  const { page, events } = await startRecordedPage(t);
+
+  page.video.playbackRate = 1.75;
+
+  assert.deepEqual(events, [{ speed: 1.75, previousSpeed: 1, source: 'player', detail: '' }]);
+  assert.equal(page.window.loadPreferredSpeed(), 1.75);
+  assert.equal(page.getOverlayText(), '1.75x');
+});
+
+test('YouTube\'s reset during a seek is reported as such and never saved', async (t) => {
+  const { page, events } = await startRecordedPage(t, (window) => window.savePreferredSpeed(2));
+
+  page.seek(90, 1);
+  await wait(200);
+
+  assert.deepEqual(events.map(event => event.source), ['youtube-reset', 'restore']);
+  assert.equal(page.window.loadPreferredSpeed(), 2);
+});
+
+test('temporary speeds are not saved', async (t) => {
+  const { page, events } = await startRecordedPage(t, (window) => {
+    window.savePreferredSpeed(2);
+    window.saveShortcuts({ 'toggle-normal': ['n'] });
+  });
+
+  page.pressKey('n');
+  assert.equal(page.video.playbackRate, 1);
+  page.pressKey('n');
+  assert.equal(page.video.playbackRate, 2);
+
+  assert.deepEqual(events.map(event => event.source), ['temporary', 'temporary']);
+  assert.equal(page.window.loadPreferredSpeed(), 2);
+});
+
+test('rate changes during an ad are not saved', async (t) => {
+  const { page, events } = await startRecordedPage(t, (window) => window.savePreferredSpeed(1.5));
+
+  page.document.getElementById('movie_player').classList.add('ad-showing');
+  await wait(50);
+  page.video.playbackRate = 3;
+
+  // The ad speed itself (the video's speed by default), then the change during the ad
+  assert.deepEqual(events.map(({ speed, source }) => ({ speed, source })), [
+    { speed: 1.5, source: 'ad' },
+    { speed: 3, source: 'ad' }
+  ]);
+  assert.equal(page.window.loadPreferredSpeed(), 1.5);
+});
+
+test('a changed rate is not reported twice', async (t) => {
+  const { page, events } = await startRecordedPage(t);
+
+  page.video.playbackRate = 2;
+  page.video.dispatchEvent(new page.window.Event('ratechange'));
+
+  assert.equal(events.length, 1);
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, wait } = require('./harness');
+
+/**
+ * Reads the labels of a speed menu's items
+ * @param {Element} speedMenu - The .ytp-speed-menu panel
+ * @returns {string[]} The labels in menu order
+ */
+function getLabels(speedMenu) {
+  return [...speedMenu.querySelectorAll('.ytp-menuitem-label')].map(label => label.textContent);
+}
+
+test('replaces YouTube\'s speeds with the presets, the speed ladder and the channel action', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveSpeedPresets([{ name: 'Lecture', speed: 2.25, key: '' }]);
+  page.window.saveSpeedLadder([0.5, 1, 2, 3]);
+  await page.start();
+
+  const speedMenu = page.openSpeedMenu();
+  await wait(200);
+
+  assert.deepEqual(getLabels(speedMenu), [
+    'Lecture (2.25x)',
+    '0.5',
+    'Normal',
+    '2',
+    '3',
+    'Always use current speed for Example Channel'
+  ]);
+});
+
+test('enhances the menu only once while it stays open', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  await page.start();
+
+  const speedMenu = page.openSpeedMenu();
+  await wait(200);
+  const itemCount = speedMenu.querySelectorAll('.ytp-menuitem').length;
+  speedMenu.appendChild(page.document.createElement('div'));
+  await wait(200);
+
+  assert.equal(speedMenu.querySelectorAll('.ytp-menuitem').length, itemCount);
+});
+
+test('picking a speed applies and saves it and marks it as checked', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveSpeedLadder([0.5, 1, 2, 3]);
+  await page.start();
+
+  const speedMenu = page.openSpeedMenu();
+  await wait(200);
+  const item = [...speedMenu.querySelectorAll('.ytp-menuitem')].find(menuItem => menuItem.textContent === '3');
+  item.click();
+  await wait(200);
+
+  assert.equal(page.video.playbackRate, 3);
+  assert.equal(page.window.loadPreferredSpeed(), 3);
+  assert.equal(item.getAttribute('aria-checked'), 'true');
+  const checked = speedMenu.querySelectorAll('[aria-checked="true"]');
+  assert.equal(checked.length, 1);
+});
+
+test('the channel action saves the current speed for the channel', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.savePreferredSpeed(1.5);
+  await page.start();
+
+  const speedMenu = page.openSpeedMenu();
+  await wait(200);
+  speedMenu.querySelector('.yt-speed-ext-channel-action').click();
+
+  assert.equal(page.window.loadChannelSpeed('@example'), 1.5);
+});
+
+test('speed changes update YouTube\'s "Playback speed" row and leave "Speed" presets and channels alone', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.saveSpeedPresets([{ name: 'Speed reading', speed: 2.5, key: '' }]);
+  page.document.querySelector('ytd-channel-name #text').textContent = 'Speedrun Archive';
+  await page.start();
+
+  page.pressKey('.');
+  const speedRow = page.document.querySelector('.ytp-settings-menu .ytp-menuitem[aria-haspopup="true"]');
+  assert.equal(speedRow.querySelector('.ytp-menuitem-content').textContent, '1.5');
+
+  const speedMenu = page.openSpeedMenu();
+  await wait(200);
+  page.pressKey('.');
+  page.window.directUpdateSettingsMenu(2);
+
+  assert.equal(speedMenu.querySelector('.yt-speed-ext-preset .ytp-menuitem-label').textContent, 'Speed reading (2.5x)');
+  assert.equal(speedMenu.querySelector('.yt-speed-ext-channel-action .ytp-menuitem-label').textContent,
+    'Always use current speed for Speedrun Archive');
+});
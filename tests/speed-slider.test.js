@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, wait } = require('./harness');
+
+/**
+ * Starts a page and opens the speed menu
+ * @param {Object} t - The test context
+ * @param {Object} options
+ * @param {boolean} options.withSlider - Whether to open YouTube's newer speed panel
+ * @param {Function} options.setup - Saves settings before the page starts
+ * @returns {Promise<{page: Object, speedMenu: HTMLElement, row: HTMLElement}>} The page, the panel and the slider row
+ */
+async function openSliderMenu(t, { withSlider = false, setup = () => {} } = {}) {
+  const page = createPage();
+  t.after(() => page.close());
+  setup(page.window);
+  await page.start();
+
+  const speedMenu = page.openSpeedMenu({ withSlider });
+  await wait(200);
+  return { page, speedMenu, row: speedMenu.querySelector('.yt-speed-ext-slider-row') };
+}
+
+/**
+ * Sets an input's value and fires the event a user's edit would
+ * @param {Object} page - The page from createPage
+ * @param {HTMLInputElement} input - The input
+ * @param {string} value - The new value
+ * @param {string} type - 'input' or 'change'
+ */
+function editInput(page, input, value, type = 'change') {
+  input.value = value;
+  input.dispatchEvent(new page.window.Event(type, { bubbles: true }));
+}
+
+test('adds the slider row at the top of the older speed menu', async (t) => {
+  const { speedMenu, row } = await openSliderMenu(t, { setup: (window) => window.savePreferredSpeed(1.5) });
+
+  assert.equal(speedMenu.firstElementChild, row);
+  assert.equal(row.querySelector('.yt-speed-ext-slider').value, '1.5');
+  assert.equal(row.querySelector('.yt-speed-ext-slider-input').value, '1.5');
+});
+
+test('replaces YouTube\'s own slider in the newer speed menu', async (t) => {
+  const { speedMenu, row } = await openSliderMenu(t, { withSlider: true });
+
+  const nativeSlider = speedMenu.querySelector('.ytp-variable-speed-panel');
+  assert.equal(nativeSlider.style.display, 'none');
+
+  const menuContainer = speedMenu.querySelector('.ytp-panel-menu');
+  assert.equal(menuContainer.firstElementChild, row);
+  const labels = [...menuContainer.querySelectorAll('.ytp-menuitem-label')].map(label => label.textContent);
+  assert.deepEqual(labels.slice(0, 3), ['0.5', 'Normal', '1.5']);
+  assert.equal(speedMenu.querySelectorAll(':scope > .ytp-menuitem').length, 0);
+});
+
+test('a speed typed in the number field is applied and saved', async (t) => {
+  const { page, speedMenu, row } = await openSliderMenu(t);
+
+  editInput(page, row.querySelector('.yt-speed-ext-slider-input'), '2.35');
+
+  assert.equal(page.video.playbackRate, 2.35);
+  assert.equal(page.window.loadPreferredSpeed(), 2.35);
+  assert.equal(row.querySelector('.yt-speed-ext-slider').value, '2.35');
+  assert.equal(speedMenu.querySelectorAll('[aria-checked="true"]').length, 0);
+});
+
+test('an unsupported speed is replaced by the current one', async (t) => {
+  const { page, row } = await openSliderMenu(t);
+  const speedInput = row.querySelector('.yt-speed-ext-slider-input');
+
+  editInput(page, speedInput, '40');
+
+  assert.equal(page.video.playbackRate, 1);
+  assert.equal(speedInput.value, '1');
+});
+
+test('dragging previews the speed and releasing applies it', async (t) => {
+  const { page, row } = await openSliderMenu(t);
+  const slider = row.querySelector('.yt-speed-ext-slider');
+
+  editInput(page, slider, '3', 'input');
+  assert.equal(row.querySelector('.yt-speed-ext-slider-input').value, '3');
+  assert.equal(page.video.playbackRate, 1);
+
+  slider.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+  assert.equal(page.video.playbackRate, 3);
+});
+
+test('the buttons step the speed by 0.05x', async (t) => {
+  const { page, row } = await openSliderMenu(t);
+
+  row.querySelector('.yt-speed-ext-slider-increase').click();
+  row.querySelector('.yt-speed-ext-slider-increase').click();
+  assert.equal(page.video.playbackRate, 1.1);
+
+  row.querySelector('.yt-speed-ext-slider-decrease').click();
+  assert.equal(page.video.playbackRate, 1.05);
+  assert.equal(row.querySelector('.yt-speed-ext-slider-input').value, '1.05');
+});
+
+test('follows speed changes made elsewhere while the menu is open', async (t) => {
+  const { page, row } = await openSliderMenu(t);
+
+  page.pressKey('.');
+
+  assert.equal(row.querySelector('.yt-speed-ext-slider').value, '1.5');
+  assert.equal(row.querySelector('.yt-speed-ext-slider-input').value, '1.5');
+});
+
+test('typing in the number field doesn\'t reach YouTube\'s shortcuts', async (t) => {
+  const { page, row } = await openSliderMenu(t);
+  let reachedDocument = false;
+  page.document.addEventListener('keydown', () => { reachedDocument = true; });
+
+  page.pressKey('5', {}, row.querySelector('.yt-speed-ext-slider-input'));
+
+  assert.equal(reachedDocument, false);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./harness');
+
+/**
+ * Reads the speed-adjusted readout in the player's time display
+ * @param {Object} page - The page from createPage
+ * @returns {string|null} The readout text, or null if it isn't shown
+ */
+function getReadoutText(page) {
+  const readout = page.document.querySelector('.ytp-time-display .yt-speed-ext-time-display');
+  return readout ? readout.textContent : null;
+}
+
+test('shows the time left at the current speed next to YouTube\'s time', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  page.window.savePreferredSpeed(2);
+  await page.start();
+
+  // 600 seconds of video at 2x
+  assert.match(getReadoutText(page), /^ends in 5:00 at 2x \(.+\)$/);
+
+  const readout = page.document.querySelector('.yt-speed-ext-time-display');
+  assert.equal(readout.previousElementSibling.className, 'ytp-time-wrapper');
+});
+
+test('follows the playback position and speed', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  await page.start();
+
+  page.video.currentTime = 300;
+  page.video.dispatchEvent(new page.window.Event('timeupdate'));
+  assert.match(getReadoutText(page), /^ends in 5:00 at 1x /);
+
+  page.pressKey('.');
+  assert.match(getReadoutText(page), /^ends in 3:20 at 1.5x /);
+});
+
+test('the finish time is the clock time the video ends at', (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+
+  const now = new Date(2026, 0, 1, 21, 30).getTime();
+  const expectedFinish = new page.window.Date(2026, 0, 1, 21, 35)
+    .toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+  assert.equal(page.window.getSpeedTimeDisplayText(300, 2, now), `ends in 5:00 at 2x (${expectedFinish})`);
+});
+
+test('turning it off in quick settings removes the readout', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  await page.start();
+  assert.ok(getReadoutText(page));
+
+  page.window.showSpeedSettingsModal();
+  page.document.getElementById('time-display-enabled-input').checked = false;
+  page.document.getElementById('save-settings').click();
+
+  assert.equal(page.window.loadTimeDisplayEnabled(), false);
+  assert.equal(getReadoutText(page), null);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, wait } = require('./harness');
+
+/**
+ * Builds a batch of watch time as the content scripts collect it
+ * @param {number} media - Seconds of media played
+ * @param {number} speed - The speed it was played at
+ * @returns {Object[]} The entries for addWatchTime
+ */
+function createEntries(media, speed) {
+  return [{ date: '2026-01-01', channelId: '@lectures', channelName: 'Lectures', speed, media, real: media / speed }];
+}
+
+test('two tabs adding watch time keep each other\'s time', async (t) => {
+  const firstTab = createPage();
+  t.after(() => firstTab.close());
+  const secondTab = createPage({ chrome: firstTab.chrome });
+  t.after(() => secondTab.close());
+  await firstTab.start();
+  await secondTab.start();
+
+  // Both tabs collected time before either wrote its batch
+  await firstTab.window.addWatchTime(createEntries(120, 2));
+  await secondTab.window.addWatchTime(createEntries(60, 1.5));
+  firstTab.window.flushStorageWrites();
+  secondTab.window.flushStorageWrites();
+  await wait(0);
+
+  const stored = JSON.parse(firstTab.chrome.storage.local.data['youtube-speed-extender-watch-stats']);
+  assert.deepEqual(stored.total, { media: 180, real: 100 });
+  assert.equal(secondTab.window.loadWatchStats().total.media, 180);
+});
+
+test('clearing the statistics isn\'t undone by a batch written just before', async (t) => {
+  const page = createPage();
+  t.after(() => page.close());
+  await page.start();
+
+  page.window.addWatchTime(createEntries(120, 2));
+  page.window.clearWatchStats();
+  assert.equal(page.window.loadWatchStats().total.media, 0);
+
+  await wait(0);
+  assert.equal(page.chrome.storage.local.data['youtube-speed-extender-watch-stats'], undefined);
+  assert.equal(page.window.loadWatchStats().total.media, 0);
+});
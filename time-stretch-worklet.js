@@ -0,0 +1,89 @@
+/**
+ * YouTube Speed Extender - Time-Stretch AudioWorklet
+ *
+ * Loaded into a video's AudioContext by content/audio.js when enhanced time-stretch is enabled.
+ * The browser then plays the video without its own pitch correction, so audio at 2x comes
+ * out an octave high; this processor shifts it back down by the pitchRatio parameter (1 / speed).
+ *
+ * It is a granular delay-line pitch shifter: two read taps half a grain apart move through
+ * a short history of the input at pitchRatio times the write speed, each faded in and out
+ * with a Hann window so the jump when a tap wraps around is never heard.
+ */
+
+const GRAIN_DURATION = 0.05; // Seconds per grain; also the most latency the processor adds
+
+class TimeStretchProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.05, maxValue: 20, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.grainSize = Math.round(sampleRate * GRAIN_DURATION);
+    this.bufferSize = this.grainSize * 2; // Room for the longest delay plus interpolation
+    this.buffers = []; // Input history per channel
+    this.writeIndex = 0;
+    this.phase = 0; // Position of the first tap within its grain, 0 to 1
+  }
+
+  /**
+   * Reads a delayed sample from a channel's history with linear interpolation
+   * @param {Float32Array} buffer - The channel's input history
+   * @param {number} delay - Samples behind the write position
+   * @returns {number} The interpolated sample
+   */
+  readDelayed(buffer, delay) {
+    const position = (this.writeIndex - delay + this.bufferSize) % this.bufferSize;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    return buffer[index] * (1 - fraction) + buffer[(index + 1) % this.bufferSize] * fraction;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (input.length === 0) return true; // Nothing connected yet
+
+    const pitchRatio = parameters.pitchRatio[0];
+
+    // At 1x both taps would sit at fixed delays and comb-filter the audio; pass it through untouched
+    if (Math.abs(pitchRatio - 1) < 0.001) {
+      output.forEach((channel, index) => channel.set(input[Math.min(index, input.length - 1)]));
+      return true;
+    }
+
+    while (this.buffers.length < input.length) {
+      this.buffers.push(new Float32Array(this.bufferSize));
+    }
+
+    // The delay grows (pitch down) or shrinks (pitch up) by 1 - pitchRatio samples per sample
+    const phaseStep = (1 - pitchRatio) / this.grainSize;
+    const frames = input[0].length;
+
+    for (let frame = 0; frame < frames; frame++) {
+      for (let channel = 0; channel < input.length; channel++) {
+        this.buffers[channel][this.writeIndex] = input[channel][frame];
+      }
+
+      const phaseA = this.phase;
+      const phaseB = (this.phase + 0.5) % 1;
+      // sin² and cos² windows half a grain apart always add up to 1
+      const gainA = Math.sin(Math.PI * phaseA) ** 2;
+      const gainB = 1 - gainA;
+
+      for (let channel = 0; channel < output.length; channel++) {
+        const buffer = this.buffers[Math.min(channel, input.length - 1)];
+        output[channel][frame] =
+          this.readDelayed(buffer, phaseA * this.grainSize) * gainA +
+          this.readDelayed(buffer, phaseB * this.grainSize) * gainB;
+      }
+
+      this.phase = (this.phase + phaseStep + 1) % 1;
+      this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('time-stretch-processor', TimeStretchProcessor);